@@ -14,30 +14,51 @@ const JOB_STATUS = {
   TENTATIVE:   'TENTATIVE',
   CONFIRMED:   'CONFIRMED',
   ASSIGNED:    'ASSIGNED',
+  DISPATCHED:  'DISPATCHED',
   IN_PROGRESS: 'IN_PROGRESS',
   COMPLETED:   'COMPLETED',
   BILLED:      'BILLED',
   PAID:        'PAID',
   CLOSED:      'CLOSED',
+  ON_HOLD:     'ON_HOLD',
+  CANCELLED:   'CANCELLED',
 };
 
 // Valid status transitions with required roles
 // Key: current status -> Value: { nextStatus: [allowedRoles] }
 //
-// Flow: TENTATIVE → CONFIRMED → ASSIGNED → IN_PROGRESS → COMPLETED → BILLED
+// Flow: TENTATIVE → CONFIRMED → ASSIGNED → DISPATCHED → IN_PROGRESS → COMPLETED → BILLED
 //   - ASSIGNED: tech is notified immediately and can start work.
+//   - DISPATCHED: tech tapped "on my way" (optional step — ASSIGNED can go
+//     straight to IN_PROGRESS).
+//   - ON_HOLD: pauses CONFIRMED / ASSIGNED / IN_PROGRESS work; it can only
+//     resume back to the status it was held from (enforced in JobService).
+//   - CANCELLED: terminal, replaces deleting a job that will not go ahead.
 const STATUS_TRANSITIONS = {
   [JOB_STATUS.TENTATIVE]: {
     [JOB_STATUS.CONFIRMED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.CANCELLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
   },
   [JOB_STATUS.CONFIRMED]: {
     [JOB_STATUS.ASSIGNED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.ON_HOLD]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.CANCELLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
   },
   [JOB_STATUS.ASSIGNED]: {
+    [JOB_STATUS.DISPATCHED]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
     [JOB_STATUS.IN_PROGRESS]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.ON_HOLD]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.CANCELLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+  },
+  [JOB_STATUS.DISPATCHED]: {
+    [JOB_STATUS.IN_PROGRESS]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.ON_HOLD]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.CANCELLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
   },
   [JOB_STATUS.IN_PROGRESS]: {
     [JOB_STATUS.COMPLETED]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.ON_HOLD]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.CANCELLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
   },
   [JOB_STATUS.COMPLETED]: {
     [JOB_STATUS.BILLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
@@ -51,10 +72,178 @@ const STATUS_TRANSITIONS = {
   [JOB_STATUS.CLOSED]: {
     // Terminal state - no further transitions
   },
+  [JOB_STATUS.ON_HOLD]: {
+    [JOB_STATUS.CONFIRMED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.ASSIGNED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.DISPATCHED]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.IN_PROGRESS]: [ROLES.TECHNICIAN, ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    [JOB_STATUS.CANCELLED]: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+  },
+  [JOB_STATUS.CANCELLED]: {
+    // Terminal state - no further transitions
+  },
 };
 
+// Pipeline order of the built-in workflow (used to step a job backwards on revert)
+const STATUS_ORDER = [
+  JOB_STATUS.TENTATIVE,
+  JOB_STATUS.CONFIRMED,
+  JOB_STATUS.ASSIGNED,
+  JOB_STATUS.DISPATCHED,
+  JOB_STATUS.IN_PROGRESS,
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.BILLED,
+  JOB_STATUS.PAID,
+  JOB_STATUS.CLOSED,
+];
+
+// Statuses outside the linear pipeline — never a revert target
+const OFF_PIPELINE_STATUSES = [JOB_STATUS.ON_HOLD, JOB_STATUS.CANCELLED];
+
+// Statuses in which a job occupies its technician
+const ACTIVE_JOB_STATUSES = [JOB_STATUS.ASSIGNED, JOB_STATUS.DISPATCHED, JOB_STATUS.IN_PROGRESS];
+
+// Fields a workflow transition can require before it is allowed
+//   notes         - non-empty notes on the status change request
+//   reason        - non-empty reason on the request (cancel / hold)
+//   scheduledDate - job has a scheduled date
+//   actualCost    - job has an actual cost (i.e. line items) recorded
+//   documents     - at least one document uploaded to the job
+//   acceptedQuote - the customer accepted a quote for the job
+const WORKFLOW_REQUIRED_FIELDS = ['notes', 'reason', 'scheduledDate', 'actualCost', 'documents', 'acceptedQuote'];
+
+// Required fields of the built-in workflow, same shape as STATUS_TRANSITIONS
+// (TENTATIVE → CONFIRMED needs the customer's accepted quote; an ADMIN may
+// waive it with a reason — see JobService.transitionStatus)
+const TRANSITION_REQUIRED_FIELDS = {
+  [JOB_STATUS.TENTATIVE]: {
+    [JOB_STATUS.CONFIRMED]: ['acceptedQuote'],
+    [JOB_STATUS.CANCELLED]: ['reason'],
+  },
+  [JOB_STATUS.CONFIRMED]: {
+    [JOB_STATUS.ASSIGNED]: ['notes'],
+    [JOB_STATUS.ON_HOLD]: ['reason'],
+    [JOB_STATUS.CANCELLED]: ['reason'],
+  },
+  [JOB_STATUS.ASSIGNED]: {
+    [JOB_STATUS.IN_PROGRESS]: ['notes'],
+    [JOB_STATUS.ON_HOLD]: ['reason'],
+    [JOB_STATUS.CANCELLED]: ['reason'],
+  },
+  [JOB_STATUS.DISPATCHED]: {
+    [JOB_STATUS.IN_PROGRESS]: ['notes'],
+    [JOB_STATUS.ON_HOLD]: ['reason'],
+    [JOB_STATUS.CANCELLED]: ['reason'],
+  },
+  [JOB_STATUS.IN_PROGRESS]: {
+    [JOB_STATUS.ON_HOLD]: ['reason'],
+    [JOB_STATUS.CANCELLED]: ['reason'],
+  },
+  [JOB_STATUS.ON_HOLD]: {
+    [JOB_STATUS.CANCELLED]: ['reason'],
+  },
+};
+
+// Statuses a technician can see on jobs assigned to them
+const TECH_VISIBLE_STATUSES = [
+  JOB_STATUS.ASSIGNED,
+  JOB_STATUS.DISPATCHED,
+  JOB_STATUS.IN_PROGRESS,
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.BILLED,
+  JOB_STATUS.PAID,
+  JOB_STATUS.CLOSED,
+  JOB_STATUS.ON_HOLD,
+  JOB_STATUS.CANCELLED,
+];
+
+// Recurring job series
+const SERIES_STATUS = {
+  ACTIVE: 'ACTIVE',
+  STOPPED: 'STOPPED',
+};
+
+// Statuses a generated occurrence may start in
+const SERIES_GENERATED_STATUSES = [JOB_STATUS.TENTATIVE, JOB_STATUS.CONFIRMED];
+
+// Job line item kinds — quantity is hours for LABOR, units otherwise
+const LINE_ITEM_TYPES = {
+  LABOR: 'LABOR',
+  MATERIAL: 'MATERIAL',
+  FEE: 'FEE',
+  DISCOUNT: 'DISCOUNT',
+};
+
+// Line items are frozen once the job has been billed (or cancelled)
+const LINE_ITEM_LOCKED_STATUSES = [
+  JOB_STATUS.BILLED,
+  JOB_STATUS.PAID,
+  JOB_STATUS.CLOSED,
+  JOB_STATUS.CANCELLED,
+];
+
+// Quote lifecycle — SUPERSEDED when a newer quote is sent for the same job
+const QUOTE_STATUS = {
+  DRAFT: 'DRAFT',
+  SENT: 'SENT',
+  ACCEPTED: 'ACCEPTED',
+  DECLINED: 'DECLINED',
+  SUPERSEDED: 'SUPERSEDED',
+};
+
+// Invoices are immutable once ISSUED; reverting a BILLED job voids its invoice
+const INVOICE_STATUS = {
+  ISSUED: 'ISSUED',
+  VOID: 'VOID',
+};
+
+// Payments ledger — refunds are entries of their own; mistakes are VOIDED, never deleted
+const PAYMENT_TYPES = {
+  PAYMENT: 'PAYMENT',
+  REFUND: 'REFUND',
+};
+
+const PAYMENT_METHODS = ['CASH', 'CHECK', 'CARD', 'ACH', 'OTHER'];
+
+const PAYMENT_STATUS = {
+  RECORDED: 'RECORDED',
+  VOIDED: 'VOIDED',
+};
+
+// CSV imports — every real import is recorded as a batch that can be rolled back
+const IMPORT_TYPES = {
+  CUSTOMERS: 'CUSTOMERS',
+  JOBS: 'JOBS',
+};
+
+const IMPORT_STATUS = {
+  COMPLETED: 'COMPLETED',
+  ROLLED_BACK: 'ROLLED_BACK',
+};
+
+// Certifications expiring within this many days show up in the warning feed
+const CERT_EXPIRY_WARNING_DAYS = 30;
+
 module.exports = {
   ROLES,
   JOB_STATUS,
   STATUS_TRANSITIONS,
+  STATUS_ORDER,
+  OFF_PIPELINE_STATUSES,
+  ACTIVE_JOB_STATUSES,
+  WORKFLOW_REQUIRED_FIELDS,
+  TRANSITION_REQUIRED_FIELDS,
+  TECH_VISIBLE_STATUSES,
+  SERIES_STATUS,
+  SERIES_GENERATED_STATUSES,
+  LINE_ITEM_TYPES,
+  LINE_ITEM_LOCKED_STATUSES,
+  QUOTE_STATUS,
+  INVOICE_STATUS,
+  PAYMENT_TYPES,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  IMPORT_TYPES,
+  IMPORT_STATUS,
+  CERT_EXPIRY_WARNING_DAYS,
 };
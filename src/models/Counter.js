@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers), incremented atomically with $inc
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: false, versionKey: false }
+);
+
+/**
+ * Atomically take the next value of a named sequence (starts at 1).
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -23,11 +23,19 @@ const customerSchema = new mongoose.Schema(
       trim: true,
       default: '',
     },
+    // Set on customers created by a CSV import, so the import can be rolled back
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      default: undefined,
+    },
   },
   { timestamps: true }
 );
 
 // Text index for search / autocomplete
 customerSchema.index({ name: 1 });
+customerSchema.index({ name: 'text', address: 'text' }, { name: 'customer_text_search' });
+customerSchema.index({ importBatch: 1 }, { sparse: true });
 
 module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { IMPORT_TYPES, IMPORT_STATUS } = require('../config/constants');
+
+// A CSV row that was skipped, with why
+const rowErrorSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true },
+    messages: [{ type: String }],
+  },
+  { _id: false }
+);
+
+/**
+ * One CSV import. Customers and jobs it created carry `importBatch`, so
+ * rolling the batch back removes exactly what it added.
+ */
+const importBatchSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(IMPORT_TYPES),
+      required: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(IMPORT_STATUS),
+      default: IMPORT_STATUS.COMPLETED,
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    // Rows that matched an existing customer instead of creating one
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+    customersCreated: {
+      type: Number,
+      default: 0,
+    },
+    jobsCreated: {
+      type: Number,
+      default: 0,
+    },
+    errorCount: {
+      type: Number,
+      default: 0,
+    },
+    // First rows that failed validation (capped — see errorCount for the total)
+    rowErrors: [rowErrorSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    rolledBackAt: {
+      type: Date,
+    },
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // What the rollback removed / had to keep
+    rollback: {
+      jobsDeleted: { type: Number },
+      customersDeleted: { type: Number },
+      customersKept: { type: Number },
+    },
+  },
+  { timestamps: true }
+);
+
+importBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
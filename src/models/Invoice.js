@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { INVOICE_STATUS } = require('../config/constants');
+const { DATE_ONLY_RE } = require('../utils/dateOnly');
+const { lineItemSchema, totalsSchema } = require('./schemas/lineItem');
+
+// Who the invoice is addressed to, copied at issue time
+const billToSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true },
+    companyName: { type: String, trim: true },
+    email: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    address: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * The financial record of a billed job. Everything priced on it is copied
+ * from the job when it moves to BILLED and never edited afterwards —
+ * only the payment balance, delivery (pdf / email) and voiding fields change.
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    // Sequential, e.g. INV-000042 (see Counter)
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+    },
+    billTo: billToSchema,
+    jobTitle: {
+      type: String,
+      trim: true,
+    },
+    lineItems: [lineItemSchema],
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    totals: {
+      type: totalsSchema,
+      required: true,
+    },
+    issueDate: {
+      type: String,
+      required: true,
+      match: [DATE_ONLY_RE, 'issueDate must be in YYYY-MM-DD format'],
+    },
+    dueDate: {
+      type: String,
+      required: true,
+      match: [DATE_ONLY_RE, 'dueDate must be in YYYY-MM-DD format'],
+    },
+    paymentTermsDays: {
+      type: Number,
+      min: 0,
+    },
+    // Human-readable terms printed on the invoice, e.g. "Net 30"
+    terms: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(INVOICE_STATUS),
+      default: INVOICE_STATUS.ISSUED,
+    },
+    // Net of the job's recorded payments and refunds (see PaymentService)
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    balanceDue: {
+      type: Number,
+    },
+    // Rendered PDF in S3
+    pdfKey: {
+      type: String,
+    },
+    pdfGeneratedAt: {
+      type: Date,
+    },
+    emailHistory: [
+      {
+        to: { type: String, trim: true },
+        sentAt: { type: Date, default: Date.now },
+        sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
+    voidedAt: {
+      type: Date,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one live invoice per job
+invoiceSchema.index(
+  { job: 1 },
+  { unique: true, partialFilterExpression: { status: INVOICE_STATUS.ISSUED } }
+);
+invoiceSchema.index({ customer: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ status: 1, balanceDue: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const { JOB_STATUS } = require('../config/constants');
 const { DATE_ONLY_RE } = require('../utils/dateOnly');
+const { TIME_RE } = require('../utils/timeSlot');
+const { lineItemSchema, totalsSchema } = require('./schemas/lineItem');
+const { checklistItemSchema } = require('./schemas/checklistItem');
 
 // Sub-schema for status history
 const statusHistorySchema = new mongoose.Schema(
@@ -32,6 +35,33 @@ const statusHistorySchema = new mongoose.Schema(
       ref: 'User',
       default: null,
     },
+    // Set on reassignment — the lead the job was taken from
+    previousTechnician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Helpers on the crew after an assign / reassign / crew change
+    crewMembers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Estimated arrival given when the technician is dispatched
+    eta: {
+      type: Date,
+    },
+    // Required workflow fields an ADMIN waived for this change (e.g. acceptedQuote)
+    waivedFields: {
+      type: [String],
+      default: undefined,
+    },
+    // Required skills the lead lacked when an ADMIN overrode the skills check
+    missingSkills: {
+      type: [String],
+      default: undefined,
+    },
   },
   { _id: true }
 );
@@ -76,6 +106,36 @@ const documentSchema = new mongoose.Schema(
   { _id: true }
 );
 
+// Snapshot of the quote the customer accepted (see QuoteService)
+const acceptedQuoteSchema = new mongoose.Schema(
+  {
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quote',
+      required: true,
+    },
+    number: {
+      type: Number,
+    },
+    lineItems: [lineItemSchema],
+    taxRate: {
+      type: Number,
+    },
+    totals: {
+      type: totalsSchema,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    // Name the customer typed when accepting
+    acceptedBy: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
 const jobSchema = new mongoose.Schema(
   {
     title: {
@@ -116,15 +176,44 @@ const jobSchema = new mongoose.Schema(
       type: String,
       match: [DATE_ONLY_RE, 'scheduledDate must be in YYYY-MM-DD format'],
     },
+    // Last day of a multi-day job (inclusive); unset for single-day jobs
+    scheduledEndDate: {
+      type: String,
+      match: [DATE_ONLY_RE, 'scheduledEndDate must be in YYYY-MM-DD format'],
+    },
+    // Optional daily time window ("HH:mm", local time), applied to every day
+    // of the job. Without a start time the job books the technician all day.
+    scheduledStartTime: {
+      type: String,
+      match: [TIME_RE, 'scheduledStartTime must be in HH:mm format'],
+    },
+    scheduledEndTime: {
+      type: String,
+      match: [TIME_RE, 'scheduledEndTime must be in HH:mm format'],
+    },
+    // Minutes; used for the slot end when no end time is given
+    estimatedDuration: {
+      type: Number,
+      min: 1,
+      max: 1440,
+    },
     status: {
       type: String,
       enum: Object.values(JOB_STATUS),
       default: JOB_STATUS.TENTATIVE,
     },
+    // Crew lead
     assignedTechnician: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Helpers working under the lead
+    crewMembers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -140,20 +229,94 @@ const jobSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Kept equal to totals.total while the job has line items
     actualCost: {
       type: Number,
       min: 0,
     },
+    lineItems: [lineItemSchema],
+    // Percentage applied to the taxable line items
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+    totals: {
+      type: totalsSchema,
+      default: undefined,
+    },
+    dispatchedAt: {
+      type: Date,
+    },
+    eta: {
+      type: Date,
+    },
     completedAt: {
       type: Date,
     },
     billedAt: {
       type: Date,
     },
+    // Set while a request is issuing the job's invoice (InvoiceService)
+    invoicingAt: {
+      type: Date,
+    },
     notes: {
       type: String,
       trim: true,
     },
+    checklist: [checklistItemSchema],
+    acceptedQuote: {
+      type: acceptedQuoteSchema,
+      default: undefined,
+    },
+    // Template the job was pre-filled from, if any
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobTemplate',
+      default: null,
+    },
+    // Set while the job is ON_HOLD; cleared when it resumes
+    hold: {
+      reason: { type: String, trim: true },
+      fromStatus: { type: String, enum: Object.values(JOB_STATUS) },
+      heldBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      heldAt: { type: Date },
+    },
+    cancellation: {
+      reason: { type: String, trim: true },
+      fromStatus: { type: String, enum: Object.values(JOB_STATUS) },
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      cancelledAt: { type: Date },
+    },
+    // Set on jobs generated from a recurring series
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RecurringSeries',
+      default: null,
+    },
+    // The series occurrence this job was generated for; stays put if the
+    // job itself is rescheduled, so the occurrence is not generated again
+    occurrenceDate: {
+      type: String,
+      match: [DATE_ONLY_RE, 'occurrenceDate must be in YYYY-MM-DD format'],
+    },
+    // Set on jobs created by a CSV import, so the import can be rolled back
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportBatch',
+      default: undefined,
+    },
+    // Soft delete — trashed jobs are hidden from every query unless asked for
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -162,8 +325,71 @@ const jobSchema = new mongoose.Schema(
 
 // Index for common queries
 jobSchema.index({ status: 1, assignedTechnician: 1 });
+jobSchema.index({ status: 1, crewMembers: 1 });
 jobSchema.index({ createdAt: -1 });
 jobSchema.index({ scheduledDate: 1 });
+jobSchema.index({ scheduledEndDate: 1 });
 jobSchema.index({ jobType: 1 });
+jobSchema.index({ customer: 1 });
+jobSchema.index({ createdBy: 1 });
+jobSchema.index({ deletedAt: 1 });
+jobSchema.index({ importBatch: 1 }, { sparse: true });
+// One job per series occurrence, even if two generator runs overlap
+jobSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+);
+
+// Full-text search across the free-text job fields (GET /api/jobs?q=...)
+jobSchema.index(
+  {
+    title: 'text',
+    description: 'text',
+    notes: 'text',
+    customerName: 'text',
+    companyName: 'text',
+    address: 'text',
+  },
+  {
+    name: 'job_text_search',
+    weights: { title: 10, customerName: 5, companyName: 5, address: 3, description: 2, notes: 1 },
+  }
+);
+
+// ── Soft delete ─────────────────────────────────────────────────────
+// Every query — reads, updates, replaces and deletes alike — excludes trashed
+// jobs unless its filter mentions deletedAt or it opts in with
+// .setOptions({ withDeleted: true }).
+function excludeTrashed() {
+  if (this.getOptions().withDeleted) return;
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+  this.where({ deletedAt: null });
+}
+
+jobSchema.pre(
+  [
+    'find', 'findOne', 'countDocuments', 'distinct',
+    'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete',
+    'updateOne', 'updateMany', 'replaceOne', 'deleteMany',
+  ],
+  excludeTrashed
+);
+// deleteOne is document middleware unless asked for as query middleware
+jobSchema.pre('deleteOne', { document: false, query: true }, excludeTrashed);
+
+jobSchema.pre('aggregate', function excludeTrashedFromAggregate() {
+  if (this.options.withDeleted) return;
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+
+  // Merge into a leading $match so stages that must come first ($text) stay first
+  if (first && first.$match) {
+    if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      first.$match.deletedAt = null;
+    }
+    return;
+  }
+  pipeline.unshift({ $match: { deletedAt: null } });
+});
 
 module.exports = mongoose.model('Job', jobSchema);
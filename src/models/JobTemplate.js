@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { checklistStepSchema } = require('./schemas/checklistItem');
+
+const jobTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: 80,
+    },
+    jobType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'JobType',
+      required: [true, 'Job type is required'],
+    },
+    // Defaults for the job; anything sent with POST /api/jobs overrides them
+    title: {
+      type: String,
+      required: [true, 'Default job title is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    estimatedCost: {
+      type: Number,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    // Steps copied onto jobs created from the template
+    checklist: [checklistStepSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+jobTemplateSchema.index({ jobType: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobTemplate', jobTemplateSchema);
@@ -15,13 +15,30 @@ const jobTypeSchema = new mongoose.Schema(
       lowercase: true,
       unique: true,
     },
+    // Skills / certifications a job's lead technician must hold (matched
+    // case-insensitively against User.skills)
+    requiredSkills: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 80,
+      },
+    ],
   },
   { timestamps: false }
 );
 
+/**
+ * The normalizedName a job type name is stored and looked up under:
+ * trimmed, inner whitespace collapsed, lower-cased ('' for non-strings).
+ */
+jobTypeSchema.statics.toNormalizedName = function (name) {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+};
+
 jobTypeSchema.pre('validate', function setNormalizedName(next) {
   this.name = typeof this.name === 'string' ? this.name.trim() : this.name;
-  this.normalizedName = typeof this.name === 'string' ? this.name.toLowerCase() : this.normalizedName;
+  this.normalizedName = typeof this.name === 'string' ? this.constructor.toNormalizedName(this.name) : this.normalizedName;
   next();
 });
 
@@ -15,15 +15,22 @@ const notificationSchema = new mongoose.Schema(
         'JOB_CONFIRMED',
         'JOB_ASSIGNED',
         'JOB_REASSIGNED',
+        'JOB_DISPATCHED',
         'JOB_STARTED',
         'JOB_COMPLETED',
         'JOB_BILLED',
         'JOB_PAID',
         'JOB_CLOSED',
+        'JOB_ON_HOLD',
+        'JOB_RESUMED',
+        'JOB_CANCELLED',
         'JOB_DOCUMENT_UPLOADED',
         'JOB_DOCUMENT_DELETED',
         'JOB_UPDATED',
         'JOB_DELETED',
+        'JOB_RESTORED',
+        'QUOTE_ACCEPTED',
+        'QUOTE_DECLINED',
         'TEAM_MEMBER_JOINED',
         'TECH_TIMEOUT',
       ],
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { PAYMENT_TYPES, PAYMENT_METHODS, PAYMENT_STATUS } = require('../config/constants');
+const { DATE_ONLY_RE } = require('../utils/dateOnly');
+
+/**
+ * One entry in a job's payments ledger. Entries are never edited or
+ * deleted: a refund is its own REFUND entry, and a mistaken entry is
+ * VOIDED with who/when/why kept on it.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    // Live invoice at the time of recording; unset for deposits taken before billing
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+    },
+    type: {
+      type: String,
+      enum: Object.values(PAYMENT_TYPES),
+      default: PAYMENT_TYPES.PAYMENT,
+    },
+    // Always positive; REFUND entries are subtracted
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true,
+    },
+    // Check number, card transaction id, …
+    reference: {
+      type: String,
+      trim: true,
+    },
+    receivedDate: {
+      type: String,
+      required: true,
+      match: [DATE_ONLY_RE, 'receivedDate must be in YYYY-MM-DD format'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PAYMENT_STATUS),
+      default: PAYMENT_STATUS.RECORDED,
+    },
+    voidedAt: {
+      type: Date,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ job: 1, createdAt: 1 });
+paymentSchema.index({ invoice: 1 });
+paymentSchema.index({ receivedDate: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { QUOTE_STATUS } = require('../config/constants');
+const { DATE_ONLY_RE } = require('../utils/dateOnly');
+const { lineItemSchema, totalsSchema } = require('./schemas/lineItem');
+
+const quoteSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    // 1, 2, 3 … per job
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+    },
+    lineItems: {
+      type: [lineItemSchema],
+      validate: [(items) => items.length > 0, 'A quote needs at least one line item'],
+    },
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    totals: {
+      type: totalsSchema,
+      required: true,
+    },
+    // Terms / message shown to the customer
+    notes: {
+      type: String,
+      trim: true,
+    },
+    // Last day the customer can accept (inclusive)
+    validUntil: {
+      type: String,
+      required: true,
+      match: [DATE_ONLY_RE, 'validUntil must be in YYYY-MM-DD format'],
+    },
+    status: {
+      type: String,
+      enum: Object.values(QUOTE_STATUS),
+      default: QUOTE_STATUS.DRAFT,
+    },
+    // Public accept/decline link token, issued when the quote is first sent
+    token: {
+      type: String,
+    },
+    sentTo: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    sentAt: {
+      type: Date,
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    respondedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: String,
+      trim: true,
+    },
+    declineReason: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+quoteSchema.index({ job: 1, number: 1 }, { unique: true });
+quoteSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { token: { $type: 'string' } } });
+quoteSchema.index({ status: 1 });
+
+/**
+ * Generate a secure public link token.
+ */
+quoteSchema.statics.generateToken = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+module.exports = mongoose.model('Quote', quoteSchema);
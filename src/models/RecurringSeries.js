@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { JOB_STATUS, SERIES_STATUS, SERIES_GENERATED_STATUSES } = require('../config/constants');
+const { DATE_ONLY_RE } = require('../utils/dateOnly');
+const { TIME_RE } = require('../utils/timeSlot');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+
+// Recurrence rule — see utils/recurrence.js
+const ruleSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true,
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      max: 99,
+      default: 1,
+    },
+    byWeekday: {
+      type: [{ type: String, enum: WEEKDAYS }],
+      default: undefined,
+    },
+    byMonthDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    until: {
+      type: String,
+      match: [DATE_ONLY_RE, 'until must be in YYYY-MM-DD format'],
+    },
+    count: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Fields copied onto every generated job
+const templateSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Job title is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    jobType: {
+      type: String,
+      required: [true, 'Job type is required'],
+      trim: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: [true, 'Customer is required'],
+    },
+    companyName: {
+      type: String,
+      trim: true,
+    },
+    estimatedCost: {
+      type: Number,
+      min: 0,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    scheduledStartTime: {
+      type: String,
+      match: [TIME_RE, 'scheduledStartTime must be in HH:mm format'],
+    },
+    scheduledEndTime: {
+      type: String,
+      match: [TIME_RE, 'scheduledEndTime must be in HH:mm format'],
+    },
+    estimatedDuration: {
+      type: Number,
+      min: 1,
+      max: 1440,
+    },
+    // Days each occurrence spans (scheduledEndDate = occurrence + durationDays - 1)
+    durationDays: {
+      type: Number,
+      min: 1,
+      max: 31,
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+const recurringSeriesSchema = new mongoose.Schema(
+  {
+    template: {
+      type: templateSchema,
+      required: true,
+    },
+    rule: {
+      type: ruleSchema,
+      required: true,
+    },
+    // First possible occurrence (RRULE DTSTART)
+    startDate: {
+      type: String,
+      required: [true, 'Start date is required'],
+      match: [DATE_ONLY_RE, 'startDate must be in YYYY-MM-DD format'],
+    },
+    generatedStatus: {
+      type: String,
+      enum: SERIES_GENERATED_STATUSES,
+      default: JOB_STATUS.TENTATIVE,
+    },
+    // How far ahead occurrences are created as jobs
+    generateAheadDays: {
+      type: Number,
+      min: 1,
+      max: 366,
+      default: 60,
+    },
+    // Occurrence dates that were skipped and must not be generated
+    skippedDates: {
+      type: [{ type: String, match: DATE_ONLY_RE }],
+      default: [],
+    },
+    // Last day the generator has covered
+    generatedThrough: {
+      type: String,
+      match: DATE_ONLY_RE,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(SERIES_STATUS),
+      default: SERIES_STATUS.ACTIVE,
+    },
+    stoppedAt: {
+      type: Date,
+    },
+    stoppedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+recurringSeriesSchema.index({ status: 1 });
+recurringSeriesSchema.index({ 'template.customer': 1 });
+
+module.exports = mongoose.model('RecurringSeries', recurringSeriesSchema);
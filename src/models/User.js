@@ -1,6 +1,32 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { ROLES } = require('../config/constants');
+const { DATE_ONLY_RE } = require('../utils/dateOnly');
+
+// A skill or certification held by a technician. Certifications carry an
+// expiry date (valid through that day); plain skills have none.
+const skillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Skill name is required'],
+      trim: true,
+      maxlength: 80,
+    },
+    expiresOn: {
+      type: String,
+      match: [DATE_ONLY_RE, 'expiresOn must be in YYYY-MM-DD format'],
+    },
+    // Licence / certificate number
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -31,12 +57,24 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Matched against JobType.requiredSkills when assigning a lead
+    skills: [skillSchema],
+    // Secret in the user's iCal feed URLs; regenerating it revokes the old URLs
+    calendarToken: {
+      type: String,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index(
+  { calendarToken: 1 },
+  { unique: true, partialFilterExpression: { calendarToken: { $type: 'string' } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -49,10 +87,15 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.generateCalendarToken = function () {
+  return crypto.randomBytes(32).toString('hex');
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarToken;
   return user;
 };
 
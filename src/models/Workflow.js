@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { ROLES, JOB_STATUS, WORKFLOW_REQUIRED_FIELDS } = require('../config/constants');
+
+// Sub-schema for a single allowed status change
+const transitionSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: Object.values(JOB_STATUS),
+      required: true,
+    },
+    to: {
+      type: String,
+      enum: Object.values(JOB_STATUS),
+      required: true,
+    },
+    roles: {
+      type: [{ type: String, enum: Object.values(ROLES) }],
+      default: [],
+    },
+    requiredFields: {
+      type: [{ type: String, enum: WORKFLOW_REQUIRED_FIELDS }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const workflowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Workflow name is required'],
+      trim: true,
+      maxlength: 80,
+    },
+    // Lower-cased job type name (matches JobType.normalizedName).
+    // Null for the default workflow used by job types without their own.
+    jobType: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    // Pipeline order — revert steps a job back through this list
+    statuses: {
+      type: [{ type: String, enum: Object.values(JOB_STATUS) }],
+      default: [],
+    },
+    initialStatus: {
+      type: String,
+      enum: Object.values(JOB_STATUS),
+      required: true,
+    },
+    transitions: [transitionSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// One workflow per job type, and a single default (jobType: null)
+workflowSchema.index({ jobType: 1 }, { unique: true });
+
+module.exports = mongoose.model('Workflow', workflowSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { CHECKLIST_LABEL_MAX_LENGTH } = require('../../utils/checklist');
+
+/**
+ * Checklist sub-schemas. A job template holds the steps; a job created from
+ * it gets a copy of each step plus who ticked it off and when.
+ */
+
+const label = {
+  type: String,
+  required: true,
+  trim: true,
+  maxlength: CHECKLIST_LABEL_MAX_LENGTH,
+};
+
+// A step on a job template
+const checklistStepSchema = new mongoose.Schema(
+  { label },
+  { _id: false }
+);
+
+// A step on a job — ticked off through PATCH /api/jobs/:id/checklist/:itemId
+const checklistItemSchema = new mongoose.Schema(
+  {
+    label,
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    doneBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    doneAt: {
+      type: Date,
+    },
+  },
+  { _id: true }
+);
+
+module.exports = {
+  checklistStepSchema,
+  checklistItemSchema,
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { LINE_ITEM_TYPES } = require('../../config/constants');
+
+/**
+ * Line item sub-schemas shared by jobs and the financial documents built
+ * from them. `amount` and the totals are computed by utils/lineItems.js,
+ * never taken from the client.
+ */
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(LINE_ITEM_TYPES),
+      required: true,
+    },
+    description: {
+      type: String,
+      required: [true, 'Line item description is required'],
+      trim: true,
+      maxlength: 300,
+    },
+    // Hours for LABOR, units for everything else
+    quantity: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+    // Hourly rate for LABOR; DISCOUNT lines store a positive price that is subtracted
+    unitPrice: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    taxable: {
+      type: Boolean,
+      default: true,
+    },
+    // quantity × unitPrice, negative for DISCOUNT
+    amount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: true }
+);
+
+const totalsSchema = new mongoose.Schema(
+  {
+    labor: { type: Number, default: 0 },
+    materials: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    discounts: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+module.exports = { lineItemSchema, totalsSchema };
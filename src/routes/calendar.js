@@ -0,0 +1,114 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/constants');
+const CalendarService = require('../services/CalendarService');
+
+const router = express.Router();
+
+function sendCalendar(res, fileName, body) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(body);
+}
+
+// Absolute feed URLs for the calendar app to subscribe to
+function describeFeeds(req, user, token) {
+  const paths = CalendarService.getFeedPaths(user, token);
+  if (!paths) return null;
+  const base = `${req.protocol}://${req.get('host')}`;
+  return Object.fromEntries(Object.entries(paths).map(([key, path]) => [key, `${base}${path}`]));
+}
+
+// ── Public feeds — the token in the URL is the credential ──────────
+
+// ── GET /api/calendar/feeds/:token/my.ics ─ the user's own schedule ─
+router.get('/feeds/:token/my.ics', async (req, res) => {
+  try {
+    const user = await CalendarService.findFeedOwner(req.params.token);
+    if (!user) return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+
+    sendCalendar(res, 'my-jobs.ics', await CalendarService.buildTechnicianFeed(user));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/calendar/feeds/:token/office.ics ─ every scheduled job ─
+router.get('/feeds/:token/office.ics', async (req, res) => {
+  try {
+    const user = await CalendarService.findFeedOwner(req.params.token);
+    if (!user || ![ROLES.ADMIN, ROLES.OFFICE_MANAGER].includes(user.role)) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
+
+    sendCalendar(res, 'all-jobs.ics', await CalendarService.buildOfficeFeed());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── Token management ────────────────────────────────────────────────
+
+// ── GET /api/calendar/token ─ my feed URLs (null until generated) ───
+router.get('/token', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    res.json({ success: true, data: { feeds: describeFeeds(req, user, user.calendarToken) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/calendar/token ─ (re)generate my feed URLs ────────────
+// Any previously issued URLs stop working.
+router.post('/token', authenticate, async (req, res) => {
+  try {
+    const result = await CalendarService.regenerateToken(req.user._id);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    const { user, token } = result.data;
+    res.status(201).json({ success: true, data: { feeds: describeFeeds(req, user, token) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── DELETE /api/calendar/token ─ revoke my feed URLs ────────────────
+router.delete('/token', authenticate, async (req, res) => {
+  try {
+    const result = await CalendarService.revokeToken(req.user._id);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+    res.json({ success: true, message: 'Calendar feed revoked' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── DELETE /api/calendar/token/:userId (ADMIN) ─ revoke someone's feed
+router.delete(
+  '/token/:userId',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  [param('userId').isMongoId().withMessage('Invalid user ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await CalendarService.revokeToken(req.params.userId);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.json({ success: true, message: `Calendar feed revoked for ${result.data.name}` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -4,21 +4,44 @@ const Customer = require('../models/Customer');
 const Job = require('../models/Job');
 const { authenticate, authorize } = require('../middleware/auth');
 const { ROLES } = require('../config/constants');
+const { parseListOptions, getSelectableFields, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
+const CUSTOMER_LIST_FIELDS = getSelectableFields(Customer);
+
 router.use(authenticate);
 
 // ── GET /api/customers ─ list all customers ─────────────────────────
+// Returns the full list unless page/limit/cursor is given (the job form
+// dropdown loads every customer). See utils/pagination.js for the options.
 router.get(
   '/',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
   async (req, res) => {
     try {
-      const customers = await Customer.find()
-        .sort({ name: 1 })
-        .select('name phone email address');
-      res.json({ success: true, data: customers });
+      const { page, limit, cursor } = req.query;
+      const options = parseListOptions(req.query, { fields: CUSTOMER_LIST_FIELDS });
+      if (options.error) {
+        return res.status(400).json({ success: false, error: options.error });
+      }
+
+      if (page === undefined && limit === undefined && cursor === undefined) {
+        const customers = await Customer.find({}, options.projection || 'name phone email address')
+          .sort({ name: 1, _id: 1 });
+        return res.json({ success: true, data: customers });
+      }
+
+      const result = await paginate(Customer, {
+        filter: {},
+        sort: { name: 1, _id: 1 },
+        options,
+      });
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, data: result.data, pagination: result.pagination });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -131,12 +154,12 @@ router.delete(
         return res.status(404).json({ success: false, error: 'Customer not found' });
       }
 
-      // Check if customer has linked jobs
-      const jobCount = await Job.countDocuments({ customer: customer._id });
+      // Check if customer has linked jobs (trashed jobs count — they can still be restored)
+      const jobCount = await Job.countDocuments({ customer: customer._id }).setOptions({ withDeleted: true });
       if (jobCount > 0) {
         return res.status(400).json({
           success: false,
-          error: `Cannot delete customer with ${jobCount} linked job(s). Remove or reassign the jobs first.`,
+          error: `Cannot delete customer with ${jobCount} linked job(s), including any in the trash. Remove or reassign the jobs first.`,
         });
       }
 
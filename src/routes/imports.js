@@ -0,0 +1,135 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const ImportBatch = require('../models/ImportBatch');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES, IMPORT_TYPES } = require('../config/constants');
+const ImportService = require('../services/ImportService');
+const { parseListOptions, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN));
+
+// CSV arrives as the raw request body (Content-Type: text/csv, up to 10mb),
+// or as JSON { csv, fileName, dryRun } within the app-wide JSON body limit
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' });
+
+function readUpload(req) {
+  const isJson = req.body && typeof req.body === 'object';
+  const csv = isJson ? req.body.csv : req.body;
+  const dryRun = String(req.query.dryRun ?? (isJson ? req.body.dryRun : '')) === 'true';
+  const fileName = req.query.fileName || (isJson ? req.body.fileName : undefined) || undefined;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return { error: 'Send the CSV as a text/csv body, or as JSON { "csv": "..." }' };
+  }
+  return { csv, dryRun, fileName };
+}
+
+function importHandler(importFn) {
+  return async (req, res) => {
+    try {
+      const upload = readUpload(req);
+      if (upload.error) return res.status(400).json({ success: false, error: upload.error });
+
+      const result = await importFn(upload.csv, { dryRun: upload.dryRun, fileName: upload.fileName }, req.user);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.status(upload.dryRun ? 200 : 201).json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// ── POST /api/imports/customers ─ import customers from CSV ─────────
+// Columns: name (required), email, phone, address. ?dryRun=true validates only.
+router.post('/customers', csvBody, importHandler(ImportService.importCustomers));
+
+// ── POST /api/imports/jobs ─ import historical jobs from CSV ────────
+// Columns: title (required), status, jobType, customerName/Email/Phone,
+// companyName, address, scheduledDate, scheduledEndDate, start/end time,
+// estimatedCost, actualCost, technicianEmail, notes, completedAt, billedAt.
+// ?dryRun=true validates only.
+router.post('/jobs', csvBody, importHandler(ImportService.importJobs));
+
+// ── GET /api/imports ─ import history ───────────────────────────────
+// ?type=CUSTOMERS|JOBS; paginated (utils/pagination.js)
+router.get('/', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const filter = {};
+    if (req.query.type) {
+      if (!Object.values(IMPORT_TYPES).includes(req.query.type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${Object.values(IMPORT_TYPES).join(', ')}` });
+      }
+      filter.type = req.query.type;
+    }
+
+    const result = await paginate(ImportBatch, {
+      filter,
+      sort: { createdAt: -1, _id: -1 },
+      options,
+      populate: [
+        { path: 'createdBy', select: 'name email' },
+        { path: 'rolledBackBy', select: 'name email' },
+      ],
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, pagination: result.pagination });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/imports/:id ────────────────────────────────────────────
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid import ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const batch = await ImportBatch.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('rolledBackBy', 'name email');
+      if (!batch) return res.status(404).json({ success: false, error: 'Import batch not found' });
+
+      res.json({ success: true, data: batch });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/imports/:id/rollback ─ remove everything an import created
+router.post(
+  '/:id/rollback',
+  [param('id').isMongoId().withMessage('Invalid import ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await ImportService.rollbackImport(req.params.id, req.user);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
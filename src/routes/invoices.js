@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES, INVOICE_STATUS } = require('../config/constants');
+const InvoiceService = require('../services/InvoiceService');
+const PaymentService = require('../services/PaymentService');
+const { getIO } = require('../socket');
+const { parseListOptions, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER));
+
+function broadcastJobUpdate() {
+  const io = getIO();
+  if (io) io.emit('jobs:updated');
+}
+
+// ── GET /api/invoices ─ list invoices ───────────────────────────────
+// ?status=ISSUED|VOID, ?job=<id>, ?customer=<id>; paginated (utils/pagination.js)
+router.get('/', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const filter = {};
+    if (req.query.status) {
+      if (!Object.values(INVOICE_STATUS).includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${Object.values(INVOICE_STATUS).join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    for (const key of ['job', 'customer']) {
+      if (req.query[key]) {
+        if (!mongoose.isValidObjectId(req.query[key])) {
+          return res.status(400).json({ success: false, error: `${key} must be a valid ID` });
+        }
+        filter[key] = req.query[key];
+      }
+    }
+
+    const result = await paginate(Invoice, {
+      filter,
+      sort: { sequence: -1, _id: -1 },
+      options,
+      populate: [
+        { path: 'job', select: 'title status' },
+        { path: 'createdBy', select: 'name email' },
+      ],
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, pagination: result.pagination });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/invoices ─ issue (or retry) the invoice of a BILLED job ─
+// Body: { job } — returns the job's live invoice if it already has one
+router.post(
+  '/',
+  [body('job').isMongoId().withMessage('Invalid job ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await InvoiceService.issueInvoice(req.body.job, req.user);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      // Deposits may already cover the whole invoice
+      const statusChange = await PaymentService.syncJobPaymentStatus(req.body.job, req.user);
+      if (statusChange) broadcastJobUpdate();
+
+      res.json({ success: true, data: result.data, jobStatus: statusChange?.status });
+    } catch (error) {
+      console.error('Invoice issue error:', error);
+      res.status(500).json({ success: false, error: 'Failed to issue invoice' });
+    }
+  }
+);
+
+// ── GET /api/invoices/:id ───────────────────────────────────────────
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid invoice ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const invoice = await Invoice.findById(req.params.id)
+        .populate('job', 'title status')
+        .populate('customer', 'name email phone address')
+        .populate('createdBy', 'name email')
+        .populate('voidedBy', 'name email')
+        .populate('emailHistory.sentBy', 'name email');
+      if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
+
+      res.json({ success: true, data: invoice });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── GET /api/invoices/:id/pdf ─ presigned download URL ──────────────
+router.get(
+  '/:id/pdf',
+  [param('id').isMongoId().withMessage('Invalid invoice ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const invoice = await Invoice.findById(req.params.id);
+      if (!invoice) return res.status(404).json({ success: false, error: 'Invoice not found' });
+
+      const url = await InvoiceService.getInvoicePdfUrl(invoice);
+      res.json({ success: true, data: { url } });
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/invoices/:id/email ─ send the PDF to the customer ─────
+// Body: { to? } — defaults to the bill-to email
+router.post(
+  '/:id/email',
+  [
+    param('id').isMongoId().withMessage('Invalid invoice ID'),
+    body('to').optional().isEmail().withMessage('Invalid email address'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await InvoiceService.emailInvoice(req.params.id, req.user, { to: req.body.to });
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      const lastSend = result.data.emailHistory[result.data.emailHistory.length - 1];
+      res.json({ success: true, message: `Invoice emailed to ${lastSend.to}`, data: result.data });
+    } catch (error) {
+      console.error('Invoice email error:', error);
+      res.status(500).json({ success: false, error: 'Failed to email invoice' });
+    }
+  }
+);
+
+module.exports = router;
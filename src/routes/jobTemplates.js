@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const JobTemplate = require('../models/JobTemplate');
+const JobType = require('../models/JobType');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/constants');
+const { getChecklistLabel, validateChecklistItem } = require('../utils/checklist');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER));
+
+const templateValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('Template name is required').isString().trim(),
+    field('jobTypeId').isMongoId().withMessage('Valid job type ID required'),
+    field('title').notEmpty().withMessage('Default job title is required').isString().trim(),
+    body('description').optional().isString().trim(),
+    body('notes').optional().isString().trim(),
+    body('estimatedCost').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Must be a positive number').toFloat(),
+    body('checklist').optional().isArray({ max: 50 }).withMessage('checklist must be an array of at most 50 items'),
+    body('checklist.*').custom(validateChecklistItem),
+  ];
+};
+
+// Accept ["Step"] or [{ label: "Step" }]
+function normalizeChecklist(items) {
+  return items.map((item) => ({ label: getChecklistLabel(item).trim() }));
+}
+
+function pickTemplateFields(reqBody) {
+  const data = {};
+  ['name', 'title', 'description', 'notes', 'estimatedCost'].forEach((key) => {
+    if (reqBody[key] !== undefined) data[key] = reqBody[key];
+  });
+  if (reqBody.jobTypeId !== undefined) data.jobType = reqBody.jobTypeId;
+  if (reqBody.checklist !== undefined) data.checklist = normalizeChecklist(reqBody.checklist);
+  return data;
+}
+
+function duplicateNameError(error) {
+  return error.code === 11000 ? 'A template with this name already exists for the job type' : null;
+}
+
+// ── GET /api/job-templates ─ list templates ─────────────────────────
+// ?jobTypeId=<id> narrows to one job type
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.jobTypeId) filter.jobType = req.query.jobTypeId;
+
+    const templates = await JobTemplate.find(filter)
+      .populate('jobType', 'name')
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/job-templates/:id ──────────────────────────────────────
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid template ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const template = await JobTemplate.findById(req.params.id)
+        .populate('jobType', 'name')
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email');
+      if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+      res.json({ success: true, data: template });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/job-templates ─ create template ───────────────────────
+router.post('/', templateValidators(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const jobType = await JobType.findById(req.body.jobTypeId).lean();
+    if (!jobType) return res.status(404).json({ success: false, error: 'Job type not found' });
+
+    const template = await JobTemplate.create({
+      ...pickTemplateFields(req.body),
+      createdBy: req.user._id,
+    });
+    await template.populate('jobType', 'name');
+
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    const duplicate = duplicateNameError(error);
+    if (duplicate) return res.status(400).json({ success: false, error: duplicate });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── PUT /api/job-templates/:id ─ update template ────────────────────
+// Jobs already created from the template keep their copied values
+router.put(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid template ID'), ...templateValidators(true)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      if (req.body.jobTypeId) {
+        const jobType = await JobType.findById(req.body.jobTypeId).lean();
+        if (!jobType) return res.status(404).json({ success: false, error: 'Job type not found' });
+      }
+
+      const template = await JobTemplate.findByIdAndUpdate(
+        req.params.id,
+        { ...pickTemplateFields(req.body), updatedBy: req.user._id },
+        { new: true, runValidators: true }
+      ).populate('jobType', 'name');
+      if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+      res.json({ success: true, data: template });
+    } catch (error) {
+      const duplicate = duplicateNameError(error);
+      if (duplicate) return res.status(400).json({ success: false, error: duplicate });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── DELETE /api/job-templates/:id ───────────────────────────────────
+router.delete(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid template ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const template = await JobTemplate.findByIdAndDelete(req.params.id);
+      if (!template) return res.status(404).json({ success: false, error: 'Template not found' });
+
+      res.json({ success: true, message: `Template "${template.name}" deleted` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
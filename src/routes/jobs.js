@@ -1,16 +1,31 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Job = require('../models/Job');
 const JobType = require('../models/JobType');
-const User = require('../models/User');
+const JobTemplate = require('../models/JobTemplate');
 const { authenticate, authorize } = require('../middleware/auth');
-const { ROLES, JOB_STATUS } = require('../config/constants');
+const { ROLES, JOB_STATUS, TECH_VISIBLE_STATUSES } = require('../config/constants');
 const JobService = require('../services/JobService');
+const LineItemService = require('../services/LineItemService');
+const InvoiceService = require('../services/InvoiceService');
+const PaymentService = require('../services/PaymentService');
+const SkillService = require('../services/SkillService');
+const { getWorkflowForJobType } = require('../services/WorkflowService');
 const Customer = require('../models/Customer');
 const TechTimeout = require('../models/TechTimeout');
 const { createNotification } = require('../services/NotificationService');
+const { getRetentionDays, purgeJob } = require('../services/TrashService');
+const { sendJobDispatchedEmail } = require('../services/EmailService');
 const { getIO } = require('../socket');
-const { normalizeDateOnly, isDateOnly, toLocalDateOnly } = require('../utils/dateOnly');
+const { normalizeDateOnly, isDateOnly, validateScheduledDate } = require('../utils/dateOnly');
+const { buildJobQuery } = require('../utils/jobQuery');
+const { EXPORT_FORMATS, streamJobExport } = require('../services/ExportService');
+const { recommendTechnicians } = require('../services/RecommendationService');
+const { getCrewIds, isOnCrew } = require('../utils/crew');
+const { TIME_RE, validateTimeWindow } = require('../utils/timeSlot');
+const { validateLineItem } = require('../utils/lineItems');
+const { validateChecklistItem } = require('../utils/checklist');
+const { parseListOptions, getSelectableFields, paginate } = require('../utils/pagination');
 const {
   buildDocumentKey,
   getUploadUrl,
@@ -21,40 +36,13 @@ const {
 
 const router = express.Router();
 
+const JOB_LIST_FIELDS = getSelectableFields(Job);
+
 function broadcastJobUpdate() {
   const io = getIO();
   if (io) io.emit('jobs:updated');
 }
 
-const TECH_VISIBLE_STATUSES = [
-  JOB_STATUS.ASSIGNED,
-  JOB_STATUS.IN_PROGRESS,
-  JOB_STATUS.COMPLETED,
-  JOB_STATUS.BILLED,
-  JOB_STATUS.PAID,
-  JOB_STATUS.CLOSED,
-];
-
-function normalizeJobType(value) {
-  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
-}
-
-async function ensureJobTypeSaved(name) {
-  const normalizedName = normalizeJobType(name);
-  if (!normalizedName) return;
-
-  await JobType.findOneAndUpdate(
-    { normalizedName: normalizedName.toLowerCase() },
-    {
-      $setOnInsert: {
-        name: normalizedName,
-        normalizedName: normalizedName.toLowerCase(),
-      },
-    },
-    { upsert: true, new: true }
-  );
-}
-
 async function getJobTypeUsageMap() {
   const usage = await Job.aggregate([
     { $match: { jobType: { $exists: true, $ne: '' } } },
@@ -83,6 +71,7 @@ async function listJobTypesWithUsage() {
   return types.map((type) => ({
     _id: type._id,
     name: type.name,
+    requiredSkills: type.requiredSkills || [],
     usageCount: usageMap.get(type.normalizedName)?.usageCount || 0,
     jobTitles: usageMap.get(type.normalizedName)?.jobTitles || [],
   }));
@@ -93,96 +82,116 @@ function canAccessJob(user, job) {
   if ([ROLES.ADMIN, ROLES.OFFICE_MANAGER].includes(user.role)) return true;
   if (user.role !== ROLES.TECHNICIAN) return false;
   if (!TECH_VISIBLE_STATUSES.includes(job.status)) return false;
-  const techId = job.assignedTechnician?._id || job.assignedTechnician;
-  return techId?.toString() === user._id.toString();
+  return isOnCrew(job, user._id);
+}
+
+/**
+ * Issue the invoice for a job that was just moved to BILLED. If that fails,
+ * the job is reverted out of BILLED so it is never billed without an invoice.
+ * A 409 means another request is issuing it — the billing stands.
+ * @returns {Promise<{ data } | { error, status, job }>}
+ */
+async function issueInvoiceOrUnbill(jobId, user) {
+  let failure;
+  try {
+    const issued = await InvoiceService.issueInvoice(jobId, user);
+    if (!issued.error || issued.status === 409) return issued;
+    failure = issued;
+  } catch (err) {
+    failure = { error: err.message, status: 500 };
+  }
+  console.error(`Failed to issue invoice for job ${jobId}:`, failure.error);
+
+  const reverted = await JobService.revertStatus(jobId, user).catch((err) => ({ error: err.message }));
+  if (reverted.error) {
+    return {
+      error: `Job was billed but its invoice could not be issued (${failure.error}) — retry with POST /api/invoices`,
+      status: failure.status,
+    };
+  }
+  return {
+    error: `Invoice could not be issued (${failure.error}) — job returned to ${reverted.revertedTo}`,
+    status: failure.status,
+    job: reverted.data,
+  };
 }
 
 function normalizeDocNote(note) {
   return typeof note === 'string' ? note.trim() : '';
 }
 
-function validateScheduledDate(value) {
-  const normalized = normalizeDateOnly(value);
-  if (!isDateOnly(normalized)) {
-    throw new Error('Invalid date format. Use YYYY-MM-DD');
-  }
-  if (normalized < toLocalDateOnly()) {
-    throw new Error('Scheduled date cannot be in the past');
-  }
-  return true;
-}
+// Optional last day and daily time window; '' or null clears a field on update
+const timeWindowValidators = [
+  body('scheduledEndDate').optional({ values: 'falsy' }).custom((value, { req }) => {
+    const normalized = normalizeDateOnly(value);
+    if (!isDateOnly(normalized)) throw new Error('Invalid scheduledEndDate format. Use YYYY-MM-DD');
+    const start = normalizeDateOnly(req.body.scheduledDate);
+    if (start && normalized < start) throw new Error('scheduledEndDate must be on or after scheduledDate');
+    return true;
+  }),
+  body('scheduledStartTime').optional({ values: 'falsy' }).matches(TIME_RE).withMessage('scheduledStartTime must be in HH:mm format'),
+  body('scheduledEndTime').optional({ values: 'falsy' }).matches(TIME_RE).withMessage('scheduledEndTime must be in HH:mm format'),
+  // '' clears it, but 0 must be rejected here rather than by the schema's min
+  body('estimatedDuration').optional({ values: 'null' }).if((value) => value !== '').isInt({ min: 1, max: 1440 }).withMessage('estimatedDuration must be between 1 and 1440 minutes').toInt(),
+];
 
 router.use(authenticate);
 
 // ── GET /api/jobs ────────────────────────────────────────────────────
+// Search + filter query language: see utils/jobQuery.js
+// Pagination, ?fields= and ?count=false: see utils/pagination.js
 router.get('/', async (req, res) => {
   try {
-    const { status, assignedTechnician, jobType, page = 1, limit = 20 } = req.query;
-    const filter = {};
+    const options = parseListOptions(req.query, { maxLimit: 200, fields: JOB_LIST_FIELDS });
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
 
-    if (req.user.role === ROLES.TECHNICIAN) {
-      filter.assignedTechnician = req.user._id;
-      // Technicians see all assigned jobs immediately
-      const techVisibleStatuses = [
-        JOB_STATUS.ASSIGNED,
-        JOB_STATUS.IN_PROGRESS,
-        JOB_STATUS.COMPLETED,
-        JOB_STATUS.BILLED,
-        JOB_STATUS.PAID,
-        JOB_STATUS.CLOSED,
-      ];
-      filter.status = status
-        ? (techVisibleStatuses.includes(status) ? status : '__none__')
-        : { $in: techVisibleStatuses };
-    } else if (req.user.role === ROLES.OFFICE_MANAGER) {
-      // Managers see everything including TENTATIVE
-      const managerVisibleStatuses = [
-        JOB_STATUS.TENTATIVE,
-        JOB_STATUS.CONFIRMED,
-        JOB_STATUS.ASSIGNED,
-        JOB_STATUS.IN_PROGRESS,
-        JOB_STATUS.COMPLETED,
-        JOB_STATUS.BILLED,
-        JOB_STATUS.PAID,
-        JOB_STATUS.CLOSED,
-      ];
-      filter.status = status
-        ? (managerVisibleStatuses.includes(status) ? status : '__none__')
-        : { $in: managerVisibleStatuses };
-    } else {
-      // ADMIN sees everything
-      if (status) filter.status = status;
-    }
-    if (assignedTechnician && req.user.role !== ROLES.TECHNICIAN) {
-      filter.assignedTechnician = assignedTechnician;
-    }
-    if (jobType) {
-      filter.jobType = normalizeJobType(jobType);
-    }
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const [jobs, total] = await Promise.all([
-      Job.find(filter)
-        .populate('assignedTechnician', 'name email')
-        .populate('createdBy', 'name email')
-        .populate('customer', 'name phone email address')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Job.countDocuments(filter),
-    ]);
+    const query = await buildJobQuery(req.query, req.user);
+    if (query.error) {
+      return res.status(400).json({ success: false, error: query.error });
+    }
 
-    res.json({
-      success: true,
-      data: jobs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit)),
-      },
+    const result = await paginate(Job, {
+      filter: query.filter,
+      sort: query.sort,
+      options,
+      populate: [
+        { path: 'assignedTechnician', select: 'name email' },
+        { path: 'crewMembers', select: 'name email' },
+        { path: 'createdBy', select: 'name email' },
+        { path: 'customer', select: 'name phone email address' },
+      ],
     });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, pagination: result.pagination });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/jobs/export ─ CSV / XLSX download ──────────────────────
+// Same filters and role visibility as GET /api/jobs; ?format=csv (default) | xlsx.
+// Rows are streamed from a cursor — no page size limit.
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const query = await buildJobQuery(req.query, req.user);
+    if (query.error) {
+      return res.status(400).json({ success: false, error: query.error });
+    }
+
+    await streamJobExport(res, { filter: query.filter, sort: query.sort, format });
   } catch (error) {
+    // Once rows are on the wire the only way to signal failure is to cut the download
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -211,12 +220,12 @@ router.post(
     }
 
     try {
-      const normalizedName = normalizeJobType(req.body.name);
+      const normalizedName = JobService.normalizeJobType(req.body.name);
       if (!normalizedName) {
         return res.status(400).json({ success: false, error: 'Job type name is required' });
       }
 
-      await ensureJobTypeSaved(normalizedName);
+      await JobService.ensureJobTypeSaved(normalizedName);
       const jobTypes = await listJobTypesWithUsage();
       const created = jobTypes.find((item) => item.name.toLowerCase() === normalizedName.toLowerCase());
 
@@ -227,6 +236,37 @@ router.post(
   }
 );
 
+// ── PUT /api/jobs/job-types/:id/required-skills (ADMIN) ────────────
+// Body: { requiredSkills: [name] } — the skills a lead technician must hold
+router.put(
+  '/job-types/:id/required-skills',
+  authorize(ROLES.ADMIN),
+  [
+    param('id').isMongoId().withMessage('Invalid job type ID'),
+    body('requiredSkills').isArray({ max: 20 }).withMessage('requiredSkills must be an array of at most 20 names'),
+    body('requiredSkills.*').isString().trim().isLength({ min: 1, max: 80 }).withMessage('Each required skill must be 1-80 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await SkillService.setRequiredSkills(req.params.id, req.body.requiredSkills);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      const jobTypes = await listJobTypesWithUsage();
+      const updated = jobTypes.find((item) => String(item._id) === String(result.data._id));
+      res.json({ success: true, data: { jobType: updated, jobTypes } });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // ── DELETE /api/jobs/job-types/:id (ADMIN, OFFICE_MANAGER) ─────────
 router.delete(
   '/job-types/:id',
@@ -244,6 +284,14 @@ router.delete(
         return res.status(404).json({ success: false, error: 'Job type not found' });
       }
 
+      const templateCount = await JobTemplate.countDocuments({ jobType: type._id });
+      if (templateCount > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot delete job type: ${templateCount} job template(s) still use it`,
+        });
+      }
+
       const usageCount = await Job.countDocuments({
         $expr: {
           $eq: [{ $toLower: '$jobType' }, type.normalizedName],
@@ -265,16 +313,137 @@ router.delete(
   }
 );
 
+// ── GET /api/jobs/trash (ADMIN) ─────────────────────────────────────
+// Soft-deleted jobs, most recently trashed first
+router.get('/trash', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const options = parseListOptions(req.query, { fields: JOB_LIST_FIELDS });
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const result = await paginate(Job, {
+      filter: { deletedAt: { $ne: null } },
+      sort: { deletedAt: -1, _id: -1 },
+      options,
+      populate: [
+        { path: 'deletedBy', select: 'name email' },
+        { path: 'assignedTechnician', select: 'name email' },
+        { path: 'customer', select: 'name phone email address' },
+      ],
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      retentionDays: getRetentionDays(),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/jobs/:id/restore (ADMIN) ──────────────────────────────
+router.post(
+  '/:id/restore',
+  authorize(ROLES.ADMIN),
+  [param('id').isMongoId().withMessage('Invalid job ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true }
+      )
+        .populate('assignedTechnician', 'name email')
+        .populate('crewMembers', 'name email');
+
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found in trash' });
+      }
+
+      const notifRecipientIds = [];
+      if (TECH_VISIBLE_STATUSES.includes(job.status)) {
+        notifRecipientIds.push(...getCrewIds(job));
+      }
+
+      createNotification({
+        type: 'JOB_RESTORED',
+        message: `Job "${job.title}" has been restored from the trash by ${req.user.name}`,
+        jobId: job._id,
+        recipientIds: notifRecipientIds,
+        recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+        excludeUserId: req.user._id,
+      });
+
+      broadcastJobUpdate();
+      res.json({ success: true, data: job, message: `Job "${job.title}" restored` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── DELETE /api/jobs/:id/purge (ADMIN) ──────────────────────────────
+// Permanently delete a trashed job, its S3 documents and quotes right away.
+// Jobs with invoices or payments cannot be purged (409).
+router.delete(
+  '/:id/purge',
+  authorize(ROLES.ADMIN),
+  [param('id').isMongoId().withMessage('Invalid job ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const job = await Job.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+        .select('_id title documents.key')
+        .lean();
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found in trash' });
+      }
+
+      const result = await purgeJob(job);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+      if (!result.data.purged) {
+        return res.status(404).json({ success: false, error: 'Job not found in trash' });
+      }
+
+      res.json({ success: true, message: `Job "${job.title}" permanently deleted` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // ── GET /api/jobs/:id ────────────────────────────────────────────────
 router.get('/:id', async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .populate('assignedTechnician', 'name email')
+      .populate('crewMembers', 'name email')
       .populate('createdBy', 'name email')
       .populate('customer', 'name phone email address')
       .populate('statusHistory.changedBy', 'name email role')
       .populate('statusHistory.technician', 'name email')
-      .populate('documents.uploadedBy', 'name email role');
+      .populate('statusHistory.previousTechnician', 'name email')
+      .populate('statusHistory.crewMembers', 'name email')
+      .populate('documents.uploadedBy', 'name email role')
+      .populate('checklist.doneBy', 'name email')
+      .populate('template', 'name');
 
     if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
 
@@ -285,18 +454,10 @@ router.get('/:id', async (req, res) => {
 
     // Technicians can only see ASSIGNED+ jobs
     if (req.user.role === ROLES.TECHNICIAN) {
-      const techVisibleStatuses = [
-        JOB_STATUS.ASSIGNED,
-        JOB_STATUS.IN_PROGRESS,
-        JOB_STATUS.COMPLETED,
-        JOB_STATUS.BILLED,
-        JOB_STATUS.PAID,
-        JOB_STATUS.CLOSED,
-      ];
-      if (!techVisibleStatuses.includes(job.status)) {
+      if (!TECH_VISIBLE_STATUSES.includes(job.status)) {
         return res.status(403).json({ success: false, error: 'Not authorized to view this job' });
       }
-      if (job.assignedTechnician?._id.toString() !== req.user._id.toString()) {
+      if (!isOnCrew(job, req.user._id)) {
         return res.status(403).json({ success: false, error: 'Not authorized to view this job' });
       }
     }
@@ -312,10 +473,21 @@ router.post(
   '/',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
   [
-    body('title').notEmpty().withMessage('Job title is required'),
+    body('templateId').optional().isMongoId().withMessage('Invalid template ID'),
+    // Title and job type may come from the template instead
+    body('title').if(body('templateId').not().exists()).notEmpty().withMessage('Job title is required'),
     body('customerId').notEmpty().withMessage('Customer is required').isMongoId().withMessage('Invalid customer ID'),
-    body('jobType').notEmpty().withMessage('Job type is required').isString().withMessage('Job type must be a string'),
+    body('jobType').if(body('templateId').not().exists()).notEmpty().withMessage('Job type is required'),
+    body('jobType').optional().isString().withMessage('Job type must be a string'),
+    body('checklist').optional().isArray({ max: 50 }).withMessage('checklist must be an array of at most 50 items'),
+    body('checklist.*').custom(validateChecklistItem),
     body('scheduledDate').notEmpty().withMessage('Scheduled date is required').custom(validateScheduledDate),
+    ...timeWindowValidators,
+    body().custom((value) => {
+      const err = validateTimeWindow(value);
+      if (err) throw new Error(err);
+      return true;
+    }),
     body('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Must be a positive number'),
     body('companyName').optional().trim(),
   ],
@@ -332,13 +504,25 @@ router.post(
         return res.status(404).json({ success: false, error: 'Customer not found' });
       }
 
-      req.body.jobType = normalizeJobType(req.body.jobType);
-      if (!req.body.jobType) {
+      let jobData = req.body;
+      if (req.body.templateId) {
+        const result = await JobService.applyJobTemplate(req.body.templateId, req.body);
+        if (result.error) {
+          return res.status(result.status).json({ success: false, error: result.error });
+        }
+        jobData = result.data;
+      }
+
+      jobData.jobType = JobService.normalizeJobType(jobData.jobType);
+      if (!jobData.jobType) {
         return res.status(400).json({ success: false, error: 'Job type is required' });
       }
-      await ensureJobTypeSaved(req.body.jobType);
+      if (!jobData.title || !String(jobData.title).trim()) {
+        return res.status(400).json({ success: false, error: 'Job title is required' });
+      }
+      await JobService.ensureJobTypeSaved(jobData.jobType);
 
-      const job = await JobService.createJob(req.body, req.user._id);
+      const job = await JobService.createJob(jobData, req.user._id);
 
       // Notify admins and managers
       createNotification({
@@ -374,7 +558,7 @@ router.post(
     }
 
     try {
-      const job = await Job.findById(req.params.id).select('_id title status assignedTechnician');
+      const job = await Job.findById(req.params.id).select('_id title status assignedTechnician crewMembers');
       if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
       if (!canAccessJob(req.user, job)) {
         return res.status(403).json({ success: false, error: 'Not authorized to upload documents for this job' });
@@ -436,8 +620,7 @@ router.post(
 
     try {
       const job = await Job.findById(req.params.id)
-        .select('_id title status assignedTechnician documents')
-        .populate('assignedTechnician', 'name email');
+        .select('_id title status assignedTechnician crewMembers documents');
 
       if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
       if (!canAccessJob(req.user, job)) {
@@ -474,8 +657,7 @@ router.post(
         ? `${req.user.name} uploaded "${firstFile}" to job "${job.title}"`
         : `${req.user.name} uploaded ${latest.length} documents to job "${job.title}"`;
 
-      const recipientIds = [];
-      if (job.assignedTechnician?._id) recipientIds.push(job.assignedTechnician._id);
+      const recipientIds = getCrewIds(job);
 
       createNotification({
         type: 'JOB_DOCUMENT_UPLOADED',
@@ -499,7 +681,7 @@ router.post(
 router.get('/:id/documents/:docId/url', async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
-      .select('_id status assignedTechnician documents');
+      .select('_id status assignedTechnician crewMembers documents');
 
     if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
     if (!canAccessJob(req.user, job)) {
@@ -533,8 +715,7 @@ router.get('/:id/documents/:docId/url', async (req, res) => {
 router.delete('/:id/documents/:docId', async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
-      .select('_id title status assignedTechnician documents')
-      .populate('assignedTechnician', 'name email');
+      .select('_id title status assignedTechnician crewMembers documents');
 
     if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
     if (!canAccessJob(req.user, job)) {
@@ -559,9 +740,8 @@ router.delete('/:id/documents/:docId', async (req, res) => {
     job.documents.pull(req.params.docId);
     await job.save();
 
-    // Notify admins/managers + assigned tech
-    const recipientIds = [];
-    if (job.assignedTechnician?._id) recipientIds.push(job.assignedTechnician._id);
+    // Notify admins/managers + the crew
+    const recipientIds = getCrewIds(job);
 
     let message = `${req.user.name} deleted "${fileName}" from job "${job.title}"`;
     if (reason) message += ` — Reason: ${reason}`;
@@ -584,6 +764,8 @@ router.delete('/:id/documents/:docId', async (req, res) => {
 });
 
 // ── PATCH /api/jobs/:id/status ──────────────────────────────────────
+// Confirming a TENTATIVE job needs a quote the customer accepted; an ADMIN
+// may send overrideQuote: true with a reason instead (recorded in statusHistory).
 router.patch(
   '/:id/status',
   [
@@ -591,6 +773,13 @@ router.patch(
       .isIn(Object.values(JOB_STATUS))
       .withMessage(`Status must be one of: ${Object.values(JOB_STATUS).join(', ')}`),
     body('notes').optional().isString(),
+    body('reason').optional().isString().withMessage('reason must be a string'),
+    body('overrideQuote').optional().isBoolean().withMessage('overrideQuote must be a boolean').toBoolean(),
+    body('eta').optional({ values: 'falsy' }).isISO8601().withMessage('eta must be an ISO 8601 date-time')
+      .custom((value) => {
+        if (new Date(value) < new Date()) throw new Error('eta cannot be in the past');
+        return true;
+      }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -599,44 +788,83 @@ router.patch(
     }
 
     try {
+      // Billing issues an invoice, so there has to be something to bill
+      if (req.body.status === JOB_STATUS.BILLED) {
+        const billErr = await InvoiceService.checkBillable(req.params.id);
+        if (billErr) return res.status(400).json({ success: false, error: billErr });
+      }
+      // PAID follows the payments ledger (PaymentService)
+      if (req.body.status === JOB_STATUS.PAID) {
+        const paidErr = await PaymentService.checkPaidInFull(req.params.id);
+        if (paidErr) return res.status(400).json({ success: false, error: paidErr });
+      }
+
       const result = await JobService.transitionStatus(
         req.params.id,
         req.body.status,
         req.user,
-        req.body.notes
+        req.body.notes,
+        {
+          reason: req.body.reason,
+          eta: req.body.eta ? new Date(req.body.eta) : undefined,
+          overrideQuote: req.body.overrideQuote,
+        }
       );
 
       if (result.error) {
         return res.status(result.status).json({ success: false, error: result.error });
       }
 
+      // A BILLED job must have its invoice — if it cannot be issued, undo the billing
+      let invoice;
+      if (req.body.status === JOB_STATUS.BILLED) {
+        const issued = await issueInvoiceOrUnbill(result.data._id, req.user);
+        if (issued.error) {
+          broadcastJobUpdate();
+          return res.status(issued.status).json({ success: false, error: issued.error, data: issued.job });
+        }
+        invoice = issued.data;
+      }
+
       // Build notification recipients based on new status
       const job = result.data;
       const notifRecipientIds = [];
       const notifRoles = [];
+      const resumed = result.fromStatus === JOB_STATUS.ON_HOLD && req.body.status !== JOB_STATUS.CANCELLED;
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
       const STATUS_MESSAGES = {
         CONFIRMED:   `Job "${job.title}" has been confirmed`,
         ASSIGNED:    `Job "${job.title}" has been assigned`,
+        DISPATCHED:  `${job.assignedTechnician?.name || 'Technician'} is on the way to "${job.title}"${job.eta ? ` (ETA ${job.eta.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })})` : ''}`,
         IN_PROGRESS: `Job "${job.title}" is now in progress`,
         COMPLETED:   `Job "${job.title}" has been completed`,
         BILLED:      `Job "${job.title}" has been billed`,
         PAID:        `Job "${job.title}" has been marked as paid`,
         CLOSED:      `Job "${job.title}" has been closed`,
+        ON_HOLD:     `Job "${job.title}" has been put on hold`,
+        CANCELLED:   `Job "${job.title}" has been cancelled`,
       };
+      if (resumed) {
+        STATUS_MESSAGES[req.body.status] = `Job "${job.title}" has been resumed (${req.body.status})`;
+      }
 
       // Notify the relevant people
-      if ([JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETED].includes(req.body.status)) {
+      const fieldStatusLabels = {
+        [JOB_STATUS.DISPATCHED]: 'Dispatched',
+        [JOB_STATUS.IN_PROGRESS]: 'In Progress',
+        [JOB_STATUS.COMPLETED]: 'Completed',
+      };
+      if (fieldStatusLabels[req.body.status] && !resumed) {
         const actorIsAdmin = [ROLES.ADMIN, ROLES.OFFICE_MANAGER].includes(req.user.role);
-        const statusLabel  = req.body.status === JOB_STATUS.IN_PROGRESS ? 'In Progress' : 'Completed';
+        const statusLabel  = fieldStatusLabels[req.body.status];
         const techName     = job.assignedTechnician?.name;
 
         if (actorIsAdmin && techName) {
-     
           STATUS_MESSAGES[req.body.status] =
             `"${job.title}" marked as ${statusLabel} by ${req.user.name} on behalf of ${techName}`;
-          // Notify the assigned tech
-          notifRecipientIds.push(job.assignedTechnician._id);
         }
+        // Keep the whole crew in step — helpers also hear when the lead (or a helper) updates the job
+        notifRecipientIds.push(...getCrewIds(job));
         // Notify admins and managers
         notifRoles.push(ROLES.ADMIN, ROLES.OFFICE_MANAGER);
       }
@@ -644,21 +872,84 @@ router.patch(
         notifRoles.push(ROLES.ADMIN, ROLES.OFFICE_MANAGER);
         // Technicians are NOT notified for PAID / CLOSED — those statuses are hidden from them
       }
-      if (req.body.status === JOB_STATUS.CONFIRMED) {
+      if (req.body.status === JOB_STATUS.CONFIRMED && !resumed) {
+        notifRoles.push(ROLES.ADMIN, ROLES.OFFICE_MANAGER);
+      }
+      // Hold / resume / cancel affect the crew as well as the office
+      if (resumed || [JOB_STATUS.ON_HOLD, JOB_STATUS.CANCELLED].includes(req.body.status)) {
+        notifRecipientIds.push(...getCrewIds(job));
         notifRoles.push(ROLES.ADMIN, ROLES.OFFICE_MANAGER);
       }
 
+      let notifType = `JOB_${req.body.status === 'IN_PROGRESS' ? 'STARTED' : req.body.status}`;
+      if (resumed) notifType = 'JOB_RESUMED';
+
+      let notifMessage = `${STATUS_MESSAGES[req.body.status] || `Job "${job.title}" status updated`} by ${req.user.name}`;
+      if (reason) notifMessage += ` — Reason: ${reason}`;
+
       createNotification({
-        type: `JOB_${req.body.status === 'IN_PROGRESS' ? 'STARTED' : req.body.status}`,
-        message: `${STATUS_MESSAGES[req.body.status] || `Job "${job.title}" status updated`} by ${req.user.name}`,
+        type: notifType,
+        message: notifMessage,
         jobId: job._id,
         recipientIds: notifRecipientIds,
         recipientRoles: notifRoles,
         excludeUserId: req.user._id,
       });
 
+      // Let the customer know the technician is on the way — non-blocking
+      const customerEmail = job.customer?.email || job.customerEmail;
+      if (req.body.status === JOB_STATUS.DISPATCHED && !resumed && customerEmail) {
+        sendJobDispatchedEmail({
+          to: customerEmail,
+          customerName: job.customer?.name || job.customerName,
+          jobTitle: job.title,
+          technicianName: job.assignedTechnician?.name,
+          eta: job.eta,
+        }).catch((err) => console.error('Failed to send dispatch email:', err.message));
+      }
+
+      let data = result.data;
+      if (invoice) {
+        // Deposits may already cover the whole invoice
+        try {
+          const statusChange = await PaymentService.syncJobPaymentStatus(job._id, req.user);
+          if (statusChange) data = statusChange.job;
+        } catch (err) {
+          console.error(`Failed to sync payment status for job ${job._id}:`, err.message);
+        }
+      }
+
       broadcastJobUpdate();
-      res.json({ success: true, data: result.data, message: `Status updated to ${req.body.status}` });
+      res.json({ success: true, data, invoice, message: `Status updated to ${data.status}` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── GET /api/jobs/:id/recommended-technicians (ADMIN, OFFICE_MANAGER) ─
+// Technicians ranked for assigning this job, each with a score out of 100
+// and the factors behind it. ?limit=N returns only the top N.
+router.get(
+  '/:id/recommended-technicians',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await recommendTechnicians(req.params.id, { limit: req.query.limit });
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, data: result.data });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -666,12 +957,18 @@ router.patch(
 );
 
 // ── PATCH /api/jobs/:id/assign (ADMIN, OFFICE_MANAGER) ──────────────
+// technicianId is the crew lead; crewMemberIds optionally adds helpers.
+// The lead must hold the job type's required skills; an ADMIN may send
+// overrideSkills: true to assign anyway (recorded in statusHistory).
 router.patch(
   '/:id/assign',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
   [
     body('technicianId').isMongoId().withMessage('Valid technician ID required'),
+    body('crewMemberIds').optional().isArray().withMessage('crewMemberIds must be an array'),
+    body('crewMemberIds.*').isMongoId().withMessage('Each crew member must be a valid user ID'),
     body('notes').optional().isString(),
+    body('overrideSkills').optional().isBoolean().withMessage('overrideSkills must be a boolean').toBoolean(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -684,26 +981,30 @@ router.patch(
         req.params.id,
         req.body.technicianId,
         req.user,
-        req.body.notes
+        req.body.notes,
+        req.body.crewMemberIds,
+        { overrideSkills: req.body.overrideSkills }
       );
 
       if (result.error) {
         return res.status(result.status).json({ success: false, error: result.error });
       }
 
-      // Notify the assigned technician immediately when assigned
+      // Notify the whole crew immediately when assigned
       const assignedJob = result.data;
+      const crewNames = (assignedJob.crewMembers || []).map((m) => m.name);
+      const crewNote = crewNames.length ? ` (crew: ${crewNames.join(', ')})` : '';
       createNotification({
         type: 'JOB_ASSIGNED',
-        message: `Job "${assignedJob.title}" has been assigned to you by ${req.user.name}. Instructions: ${req.body.notes}`,
+        message: `Job "${assignedJob.title}" has been assigned to you by ${req.user.name}${crewNote}. Instructions: ${req.body.notes}`,
         jobId: assignedJob._id,
-        recipientIds: [req.body.technicianId],
+        recipientIds: getCrewIds(assignedJob),
         excludeUserId: req.user._id,
       });
       // Also notify admins and managers
       createNotification({
         type: 'JOB_ASSIGNED',
-        message: `Job "${assignedJob.title}" has been assigned to ${assignedJob.assignedTechnician?.name || 'a technician'} by ${req.user.name}`,
+        message: `Job "${assignedJob.title}" has been assigned to ${assignedJob.assignedTechnician?.name || 'a technician'}${crewNote} by ${req.user.name}`,
         jobId: assignedJob._id,
         recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
         excludeUserId: req.user._id,
@@ -718,12 +1019,17 @@ router.patch(
 );
 
 // ── PATCH /api/jobs/:id/reassign (ADMIN, OFFICE_MANAGER) ────────────
+// Omit crewMemberIds to keep the current helpers; pass [] to remove them.
+// Required skills and overrideSkills work as for /assign.
 router.patch(
   '/:id/reassign',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
   [
     body('technicianId').isMongoId().withMessage('Valid technician ID required'),
+    body('crewMemberIds').optional().isArray().withMessage('crewMemberIds must be an array'),
+    body('crewMemberIds.*').isMongoId().withMessage('Each crew member must be a valid user ID'),
     body('notes').optional().isString(),
+    body('overrideSkills').optional().isBoolean().withMessage('overrideSkills must be a boolean').toBoolean(),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -732,69 +1038,44 @@ router.patch(
     }
 
     try {
-      const job = await Job.findById(req.params.id)
-        .populate('assignedTechnician', 'name email');
-
-      if (!job) {
-        return res.status(404).json({ success: false, error: 'Job not found' });
-      }
-
-      // Must be in ASSIGNED or IN_PROGRESS to reassign
-      const reassignableStatuses = [JOB_STATUS.ASSIGNED, JOB_STATUS.IN_PROGRESS];
-      if (!reassignableStatuses.includes(job.status)) {
-        return res.status(400).json({
-          success: false,
-          error: `Cannot reassign a job in ${job.status} status. Job must be in ASSIGNED or IN_PROGRESS.`,
-        });
-      }
-
-      const oldTechId = job.assignedTechnician?._id?.toString();
-      const oldTechName = job.assignedTechnician?.name || 'previous technician';
-      const previousStatus = job.status;
+      const result = await JobService.reassignTechnician(
+        req.params.id,
+        req.body.technicianId,
+        req.user,
+        req.body.notes,
+        req.body.crewMemberIds,
+        { overrideSkills: req.body.overrideSkills }
+      );
 
-      // Check new tech availability on scheduled date
-      if (job.scheduledDate) {
-        const unavailReason = await JobService.checkTechAvailability(req.body.technicianId, job.scheduledDate);
-        if (unavailReason) {
-          const newTech = await User.findById(req.body.technicianId).select('name');
-          return res.status(400).json({
-            success: false,
-            error: `Technician ${newTech?.name || ''} is unavailable on this date: ${unavailReason}`,
-          });
-        }
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
       }
 
-      // Fetch new technician's name
-      const newTech = await User.findById(req.body.technicianId).select('name');
-      const newTechName = newTech?.name || 'new technician';
+      const job = result.data;
+      const newTechName = job.assignedTechnician?.name || 'new technician';
+      const crewIds = getCrewIds(job);
+      const removedIds = result.previousCrewIds.filter((id) => !crewIds.includes(id));
 
-      // Update job: new technician, reset status to ASSIGNED
-      job.assignedTechnician = req.body.technicianId;
-      job.status = JOB_STATUS.ASSIGNED;
-      job.statusHistory.push({
-        fromStatus: previousStatus,
-        toStatus: JOB_STATUS.ASSIGNED,
-        changedBy: req.user._id,
-        notes: req.body.notes || `Reassigned from ${oldTechName} to ${newTechName}`,
+      // Notify the new crew immediately
+      createNotification({
+        type: 'JOB_REASSIGNED',
+        message: `Job "${job.title}" has been reassigned to ${newTechName} by ${req.user.name} — you are on the crew`,
+        jobId: job._id,
+        recipientIds: crewIds,
+        excludeUserId: req.user._id,
       });
-      await job.save();
-
-      // Re-populate for response
-      await job.populate('assignedTechnician', 'name email');
-      await job.populate('createdBy', 'name email');
-
-      // Notify the new technician immediately
+      // Technicians taken off the job
       createNotification({
         type: 'JOB_REASSIGNED',
-        message: `Job "${job.title}" has been reassigned to you by ${req.user.name}`,
+        message: `You have been removed from job "${job.title}" by ${req.user.name}`,
         jobId: job._id,
-        recipientIds: [req.body.technicianId],
+        recipientIds: removedIds,
         excludeUserId: req.user._id,
       });
       // Also notify admins and managers
       createNotification({
         type: 'JOB_REASSIGNED',
-        message: `Job "${job.title}" reassigned from ${oldTechName} to ${newTechName} by ${req.user.name}`,
+        message: `Job "${job.title}" reassigned from ${result.previousLeadName} to ${newTechName} by ${req.user.name}`,
         jobId: job._id,
         recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
         excludeUserId: req.user._id,
@@ -808,6 +1089,64 @@ router.patch(
   }
 );
 
+// ── PATCH /api/jobs/:id/crew (ADMIN, OFFICE_MANAGER) ────────────────
+// Replace the helpers on a job; the lead and status stay as they are
+router.patch(
+  '/:id/crew',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [
+    body('crewMemberIds').isArray().withMessage('crewMemberIds must be an array'),
+    body('crewMemberIds.*').isMongoId().withMessage('Each crew member must be a valid user ID'),
+    body('notes').optional().isString(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await JobService.updateCrew(req.params.id, req.body.crewMemberIds, req.user, req.body.notes);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      const job = result.data;
+      const crewNames = (job.crewMembers || []).map((m) => m.name);
+      const crewText = crewNames.length ? crewNames.join(', ') : 'no helpers';
+
+      createNotification({
+        type: 'JOB_ASSIGNED',
+        message: `You have been added to the crew of job "${job.title}" by ${req.user.name}`,
+        jobId: job._id,
+        recipientIds: result.addedIds,
+        excludeUserId: req.user._id,
+      });
+      createNotification({
+        type: 'JOB_UPDATED',
+        message: `You have been removed from the crew of job "${job.title}" by ${req.user.name}`,
+        jobId: job._id,
+        recipientIds: result.removedIds,
+        excludeUserId: req.user._id,
+      });
+      // Lead, remaining helpers and the office
+      createNotification({
+        type: 'JOB_UPDATED',
+        message: `Crew for job "${job.title}" changed by ${req.user.name}: ${crewText}`,
+        jobId: job._id,
+        recipientIds: getCrewIds(job).filter((id) => !result.addedIds.includes(id)),
+        recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+        excludeUserId: req.user._id,
+      });
+
+      broadcastJobUpdate();
+      res.json({ success: true, data: job, message: 'Crew updated' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // ── PATCH /api/jobs/:id/revert (ADMIN, OFFICE_MANAGER) ─────────────
 router.patch(
   '/:id/revert',
@@ -822,7 +1161,12 @@ router.patch(
       const job = result.data;
       const message = `Job "${job.title}" status reverted from ${result.revertedFrom} to ${result.revertedTo} by ${req.user.name}`;
 
-      // Notify the assigned technician only if the revert involves statuses visible to them
+      // The invoice was issued for the billed state — it no longer stands
+      if (result.revertedFrom === JOB_STATUS.BILLED) {
+        await InvoiceService.voidInvoiceForJob(job._id, req.user, `Job reverted to ${result.revertedTo} by ${req.user.name}`);
+      }
+
+      // Notify the crew only if the revert involves statuses visible to them
       // (PAID/CLOSED are hidden from techs, so don't notify them when reverting those)
       const techHiddenStatuses = [JOB_STATUS.PAID, JOB_STATUS.CLOSED];
       if (job.assignedTechnician && !techHiddenStatuses.includes(result.revertedFrom)) {
@@ -830,7 +1174,7 @@ router.patch(
           type: 'JOB_UPDATED',
           message,
           jobId: job._id,
-          recipientIds: [job.assignedTechnician._id],
+          recipientIds: getCrewIds(job),
           excludeUserId: req.user._id,
         });
       }
@@ -856,13 +1200,13 @@ router.patch(
 );
 
 // ── DELETE /api/jobs/:id (ADMIN, OFFICE_MANAGER) ────────────────────
+// Moves the job to the trash; it is purged after TRASH_RETENTION_DAYS
 router.delete(
   '/:id',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
   async (req, res) => {
     try {
-      const job = await Job.findById(req.params.id)
-        .populate('assignedTechnician', 'name email');
+      const job = await Job.findById(req.params.id);
 
       if (!job) {
         return res.status(404).json({ success: false, error: 'Job not found' });
@@ -873,18 +1217,23 @@ router.delete(
       }
 
       const jobTitle = job.title;
-      const techId = job.assignedTechnician?._id;
 
-      await Job.findByIdAndDelete(req.params.id);
+      const trashed = await Job.findOneAndUpdate(
+        { _id: req.params.id },
+        { $set: { deletedAt: new Date(), deletedBy: req.user._id } },
+        { new: true }
+      );
+      if (!trashed) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
 
       // Notify relevant people based on job visibility
       const notifRecipientIds = [];
       const notifRoles = [];
 
-      // Notify tech if the job was already visible to them (ASSIGNED+)
-      const techVisibleStatuses = [JOB_STATUS.ASSIGNED, JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETED];
-      if (techId && techVisibleStatuses.includes(job.status)) {
-        notifRecipientIds.push(techId);
+      // Notify the crew if the job was already visible to them (ASSIGNED+)
+      if (TECH_VISIBLE_STATUSES.includes(job.status)) {
+        notifRecipientIds.push(...getCrewIds(job));
       }
 
       // Notify admins and managers (both can see all jobs including TENTATIVE)
@@ -893,7 +1242,7 @@ router.delete(
       if (notifRecipientIds.length > 0 || notifRoles.length > 0) {
         createNotification({
           type: 'JOB_DELETED',
-          message: `Job "${jobTitle}" has been deleted by ${req.user.name}`,
+          message: `Job "${jobTitle}" has been moved to the trash by ${req.user.name}`,
           jobId: null,
           recipientIds: notifRecipientIds,
           recipientRoles: notifRoles,
@@ -902,7 +1251,7 @@ router.delete(
       }
 
       broadcastJobUpdate();
-      res.json({ success: true, message: `Job "${jobTitle}" deleted` });
+      res.json({ success: true, message: `Job "${jobTitle}" moved to the trash` });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
@@ -910,6 +1259,8 @@ router.delete(
 );
 
 // ── PUT /api/jobs/:id (ADMIN, OFFICE_MANAGER) ───────────────────────
+// A new jobType or new days re-check the lead's skills; an ADMIN may pass
+// overrideSkills: true to save anyway (recorded in statusHistory)
 router.put(
   '/:id',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
@@ -918,8 +1269,10 @@ router.put(
     body('jobType').optional().isString().withMessage('Job type must be a string'),
     body('customerEmail').optional().isEmail().withMessage('Invalid customer email'),
     body('scheduledDate').optional().custom(validateScheduledDate),
+    ...timeWindowValidators,
     body('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Must be positive'),
-    body('actualCost').optional().isFloat({ min: 0 }).withMessage('Must be positive'),
+    body('overrideSkills').optional().isBoolean().withMessage('overrideSkills must be a boolean').toBoolean(),
+    body('actualCost').not().exists().withMessage('actualCost is derived from line items — use /api/jobs/:id/line-items'),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -935,14 +1288,25 @@ router.put(
       }
 
       if (req.body.jobType !== undefined) {
-        req.body.jobType = normalizeJobType(req.body.jobType);
+        req.body.jobType = JobService.normalizeJobType(req.body.jobType);
         if (!req.body.jobType) {
           return res.status(400).json({ success: false, error: 'Job type cannot be empty' });
         }
-        await ensureJobTypeSaved(req.body.jobType);
+        await JobService.ensureJobTypeSaved(req.body.jobType);
+
+        // The job must fit the workflow of its new type
+        if (existingJob) {
+          const workflow = await getWorkflowForJobType(req.body.jobType);
+          if (!workflow.statuses.includes(existingJob.status)) {
+            return res.status(400).json({
+              success: false,
+              error: `Job type "${req.body.jobType}" uses the "${workflow.name}" workflow, which has no ${existingJob.status} status`,
+            });
+          }
+        }
       }
 
-      const result = await JobService.updateJobDetails(req.params.id, req.body);
+      const result = await JobService.updateJobDetails(req.params.id, req.body, req.user, { overrideSkills: req.body.overrideSkills });
       if (result.error) {
         return res.status(result.status).json({ success: false, error: result.error });
       }
@@ -952,10 +1316,9 @@ router.put(
       const notifRecipientIds = [];
       const notifRoles = [ROLES.ADMIN, ROLES.OFFICE_MANAGER];
 
-      // Notify tech if the job is already visible to them (ASSIGNED+)
-      const techVisible = [JOB_STATUS.ASSIGNED, JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETED];
-      if (updatedJob.assignedTechnician && techVisible.includes(updatedJob.status)) {
-        notifRecipientIds.push(updatedJob.assignedTechnician._id || updatedJob.assignedTechnician);
+      // Notify the crew if the job is already visible to them (ASSIGNED+)
+      if (TECH_VISIBLE_STATUSES.includes(updatedJob.status)) {
+        notifRecipientIds.push(...getCrewIds(updatedJob));
       }
 
       createNotification({
@@ -975,13 +1338,239 @@ router.put(
   }
 );
 
+// ── PATCH /api/jobs/:id/checklist/:itemId ─ tick / untick a step ────
+// Body: { done?: boolean } — toggles when omitted. Open to anyone on the crew.
+router.patch(
+  '/:id/checklist/:itemId',
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    param('itemId').isMongoId().withMessage('Invalid checklist item ID'),
+    body('done').optional().isBoolean().withMessage('done must be a boolean').toBoolean(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const job = await Job.findById(req.params.id).select('status assignedTechnician crewMembers checklist');
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+      if (!canAccessJob(req.user, job)) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+      }
+
+      const item = job.checklist.id(req.params.itemId);
+      if (!item) return res.status(404).json({ success: false, error: 'Checklist item not found' });
+
+      const done = req.body.done !== undefined ? req.body.done : !item.done;
+      const updated = await Job.findOneAndUpdate(
+        { _id: job._id, 'checklist._id': item._id },
+        {
+          $set: {
+            'checklist.$.done': done,
+            'checklist.$.doneBy': done ? req.user._id : null,
+            'checklist.$.doneAt': done ? new Date() : null,
+          },
+        },
+        { new: true }
+      )
+        .select('checklist')
+        .populate('checklist.doneBy', 'name email');
+      if (!updated) return res.status(404).json({ success: false, error: 'Checklist item not found' });
+
+      broadcastJobUpdate();
+      res.json({ success: true, data: updated.checklist });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── Line items ──────────────────────────────────────────────────────
+// Labor / materials / fees / discounts; totals and actualCost are derived
+// from them. Editable until the job is BILLED (see LineItemService).
+
+function lineItemValidator(path) {
+  return body(path).custom((value) => {
+    const err = validateLineItem(value);
+    if (err) throw new Error(err);
+    return true;
+  });
+}
+
+const taxRateValidator = body('taxRate')
+  .optional()
+  .isFloat({ min: 0, max: 100 })
+  .withMessage('taxRate must be a percentage between 0 and 100')
+  .toFloat();
+
+function sendLineItemResult(res, result) {
+  if (result.error) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+  broadcastJobUpdate();
+  return res.json({ success: true, data: result.data });
+}
+
+// ── GET /api/jobs/:id/line-items ────────────────────────────────────
+router.get(
+  '/:id/line-items',
+  [param('id').isMongoId().withMessage('Invalid job ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const job = await Job.findById(req.params.id).select('status assignedTechnician crewMembers');
+      if (!canAccessJob(req.user, job)) {
+        return res.status(job ? 403 : 404).json({ success: false, error: job ? 'Access denied' : 'Job not found' });
+      }
+
+      const result = await LineItemService.getLineItems(req.params.id);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PUT /api/jobs/:id/line-items (ADMIN, OFFICE_MANAGER) ────────────
+// Replace the full list. Body: { lineItems: [...], taxRate? }
+router.put(
+  '/:id/line-items',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    body('lineItems').isArray({ max: 200 }).withMessage('lineItems must be an array of at most 200 items'),
+    body('lineItems.*._id').optional().isMongoId().withMessage('Invalid line item ID'),
+    lineItemValidator('lineItems.*'),
+    taxRateValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await LineItemService.replaceLineItems(req.params.id, req.body.lineItems, req.body.taxRate);
+      sendLineItemResult(res, result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/jobs/:id/line-items (ADMIN, OFFICE_MANAGER) ───────────
+router.post(
+  '/:id/line-items',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [param('id').isMongoId().withMessage('Invalid job ID'), lineItemValidator('')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { _id, ...input } = req.body;
+      const result = await LineItemService.addLineItem(req.params.id, input);
+      if (!result.error) res.status(201);
+      sendLineItemResult(res, result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PATCH /api/jobs/:id/line-items/:itemId (ADMIN, OFFICE_MANAGER) ──
+router.patch(
+  '/:id/line-items/:itemId',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    param('itemId').isMongoId().withMessage('Invalid line item ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      // The merged item is validated by the service
+      const input = {};
+      ['type', 'description', 'quantity', 'unitPrice', 'taxable'].forEach((key) => {
+        if (req.body[key] !== undefined) input[key] = req.body[key];
+      });
+      const result = await LineItemService.updateLineItem(req.params.id, req.params.itemId, input);
+      sendLineItemResult(res, result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── DELETE /api/jobs/:id/line-items/:itemId (ADMIN, OFFICE_MANAGER) ─
+router.delete(
+  '/:id/line-items/:itemId',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    param('itemId').isMongoId().withMessage('Invalid line item ID'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await LineItemService.removeLineItem(req.params.id, req.params.itemId);
+      sendLineItemResult(res, result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PATCH /api/jobs/:id/tax-rate (ADMIN, OFFICE_MANAGER) ────────────
+router.patch(
+  '/:id/tax-rate',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [
+    param('id').isMongoId().withMessage('Invalid job ID'),
+    body('taxRate').exists().withMessage('taxRate is required'),
+    taxRateValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await LineItemService.setTaxRate(req.params.id, req.body.taxRate);
+      sendLineItemResult(res, result);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // ── GET /api/jobs/:id/history ───────────────────────────────────────
 router.get('/:id/history', async (req, res) => {
   try {
     const job = await Job.findById(req.params.id)
       .select('statusHistory status title')
       .populate('statusHistory.changedBy', 'name email role')
-      .populate('statusHistory.technician', 'name email');
+      .populate('statusHistory.technician', 'name email')
+      .populate('statusHistory.previousTechnician', 'name email')
+      .populate('statusHistory.crewMembers', 'name email');
 
     if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
 
@@ -2,10 +2,13 @@ const express = require('express');
 const Notification = require('../models/Notification');
 const PushSubscription = require('../models/PushSubscription');
 const { authenticate } = require('../middleware/auth');
+const { parseListOptions, getSelectableFields, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 router.use(authenticate);
 
+const NOTIFICATION_LIST_FIELDS = getSelectableFields(Notification);
+
 // ══════════════════════════════════════════════════════════════════════
 // Push subscription endpoints (must come before /:id param routes)
 // ══════════════════════════════════════════════════════════════════════
@@ -69,14 +72,25 @@ router.delete('/push/unsubscribe', async (req, res) => {
 // ══════════════════════════════════════════════════════════════════════
 
 // ── GET /api/notifications ──────────────────────────────────────────
-// Get user's notifications (most recent first, limit 50)
+// Get user's notifications (most recent first, 50 per page by default)
 router.get('/', async (req, res) => {
   try {
-    const notifications = await Notification.find({ recipient: req.user._id })
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .lean();
-    res.json({ success: true, data: notifications });
+    const options = parseListOptions(req.query, { defaultLimit: 50, fields: NOTIFICATION_LIST_FIELDS });
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const result = await paginate(Notification, {
+      filter: { recipient: req.user._id },
+      sort: { createdAt: -1, _id: -1 },
+      options,
+      lean: true,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, pagination: result.pagination });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
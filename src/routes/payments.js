@@ -0,0 +1,181 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES, JOB_STATUS, PAYMENT_TYPES, PAYMENT_METHODS, PAYMENT_STATUS } = require('../config/constants');
+const PaymentService = require('../services/PaymentService');
+const { createNotification } = require('../services/NotificationService');
+const { getIO } = require('../socket');
+const { isDateOnly, toLocalDateOnly } = require('../utils/dateOnly');
+const { parseListOptions, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER));
+
+function broadcastJobUpdate() {
+  const io = getIO();
+  if (io) io.emit('jobs:updated');
+}
+
+// Tell the office when the ledger moved the job between BILLED and PAID
+function notifyStatusChange(statusChange, user) {
+  if (!statusChange) return;
+  const { job, status } = statusChange;
+  createNotification({
+    type: status === JOB_STATUS.PAID ? 'JOB_PAID' : 'JOB_UPDATED',
+    message: status === JOB_STATUS.PAID
+      ? `Job "${job.title}" is paid in full (payment recorded by ${user.name})`
+      : `Job "${job.title}" moved back to BILLED — its invoice has an outstanding balance again`,
+    jobId: job._id,
+    recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+    excludeUserId: user._id,
+  });
+}
+
+// ── GET /api/payments ─ ledger across all jobs ──────────────────────
+// ?type=PAYMENT|REFUND, ?status=RECORDED|VOIDED, ?customer=<id>,
+// ?from=&to= (receivedDate); paginated (utils/pagination.js)
+router.get('/', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const filter = {};
+    if (req.query.type) {
+      if (!Object.values(PAYMENT_TYPES).includes(req.query.type)) {
+        return res.status(400).json({ success: false, error: `type must be one of: ${Object.values(PAYMENT_TYPES).join(', ')}` });
+      }
+      filter.type = req.query.type;
+    }
+    if (req.query.status) {
+      if (!Object.values(PAYMENT_STATUS).includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${Object.values(PAYMENT_STATUS).join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.customer) {
+      if (!mongoose.isValidObjectId(req.query.customer)) {
+        return res.status(400).json({ success: false, error: 'customer must be a valid ID' });
+      }
+      filter.customer = req.query.customer;
+    }
+    for (const key of ['from', 'to']) {
+      if (req.query[key] && !isDateOnly(req.query[key])) {
+        return res.status(400).json({ success: false, error: `${key} must be in YYYY-MM-DD format` });
+      }
+    }
+    if (req.query.from || req.query.to) {
+      filter.receivedDate = {};
+      if (req.query.from) filter.receivedDate.$gte = req.query.from;
+      if (req.query.to) filter.receivedDate.$lte = req.query.to;
+    }
+
+    const result = await paginate(Payment, {
+      filter,
+      sort: { createdAt: -1, _id: -1 },
+      options,
+      populate: [
+        { path: 'job', select: 'title status' },
+        { path: 'invoice', select: 'number' },
+        { path: 'customer', select: 'name' },
+        { path: 'recordedBy', select: 'name email' },
+      ],
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.data, pagination: result.pagination });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/payments/job/:jobId ─ a job's ledger and balance ───────
+router.get(
+  '/job/:jobId',
+  [param('jobId').isMongoId().withMessage('Invalid job ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await PaymentService.getJobLedger(req.params.jobId);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/payments ─ record a payment or refund ─────────────────
+// Body: { jobId, type?, amount, method, reference?, receivedDate?, notes? }
+router.post(
+  '/',
+  [
+    body('jobId').isMongoId().withMessage('Valid job ID required'),
+    body('type').optional().isIn(Object.values(PAYMENT_TYPES)).withMessage(`type must be one of: ${Object.values(PAYMENT_TYPES).join(', ')}`),
+    body('amount').isFloat({ min: 0.01 }).withMessage('amount must be at least 0.01').toFloat(),
+    body('method').isIn(PAYMENT_METHODS).withMessage(`method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+    body('reference').optional().isString().trim(),
+    body('receivedDate').optional().custom((value) => {
+      if (!isDateOnly(value)) throw new Error('receivedDate must be in YYYY-MM-DD format');
+      if (value > toLocalDateOnly()) throw new Error('receivedDate cannot be in the future');
+      return true;
+    }),
+    body('notes').optional().isString().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await PaymentService.recordPayment(req.body.jobId, req.body, req.user);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      notifyStatusChange(result.data.statusChange, req.user);
+      broadcastJobUpdate();
+      res.status(201).json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/payments/:id/void ─ void a ledger entry ───────────────
+router.post(
+  '/:id/void',
+  [
+    param('id').isMongoId().withMessage('Invalid payment ID'),
+    body('reason').notEmpty().withMessage('A reason is required to void a payment').isString().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await PaymentService.voidPayment(req.params.id, req.user, req.body.reason);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      notifyStatusChange(result.data.statusChange, req.user);
+      broadcastJobUpdate();
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
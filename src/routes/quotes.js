@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Quote = require('../models/Quote');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES, QUOTE_STATUS } = require('../config/constants');
+const QuoteService = require('../services/QuoteService');
+const { createNotification } = require('../services/NotificationService');
+const { getIO } = require('../socket');
+const { validateLineItem } = require('../utils/lineItems');
+const { isDateOnly } = require('../utils/dateOnly');
+
+const router = express.Router();
+
+function broadcastJobUpdate() {
+  const io = getIO();
+  if (io) io.emit('jobs:updated');
+}
+
+const quoteBodyValidators = [
+  body('lineItems').optional().isArray({ min: 1, max: 200 }).withMessage('lineItems must be a non-empty array'),
+  body('lineItems.*').custom((value) => {
+    const err = validateLineItem(value);
+    if (err) throw new Error(err);
+    return true;
+  }),
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('taxRate must be a percentage between 0 and 100').toFloat(),
+  body('notes').optional().isString().trim(),
+  body('validUntil').optional().custom((value) => {
+    if (!isDateOnly(value)) throw new Error('validUntil must be in YYYY-MM-DD format');
+    return true;
+  }),
+];
+
+// ── Public (customer) routes ────────────────────────────────────────
+// Authenticated by the token in the emailed link, like invitation verify
+
+// ── GET /api/quotes/public/:token  (Public) ─────────────────────────
+router.get('/public/:token', async (req, res) => {
+  try {
+    const result = await QuoteService.getPublicQuote(req.params.token);
+    if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/quotes/public/:token/accept  (Public) ─────────────────
+router.post(
+  '/public/:token/accept',
+  [body('name').notEmpty().withMessage('Please type your name to accept').isString().trim()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await QuoteService.acceptQuote(req.params.token, { name: req.body.name });
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      const { quote, job } = result.data;
+      createNotification({
+        type: 'QUOTE_ACCEPTED',
+        message: `Quote #${quote.number} for "${job.title}" was accepted by ${req.body.name} — job is now CONFIRMED`,
+        jobId: job._id,
+        recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+      });
+      broadcastJobUpdate();
+
+      res.json({ success: true, message: 'Thank you — your quote has been accepted. We will be in touch to schedule the work.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/quotes/public/:token/decline  (Public) ────────────────
+router.post(
+  '/public/:token/decline',
+  [body('reason').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reason is limited to 1000 characters')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await QuoteService.declineQuote(req.params.token, { reason: req.body.reason });
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      const quote = result.data;
+      createNotification({
+        type: 'QUOTE_DECLINED',
+        message: `Quote #${quote.number} was declined by the customer${quote.declineReason ? ` — "${quote.declineReason}"` : ''}`,
+        jobId: quote.job,
+        recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+      });
+
+      res.json({ success: true, message: 'Your response has been recorded. Thank you.' });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── Office routes (ADMIN, OFFICE_MANAGER) ───────────────────────────
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER));
+
+// ── GET /api/quotes ─ list quotes ───────────────────────────────────
+// ?jobId=<id>&status=SENT
+router.get(
+  '/',
+  [
+    query('jobId').optional().isMongoId().withMessage('Invalid job ID'),
+    query('status').optional().isIn(Object.values(QUOTE_STATUS)).withMessage('Invalid quote status'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const filter = {};
+      if (req.query.jobId) filter.job = req.query.jobId;
+      if (req.query.status) filter.status = req.query.status;
+
+      const quotes = await Quote.find(filter)
+        .populate('job', 'title status')
+        .populate('customer', 'name email')
+        .populate('createdBy', 'name email')
+        .populate('sentBy', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(200);
+
+      res.json({ success: true, data: quotes });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── GET /api/quotes/:id ─────────────────────────────────────────────
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid quote ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const quote = await Quote.findById(req.params.id)
+        .populate('job', 'title status acceptedQuote.quote')
+        .populate('customer', 'name email phone')
+        .populate('createdBy', 'name email')
+        .populate('sentBy', 'name email');
+      if (!quote) return res.status(404).json({ success: false, error: 'Quote not found' });
+
+      res.json({ success: true, data: quote });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/quotes ─ draft a quote from a TENTATIVE job ───────────
+// Line items default to the job's own (see /api/jobs/:id/line-items)
+router.post(
+  '/',
+  [
+    body('jobId').isMongoId().withMessage('Valid job ID required'),
+    ...quoteBodyValidators,
+    body('validDays').optional().isInt({ min: 1, max: 365 }).withMessage('validDays must be between 1 and 365').toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await QuoteService.createQuote(req.body.jobId, req.body, req.user);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.status(201).json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PUT /api/quotes/:id ─ edit a DRAFT quote ────────────────────────
+router.put(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid quote ID'), ...quoteBodyValidators],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await QuoteService.updateQuote(req.params.id, req.body);
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/quotes/:id/send ─ email the quote to the customer ─────
+// Body: { to? } — defaults to the customer's email
+router.post(
+  '/:id/send',
+  [
+    param('id').isMongoId().withMessage('Invalid quote ID'),
+    body('to').optional().isEmail().withMessage('Invalid email address'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await QuoteService.sendQuote(req.params.id, req.user, { to: req.body.to });
+      if (result.error) return res.status(result.status).json({ success: false, error: result.error });
+
+      res.json({ success: true, message: `Quote sent to ${result.data.sentTo}`, data: result.data });
+    } catch (error) {
+      console.error('Quote email error:', error);
+      res.status(500).json({ success: false, error: 'Failed to send quote' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,420 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const RecurringSeries = require('../models/RecurringSeries');
+const Customer = require('../models/Customer');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES, SERIES_STATUS, SERIES_GENERATED_STATUSES } = require('../config/constants');
+const RecurrenceService = require('../services/RecurrenceService');
+const JobService = require('../services/JobService');
+const { createNotification } = require('../services/NotificationService');
+const { getIO } = require('../socket');
+const { normalizeDateOnly, isDateOnly, toLocalDateOnly } = require('../utils/dateOnly');
+const { addDays } = require('../utils/dateRange');
+const { TIME_RE, validateTimeWindow } = require('../utils/timeSlot');
+const { FREQUENCIES, WEEKDAYS, validateRule, describeRule } = require('../utils/recurrence');
+const { parseListOptions, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER));
+
+function broadcastJobUpdate() {
+  const io = getIO();
+  if (io) io.emit('jobs:updated');
+}
+
+function validateDateParam(value) {
+  if (!isDateOnly(normalizeDateOnly(value))) throw new Error('Date must be in YYYY-MM-DD format');
+  return true;
+}
+
+// Template fields shared by create (required where noted) and update —
+// an update may leave a required field out but not blank it
+const templateValidators = (prefix, { create }) => {
+  const field = (name) => body(`${prefix}${name}`);
+  const required = (chain, message) => (create ? chain : chain.optional()).notEmpty().withMessage(message);
+  return [
+    required(field('title').trim(), 'Job title is required').isString(),
+    required(field('jobType'), 'Job type is required').isString().withMessage('Job type must be a string'),
+    required(field('customer'), 'Customer is required').isMongoId().withMessage('Invalid customer ID'),
+    field('description').optional().isString().trim(),
+    field('companyName').optional().isString().trim(),
+    field('notes').optional().isString().trim(),
+    field('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Must be a positive number').toFloat(),
+    field('scheduledStartTime').optional({ values: 'falsy' }).matches(TIME_RE).withMessage('scheduledStartTime must be in HH:mm format'),
+    field('scheduledEndTime').optional({ values: 'falsy' }).matches(TIME_RE).withMessage('scheduledEndTime must be in HH:mm format'),
+    field('estimatedDuration').optional({ values: 'null' }).if((value) => value !== '').isInt({ min: 1, max: 1440 }).withMessage('estimatedDuration must be between 1 and 1440 minutes').toInt(),
+    field('durationDays').optional().isInt({ min: 1, max: 31 }).withMessage('durationDays must be between 1 and 31').toInt(),
+  ];
+};
+
+const settingsValidators = [
+  body('generatedStatus').optional().isIn(SERIES_GENERATED_STATUSES)
+    .withMessage(`generatedStatus must be one of: ${SERIES_GENERATED_STATUSES.join(', ')}`),
+  body('generateAheadDays').optional().isInt({ min: 1, max: 366 })
+    .withMessage('generateAheadDays must be between 1 and 366').toInt(),
+];
+
+function pickTemplate(input = {}) {
+  const keys = [
+    'title', 'description', 'jobType', 'customer', 'companyName', 'estimatedCost', 'notes',
+    'scheduledStartTime', 'scheduledEndTime', 'estimatedDuration', 'durationDays',
+  ];
+  return keys.reduce((acc, key) => {
+    if (input[key] !== undefined) acc[key] = input[key] === '' ? undefined : input[key];
+    return acc;
+  }, {});
+}
+
+function pickRule(input = {}) {
+  const rule = { frequency: input.frequency };
+  if (input.interval !== undefined) rule.interval = Number(input.interval);
+  if (input.byWeekday !== undefined) rule.byWeekday = input.byWeekday;
+  if (input.byMonthDay !== undefined) rule.byMonthDay = Number(input.byMonthDay);
+  if (input.until) rule.until = normalizeDateOnly(input.until) || input.until;
+  if (input.count !== undefined && input.count !== null) rule.count = Number(input.count);
+  return rule;
+}
+
+async function checkTemplate(template) {
+  const windowErr = validateTimeWindow(template);
+  if (windowErr) return windowErr;
+
+  if (template.customer) {
+    const customer = await Customer.findById(template.customer).select('_id').lean();
+    if (!customer) return 'Customer not found';
+  }
+  return null;
+}
+
+// ── GET /api/recurring-jobs ─ list series ───────────────────────────
+// ?status=ACTIVE|STOPPED, ?customer=<id>; paginated (utils/pagination.js)
+router.get('/', async (req, res) => {
+  try {
+    const options = parseListOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+
+    const filter = {};
+    if (req.query.status) {
+      if (!Object.values(SERIES_STATUS).includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of: ${Object.values(SERIES_STATUS).join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.customer) {
+      if (!mongoose.isValidObjectId(req.query.customer)) {
+        return res.status(400).json({ success: false, error: 'customer must be a valid ID' });
+      }
+      filter['template.customer'] = req.query.customer;
+    }
+
+    const result = await paginate(RecurringSeries, {
+      filter,
+      sort: { createdAt: -1, _id: -1 },
+      options,
+      populate: [
+        { path: 'template.customer', select: 'name phone email address' },
+        { path: 'createdBy', select: 'name email' },
+      ],
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const data = result.data.map((series) => ({ ...series.toObject(), summary: describeRule(series.rule) }));
+    res.json({ success: true, data, pagination: result.pagination });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/recurring-jobs ─ create a series ──────────────────────
+// Body: { template: {...job fields}, rule: {...}, startDate, generatedStatus?, generateAheadDays? }
+router.post(
+  '/',
+  [
+    body('template').isObject().withMessage('template is required'),
+    ...templateValidators('template.', { create: true }),
+    body('rule').isObject().withMessage('rule is required'),
+    body('rule.frequency').isIn(FREQUENCIES).withMessage(`rule.frequency must be one of: ${FREQUENCIES.join(', ')}`),
+    body('rule.byWeekday').optional().isArray().withMessage(`rule.byWeekday must be a list of: ${WEEKDAYS.join(', ')}`),
+    body('startDate').notEmpty().withMessage('Start date is required').custom(validateDateParam),
+    ...settingsValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const startDate = normalizeDateOnly(req.body.startDate);
+      const rule = pickRule(req.body.rule);
+      const ruleErrors = validateRule(rule, startDate);
+      if (ruleErrors.length) {
+        return res.status(400).json({ success: false, error: 'Invalid recurrence rule', details: ruleErrors });
+      }
+
+      const template = pickTemplate(req.body.template);
+      template.jobType = JobService.normalizeJobType(template.jobType);
+      if (!template.jobType) {
+        return res.status(400).json({ success: false, error: 'Job type is required' });
+      }
+      const templateErr = await checkTemplate(template);
+      if (templateErr) return res.status(400).json({ success: false, error: templateErr });
+      await JobService.ensureJobTypeSaved(template.jobType);
+
+      const result = await RecurrenceService.createSeries({
+        template,
+        rule,
+        startDate,
+        generatedStatus: req.body.generatedStatus,
+        generateAheadDays: req.body.generateAheadDays,
+      }, req.user);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      if (result.generated > 0) {
+        createNotification({
+          type: 'JOB_CREATED',
+          message: `${req.user.name} set up recurring job "${template.title}" (${describeRule(rule)}) — ${result.generated} job(s) scheduled`,
+          jobId: null,
+          recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+          excludeUserId: req.user._id,
+        });
+        broadcastJobUpdate();
+      }
+
+      res.status(201).json({ success: true, data: result.data, generated: result.generated });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── GET /api/recurring-jobs/:id ─ series + occurrences ──────────────
+// ?from=&to= (YYYY-MM-DD) — defaults to today through the next 90 days
+router.get(
+  '/:id',
+  [param('id').isMongoId().withMessage('Invalid series ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const series = await RecurringSeries.findById(req.params.id)
+        .populate('template.customer', 'name phone email address')
+        .populate('createdBy', 'name email')
+        .populate('stoppedBy', 'name email');
+      if (!series) return res.status(404).json({ success: false, error: 'Recurring series not found' });
+
+      const from = req.query.from ? normalizeDateOnly(req.query.from) : toLocalDateOnly();
+      const to = req.query.to ? normalizeDateOnly(req.query.to) : addDays(from || toLocalDateOnly(), 90);
+      if (!isDateOnly(from) || !isDateOnly(to) || to < from) {
+        return res.status(400).json({ success: false, error: 'from and to must be YYYY-MM-DD with from <= to' });
+      }
+
+      const occurrences = await RecurrenceService.listOccurrences(series, { from, to });
+      res.json({
+        success: true,
+        data: { ...series.toObject(), summary: describeRule(series.rule), occurrences },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PUT /api/recurring-jobs/:id ─ update template / settings ────────
+// Applies to occurrences generated from now on. The rule cannot change.
+router.put(
+  '/:id',
+  [
+    param('id').isMongoId().withMessage('Invalid series ID'),
+    body('template').optional().isObject().withMessage('template must be an object'),
+    ...templateValidators('template.', { create: false }),
+    ...settingsValidators,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      if (req.body.rule !== undefined || req.body.startDate !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'The recurrence rule cannot be changed. Stop this series and create a new one.',
+        });
+      }
+
+      const existing = await RecurringSeries.findById(req.params.id).lean();
+      if (!existing) return res.status(404).json({ success: false, error: 'Recurring series not found' });
+
+      const template = req.body.template ? pickTemplate(req.body.template) : undefined;
+      if (template) {
+        if (template.jobType !== undefined) {
+          template.jobType = JobService.normalizeJobType(template.jobType);
+          if (!template.jobType) {
+            return res.status(400).json({ success: false, error: 'Job type cannot be empty' });
+          }
+        }
+        const templateErr = await checkTemplate({ ...existing.template, ...template });
+        if (templateErr) return res.status(400).json({ success: false, error: templateErr });
+        if (template.jobType) await JobService.ensureJobTypeSaved(template.jobType);
+      }
+
+      const result = await RecurrenceService.updateSeries(req.params.id, {
+        template,
+        generatedStatus: req.body.generatedStatus,
+        generateAheadDays: req.body.generateAheadDays,
+      });
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      if (result.generated > 0) broadcastJobUpdate();
+      res.json({ success: true, data: result.data, generated: result.generated });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PATCH /api/recurring-jobs/:id/occurrences/:date ─ edit one ──────
+// Changes only the job for that occurrence; generates it first if needed
+router.patch(
+  '/:id/occurrences/:date',
+  [
+    param('id').isMongoId().withMessage('Invalid series ID'),
+    param('date').custom(validateDateParam),
+    body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+    body('description').optional().isString(),
+    body('notes').optional().isString(),
+    body('estimatedCost').optional().isFloat({ min: 0 }).withMessage('Must be positive'),
+    body('scheduledDate').optional().custom(validateDateParam),
+    body('scheduledEndDate').optional({ values: 'falsy' }).custom(validateDateParam),
+    body('scheduledStartTime').optional({ values: 'falsy' }).matches(TIME_RE).withMessage('scheduledStartTime must be in HH:mm format'),
+    body('scheduledEndTime').optional({ values: 'falsy' }).matches(TIME_RE).withMessage('scheduledEndTime must be in HH:mm format'),
+    body('estimatedDuration').optional({ values: 'falsy' }).isInt({ min: 1, max: 1440 }).withMessage('estimatedDuration must be between 1 and 1440 minutes').toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const editable = [
+        'title', 'description', 'notes', 'estimatedCost', 'scheduledDate', 'scheduledEndDate',
+        'scheduledStartTime', 'scheduledEndTime', 'estimatedDuration',
+      ];
+      const updates = editable.reduce((acc, key) => {
+        if (req.body[key] !== undefined) acc[key] = req.body[key];
+        return acc;
+      }, {});
+
+      const result = await RecurrenceService.editOccurrence(
+        req.params.id,
+        normalizeDateOnly(req.params.date),
+        updates,
+        req.user
+      );
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      broadcastJobUpdate();
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/recurring-jobs/:id/occurrences/:date/skip ─────────────
+// Skips one occurrence; an unstarted job already generated for it is cancelled
+router.post(
+  '/:id/occurrences/:date/skip',
+  [
+    param('id').isMongoId().withMessage('Invalid series ID'),
+    param('date').custom(validateDateParam),
+    body('reason').optional().isString().withMessage('reason must be a string'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+      const result = await RecurrenceService.skipOccurrence(
+        req.params.id,
+        normalizeDateOnly(req.params.date),
+        req.user,
+        reason
+      );
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      if (result.cancelledJob) broadcastJobUpdate();
+      res.json({ success: true, data: result.data, cancelledJob: result.cancelledJob });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── POST /api/recurring-jobs/:id/stop ─ end the series ──────────────
+// { cancelFuture: true } also cancels generated occurrences that have not started
+router.post(
+  '/:id/stop',
+  [
+    param('id').isMongoId().withMessage('Invalid series ID'),
+    body('cancelFuture').optional().isBoolean().withMessage('cancelFuture must be a boolean').toBoolean(),
+    body('reason').optional().isString().withMessage('reason must be a string'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await RecurrenceService.stopSeries(req.params.id, req.user, {
+        cancelFuture: req.body.cancelFuture === true,
+        reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+      });
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      const series = result.data;
+      let message = `${req.user.name} stopped recurring job "${series.template.title}"`;
+      if (result.cancelledJobs.length) message += ` and cancelled ${result.cancelledJobs.length} upcoming job(s)`;
+      createNotification({
+        type: 'JOB_UPDATED',
+        message,
+        jobId: null,
+        recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+        excludeUserId: req.user._id,
+      });
+
+      if (result.cancelledJobs.length) broadcastJobUpdate();
+      res.json({ success: true, data: series, cancelledCount: result.cancelledJobs.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/constants');
+const ReportService = require('../services/ReportService');
+const { isDateOnly, toLocalDateOnly } = require('../utils/dateOnly');
+const { sendCsv } = require('../utils/csv');
+
+const router = express.Router();
+router.use(authenticate);
+
+// ?from=&to= (YYYY-MM-DD) for range reports; defaults to month to date
+function parsePeriod(query) {
+  const to = query.to || toLocalDateOnly();
+  const from = query.from || `${to.slice(0, 8)}01`;
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (!isDateOnly(value)) return { error: `${key} must be in YYYY-MM-DD format` };
+  }
+  if (from > to) return { error: 'from must be on or before to' };
+  return { from, to };
+}
+
+// ── GET /api/reports/ar-aging (ADMIN) ───────────────────────────────
+// Billed-but-unpaid jobs per customer, bucketed by days since billedAt.
+// ?asOf=YYYY-MM-DD, ?customer=<id> (drill-down),
+// ?format=csv (per-customer summary) | ?format=csv&detail=jobs (one row per job)
+router.get('/ar-aging', authorize(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { asOf, customer, format, detail } = req.query;
+    if (asOf && !isDateOnly(asOf)) {
+      return res.status(400).json({ success: false, error: 'asOf must be in YYYY-MM-DD format' });
+    }
+    if (customer && !mongoose.isValidObjectId(customer)) {
+      return res.status(400).json({ success: false, error: 'customer must be a valid ID' });
+    }
+
+    const report = await ReportService.getArAging({ asOf: asOf || undefined, customerId: customer });
+
+    if (format === 'csv') {
+      const bucketColumns = ReportService.AGING_BUCKETS.map((b) => ({ label: b.label, value: b.key }));
+
+      if (detail === 'jobs') {
+        const rows = report.customers.flatMap((c) => c.jobs.map((job) => ({ ...job, customerName: c.name })));
+        const bucketLabels = Object.fromEntries(ReportService.AGING_BUCKETS.map((b) => [b.key, b.label]));
+        return sendCsv(res, `ar-aging-jobs-${report.asOf}.csv`, [
+          { label: 'Customer', value: 'customerName' },
+          { label: 'Job', value: 'title' },
+          { label: 'Invoice', value: 'invoiceNumber' },
+          { label: 'Billed At', value: 'billedAt' },
+          { label: 'Days Outstanding', value: 'daysOutstanding' },
+          { label: 'Bucket', value: (row) => bucketLabels[row.bucket] },
+          { label: 'Amount', value: 'amount' },
+        ], rows);
+      }
+
+      return sendCsv(res, `ar-aging-${report.asOf}.csv`, [
+        { label: 'Customer', value: 'name' },
+        { label: 'Email', value: 'email' },
+        { label: 'Phone', value: 'phone' },
+        ...bucketColumns,
+        { label: 'Total', value: 'total' },
+      ], [...report.customers, { name: 'TOTAL', ...report.totals }]);
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/reports/dashboard ─ office dashboard numbers ───────────
+// ?from=&to= (YYYY-MM-DD) bound the revenue period; defaults to month to date
+router.get('/dashboard', authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && !isDateOnly(value)) {
+        return res.status(400).json({ success: false, error: `${key} must be in YYYY-MM-DD format` });
+      }
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ success: false, error: 'from must be on or before to' });
+    }
+
+    const stats = await ReportService.getDashboardStats({ from, to });
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/reports/tech-utilization ─ per-technician performance ──
+// ?from=&to= (YYYY-MM-DD, default month to date), ?technician=<id>, ?format=csv
+router.get('/tech-utilization', authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER), async (req, res) => {
+  try {
+    const { technician, format } = req.query;
+    const period = parsePeriod(req.query);
+    if (period.error) return res.status(400).json({ success: false, error: period.error });
+    const { from, to } = period;
+    if (technician && !mongoose.isValidObjectId(technician)) {
+      return res.status(400).json({ success: false, error: 'technician must be a valid ID' });
+    }
+
+    const report = await ReportService.getTechUtilization({ from, to, technicianId: technician });
+
+    if (format === 'csv') {
+      return sendCsv(res, `tech-utilization-${from}-to-${to}.csv`, [
+        { label: 'Technician', value: 'name' },
+        { label: 'Email', value: 'email' },
+        { label: 'Jobs Completed', value: 'jobsCompleted' },
+        { label: 'Avg Assigned → Started (h)', value: 'avgAssignedToStartHours' },
+        { label: 'Avg Started → Completed (h)', value: 'avgStartToCompleteHours' },
+        { label: 'Time-off Days', value: 'timeOffDays' },
+        { label: 'Revenue', value: 'revenue' },
+        { label: 'Reassigned Away', value: 'reassignedAway' },
+      ], report.technicians);
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── GET /api/reports/job-type-profitability ─ estimate vs actual ────
+// ?from=&to= (YYYY-MM-DD, default month to date) by completion date, ?format=csv
+router.get('/job-type-profitability', authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER), async (req, res) => {
+  try {
+    const period = parsePeriod(req.query);
+    if (period.error) return res.status(400).json({ success: false, error: period.error });
+    const { from, to } = period;
+
+    const report = await ReportService.getJobTypeProfitability({ from, to });
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `job-type-profitability-${from}-to-${to}.csv`, [
+        { label: 'Job Type', value: 'name' },
+        { label: 'Jobs', value: 'jobCount' },
+        { label: 'Estimated Total', value: 'estimatedTotal' },
+        { label: 'Actual Total', value: 'actualTotal' },
+        { label: 'Avg Estimated', value: 'avgEstimatedCost' },
+        { label: 'Avg Actual', value: 'avgActualCost' },
+        { label: 'Variance %', value: 'variancePercent' },
+        { label: 'Avg Cycle (days)', value: 'avgCycleDays' },
+        { label: 'Revenue Share %', value: 'revenueSharePercent' },
+      ], report.jobTypes);
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/constants');
+const JobService = require('../services/JobService');
+const ScheduleService = require('../services/ScheduleService');
+const { createNotification } = require('../services/NotificationService');
+const { getIO } = require('../socket');
+const { isDateOnly, normalizeDateOnly, toLocalDateOnly, validateScheduledDate } = require('../utils/dateOnly');
+const { addDays, countDays } = require('../utils/dateRange');
+const { getCrewIds } = require('../utils/crew');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER));
+
+function broadcastJobUpdate() {
+  const io = getIO();
+  if (io) io.emit('jobs:updated');
+}
+
+// ── GET /api/schedule ─ technician × day board ──────────────────────
+// ?from=&to= (YYYY-MM-DD, default today + 6 days, at most 42 days),
+// ?technicians=<id>,<id> to limit the rows
+router.get('/', async (req, res) => {
+  try {
+    const from = req.query.from || toLocalDateOnly();
+    const to = req.query.to || addDays(from, 6);
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (!isDateOnly(value)) {
+        return res.status(400).json({ success: false, error: `${key} must be in YYYY-MM-DD format` });
+      }
+    }
+    if (from > to) {
+      return res.status(400).json({ success: false, error: 'from must be on or before to' });
+    }
+    if (countDays(from, to) > ScheduleService.MAX_BOARD_DAYS) {
+      return res.status(400).json({ success: false, error: `The board covers at most ${ScheduleService.MAX_BOARD_DAYS} days` });
+    }
+
+    const technicianIds = req.query.technicians
+      ? String(req.query.technicians).split(',').map((id) => id.trim()).filter(Boolean)
+      : [];
+    if (technicianIds.some((id) => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ success: false, error: 'technicians must be a comma-separated list of user IDs' });
+    }
+
+    const board = await ScheduleService.getScheduleBoard({ from, to, technicianIds });
+    res.json({ success: true, data: board });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/schedule/move ─ drop a job on another day / technician ─
+// Body: { jobId, scheduledDate?, technicianId?, notes?, overrideSkills? } — at
+// least one of scheduledDate / technicianId. Availability is re-checked for the
+// new slot, and a new lead's skills as for PATCH /api/jobs/:id/assign.
+router.post(
+  '/move',
+  [
+    body('jobId').isMongoId().withMessage('Valid job ID required'),
+    body('scheduledDate').optional().custom(validateScheduledDate).customSanitizer(normalizeDateOnly),
+    body('technicianId').optional().isMongoId().withMessage('Valid technician ID required'),
+    body('notes').optional().isString(),
+    body('overrideSkills').optional().isBoolean().withMessage('overrideSkills must be a boolean').toBoolean(),
+    body().custom((value) => {
+      if (!value.scheduledDate && !value.technicianId) {
+        throw new Error('Provide scheduledDate and/or technicianId');
+      }
+      return true;
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const { jobId, scheduledDate, technicianId, notes, overrideSkills } = req.body;
+      const result = await JobService.moveJob(jobId, { scheduledDate, technicianId, notes, overrideSkills }, req.user);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      const job = result.data;
+      const crewIds = getCrewIds(job);
+      const techName = job.assignedTechnician?.name || 'a technician';
+      const when = job.scheduledDate ? ` on ${job.scheduledDate}` : '';
+
+      if (result.action === 'RESCHEDULED') {
+        createNotification({
+          type: 'JOB_UPDATED',
+          message: `Job "${job.title}" was moved to ${job.scheduledDate} by ${req.user.name}`,
+          jobId: job._id,
+          recipientIds: crewIds,
+          recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+          excludeUserId: req.user._id,
+        });
+      } else {
+        const type = result.action === 'ASSIGNED' ? 'JOB_ASSIGNED' : 'JOB_REASSIGNED';
+        createNotification({
+          type,
+          message: `Job "${job.title}"${when} has been assigned to you by ${req.user.name}${notes ? `. Instructions: ${notes}` : ''}`,
+          jobId: job._id,
+          recipientIds: crewIds,
+          excludeUserId: req.user._id,
+        });
+        const removedIds = (result.previousCrewIds || []).filter((id) => !crewIds.includes(id));
+        createNotification({
+          type,
+          message: `You have been removed from job "${job.title}" by ${req.user.name}`,
+          jobId: job._id,
+          recipientIds: removedIds,
+          excludeUserId: req.user._id,
+        });
+        createNotification({
+          type,
+          message: `Job "${job.title}" moved to ${techName}${when} by ${req.user.name}`,
+          jobId: job._id,
+          recipientRoles: [ROLES.ADMIN, ROLES.OFFICE_MANAGER],
+          excludeUserId: req.user._id,
+        });
+      }
+
+      broadcastJobUpdate();
+      res.json({ success: true, data: job, action: result.action });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
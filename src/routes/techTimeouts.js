@@ -4,9 +4,12 @@ const TechTimeout = require('../models/TechTimeout');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const { authenticate, authorize } = require('../middleware/auth');
-const { ROLES, JOB_STATUS } = require('../config/constants');
+const { ROLES } = require('../config/constants');
 const { createNotification } = require('../services/NotificationService');
 const { getIO } = require('../socket');
+const { crewFilter } = require('../utils/crew');
+const { validateTimeWindow } = require('../utils/timeSlot');
+const { getUnavailableTechs } = require('../services/JobService');
 const {
   normalizeDateOnly,
   isDateOnly,
@@ -16,61 +19,13 @@ const {
 const router = express.Router();
 router.use(authenticate);
 
-// ── Helper: get unavailable technicians for a date ──────────────────
-async function getUnavailableTechs(date) {
-  const day = normalizeDateOnly(date);
-  if (!isDateOnly(day)) return [];
-
-  // 1) Techs with active jobs (ASSIGNED or IN_PROGRESS) on this date
-  const activeJobs = await Job.find({
-    status: { $in: [JOB_STATUS.ASSIGNED, JOB_STATUS.IN_PROGRESS] },
-    scheduledDate: day,
-    assignedTechnician: { $ne: null },
-  })
-    .populate('assignedTechnician', 'name email')
-    .select('assignedTechnician title status scheduledDate')
-    .lean();
-
-  // 2) Techs with timeout entries overlapping this date
-  const timeouts = await TechTimeout.find({
-    startDate: { $lte: day },
-    endDate: { $gte: day },
-  })
-    .populate('technician', 'name email')
-    .lean();
-
-  // Build map: techId → { technician, reasons[] }
-  const map = {};
-
-  for (const job of activeJobs) {
-    const id = job.assignedTechnician?._id?.toString();
-    if (!id) continue;
-    if (!map[id]) {
-      map[id] = { technician: job.assignedTechnician, reasons: [] };
-    }
-    map[id].reasons.push({
-      type: 'ACTIVE_JOB',
-      detail: `Assigned to "${job.title}" (${job.status})`,
-    });
-  }
-
-  for (const t of timeouts) {
-    const id = t.technician?._id?.toString();
-    if (!id) continue;
-    if (!map[id]) {
-      map[id] = { technician: t.technician, reasons: [] };
-    }
-    map[id].reasons.push({
-      type: 'TIMEOUT',
-      detail: t.reason || 'Timeout / leave',
-    });
-  }
-
-  return Object.values(map);
-}
-
 // ── GET /api/tech-timeouts/availability?date=YYYY-MM-DD ─────────────
-// Returns unavailable-tech list for a given date (ADMIN, OFFICE_MANAGER)
+// Returns unavailable-tech list for a given date (ADMIN, OFFICE_MANAGER).
+// Optional &endDate=YYYY-MM-DD checks a multi-day span; a tech busy on any
+// day of it is unavailable.
+// Optional &scheduledStartTime=HH:mm&scheduledEndTime=HH:mm (or
+// &estimatedDuration=minutes) narrows it to a time slot; without them, techs
+// with short bookings are listed under partiallyBooked rather than unavailable.
 router.get(
   '/availability',
   authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
@@ -83,12 +38,25 @@ router.get(
         return res.status(400).json({ success: false, error: 'date must be in YYYY-MM-DD format' });
       }
 
+      const endDate = req.query.endDate ? normalizeDateOnly(req.query.endDate) : undefined;
+      if (req.query.endDate && (!isDateOnly(endDate) || endDate < normalizedDate)) {
+        return res.status(400).json({ success: false, error: 'endDate must be YYYY-MM-DD, on or after date' });
+      }
+
+      const window = {
+        scheduledEndDate: endDate,
+        scheduledStartTime: req.query.scheduledStartTime || undefined,
+        scheduledEndTime: req.query.scheduledEndTime || undefined,
+        estimatedDuration: req.query.estimatedDuration || undefined,
+      };
+      const windowErr = validateTimeWindow(window);
+      if (windowErr) return res.status(400).json({ success: false, error: windowErr });
+
       const allTechs = await User.find({ role: ROLES.TECHNICIAN, isActive: true })
         .select('name email')
         .lean();
 
-      const unavailable = await getUnavailableTechs(normalizedDate);
-      const unavailableIds = unavailable.map((u) => u.technician._id.toString());
+      const { unavailable, partiallyBooked } = await getUnavailableTechs(normalizedDate, window);
 
       res.json({
         success: true,
@@ -97,6 +65,7 @@ router.get(
           unavailableCount: unavailable.length,
           availableCount: allTechs.length - unavailable.length,
           unavailable, // [{ technician: { _id, name, email }, reasons: [...] }]
+          partiallyBooked, // [{ technician, slots: [{ jobId, title, status, startTime, endTime }] }]
         },
       });
     } catch (error) {
@@ -132,7 +101,7 @@ router.get(
 
       const [timeouts, jobs] = await Promise.all([
         TechTimeout.find({ technician: req.params.id }).sort({ startDate: -1 }).lean(),
-        Job.find({ assignedTechnician: req.params.id })
+        Job.find(crewFilter(req.params.id))
           .populate('customer', 'name phone email address')
           .sort({ scheduledDate: -1 })
           .lean(),
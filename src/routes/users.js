@@ -1,8 +1,11 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { authenticate, authorize } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const { ROLES, CERT_EXPIRY_WARNING_DAYS } = require('../config/constants');
 const { sendAccountDeletedEmail } = require('../services/EmailService');
+const SkillService = require('../services/SkillService');
+const { isDateOnly } = require('../utils/dateOnly');
 
 const router = express.Router();
 
@@ -47,22 +50,26 @@ router.get(
   async (req, res) => {
     try {
       const Job = require('../models/Job');
-      const { JOB_STATUS } = require('../config/constants');
+      const { ACTIVE_JOB_STATUSES } = require('../config/constants');
+      const { crewFilter, getCrewIds } = require('../utils/crew');
 
       const technicians = await User.find({
         role: ROLES.TECHNICIAN,
         isActive: true,
-      }).select('name email').lean();
+      }).select('name email skills').lean();
 
-      // Attach active job info so the frontend can show a "Busy" indicator
+      // Attach active job info so the frontend can show a "Busy" indicator.
+      // Helpers on a crew are as busy as its lead.
       const activeJobs = await Job.find({
-        assignedTechnician: { $in: technicians.map((t) => t._id) },
-        status: { $in: [JOB_STATUS.ASSIGNED, JOB_STATUS.IN_PROGRESS] },
-      }).select('assignedTechnician title status').lean();
+        ...crewFilter(technicians.map((t) => t._id)),
+        status: { $in: ACTIVE_JOB_STATUSES },
+      }).select('assignedTechnician crewMembers title status').lean();
 
       const activeJobMap = {};
       for (const j of activeJobs) {
-        activeJobMap[j.assignedTechnician.toString()] = { title: j.title, status: j.status };
+        for (const id of getCrewIds(j)) {
+          activeJobMap[id] = { title: j.title, status: j.status };
+        }
       }
 
       const enriched = technicians.map((t) => ({
@@ -83,6 +90,70 @@ router.get(
   }
 );
 
+/**
+ * @route   GET /api/users/certifications/expiring
+ * @desc    Technicians' certifications expiring within ?days (default 30),
+ *          plus any already expired, soonest first
+ * @access  Private (ADMIN, OFFICE_MANAGER)
+ */
+router.get(
+  '/certifications/expiring',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  [query('days').optional().isInt({ min: 0, max: 365 }).withMessage('days must be between 0 and 365').toInt()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const days = req.query.days ?? CERT_EXPIRY_WARNING_DAYS;
+      const data = await SkillService.listExpiringCertifications({ days });
+      res.json({ success: true, data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/users/:id/skills
+ * @desc    Replace a technician's skills / certifications
+ *          Body: { skills: [{ name, expiresOn?, reference? }] }
+ * @access  Private (ADMIN)
+ */
+router.put(
+  '/:id/skills',
+  authorize(ROLES.ADMIN),
+  [
+    param('id').isMongoId().withMessage('Invalid user ID'),
+    body('skills').isArray({ max: 50 }).withMessage('skills must be an array of at most 50 entries'),
+    body('skills.*.name').isString().trim().isLength({ min: 1, max: 80 }).withMessage('Each skill needs a name of 1-80 characters'),
+    body('skills.*.expiresOn').optional({ values: 'falsy' }).custom((value) => {
+      if (!isDateOnly(value)) throw new Error('expiresOn must be in YYYY-MM-DD format');
+      return true;
+    }),
+    body('skills.*.reference').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('reference is limited to 100 characters'),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const result = await SkillService.setTechnicianSkills(req.params.id, req.body.skills);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, data: result.data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Workflow = require('../models/Workflow');
+const JobType = require('../models/JobType');
+const Job = require('../models/Job');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/constants');
+const {
+  BUILT_IN_WORKFLOW,
+  normalizeJobTypeKey,
+  getWorkflowForJobType,
+  validateWorkflowDefinition,
+} = require('../services/WorkflowService');
+const { getIO } = require('../socket');
+
+const router = express.Router();
+router.use(authenticate);
+
+const workflowValidators = [
+  body('name').notEmpty().withMessage('Workflow name is required').isString().trim(),
+  body('jobType').optional({ values: 'null' }).isString().withMessage('jobType must be a string'),
+  body('statuses').isArray({ min: 1 }).withMessage('statuses must be a non-empty array'),
+  body('initialStatus').notEmpty().withMessage('initialStatus is required'),
+  body('transitions').isArray().withMessage('transitions must be an array'),
+];
+
+function pickDefinition(reqBody) {
+  return {
+    name: reqBody.name,
+    jobType: normalizeJobTypeKey(reqBody.jobType) || null,
+    statuses: reqBody.statuses,
+    initialStatus: reqBody.initialStatus,
+    transitions: (reqBody.transitions || []).map((t) => ({
+      from: t?.from,
+      to: t?.to,
+      roles: t?.roles || [],
+      requiredFields: t?.requiredFields || [],
+    })),
+  };
+}
+
+/**
+ * Count jobs governed by `jobType`'s workflow whose current status is not in
+ * `statuses` — saving such a workflow would leave those jobs stuck.
+ */
+async function countStrandedJobs(jobType, statuses) {
+  const filter = { status: { $nin: statuses } };
+
+  if (jobType) {
+    filter.$expr = { $eq: [{ $toLower: '$jobType' }, jobType] };
+  } else {
+    // Default workflow covers every job type without its own workflow
+    const specific = await Workflow.find({ jobType: { $ne: null } }).select('jobType').lean();
+    filter.$expr = {
+      $not: [{ $in: [{ $toLower: { $ifNull: ['$jobType', ''] } }, specific.map((w) => w.jobType)] }],
+    };
+  }
+
+  return Job.countDocuments(filter);
+}
+
+async function checkDefinition(definition) {
+  const problems = validateWorkflowDefinition(definition);
+  if (problems.length) return { error: 'Invalid workflow', details: problems };
+
+  if (definition.jobType) {
+    const type = await JobType.findOne({ normalizedName: definition.jobType }).lean();
+    if (!type) return { error: `Job type "${definition.jobType}" does not exist` };
+  }
+
+  const stranded = await countStrandedJobs(definition.jobType, definition.statuses);
+  if (stranded > 0) {
+    return {
+      error: `${stranded} job(s) are currently in statuses this workflow does not include. Move them first or keep those statuses.`,
+    };
+  }
+
+  return null;
+}
+
+function broadcastWorkflowUpdate() {
+  const io = getIO();
+  if (io) io.emit('workflows:updated');
+}
+
+// ── GET /api/workflows (ADMIN, OFFICE_MANAGER) ──────────────────────
+// Stored workflows plus the built-in fallback
+router.get(
+  '/',
+  authorize(ROLES.ADMIN, ROLES.OFFICE_MANAGER),
+  async (req, res) => {
+    try {
+      const workflows = await Workflow.find()
+        .populate('updatedBy', 'name email')
+        .sort({ jobType: 1 })
+        .lean();
+      res.json({ success: true, data: { workflows, builtIn: BUILT_IN_WORKFLOW } });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── GET /api/workflows/effective?jobType= ───────────────────────────
+// The workflow that governs jobs of a given type (any authenticated user)
+router.get('/effective', async (req, res) => {
+  try {
+    const workflow = await getWorkflowForJobType(req.query.jobType);
+    res.json({ success: true, data: workflow });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ── POST /api/workflows (ADMIN) ─────────────────────────────────────
+router.post(
+  '/',
+  authorize(ROLES.ADMIN),
+  workflowValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const definition = pickDefinition(req.body);
+
+      const existing = await Workflow.findOne({ jobType: definition.jobType }).lean();
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: definition.jobType
+            ? `A workflow for job type "${definition.jobType}" already exists`
+            : 'A default workflow already exists',
+        });
+      }
+
+      const problem = await checkDefinition(definition);
+      if (problem) return res.status(400).json({ success: false, ...problem });
+
+      const workflow = await Workflow.create({ ...definition, updatedBy: req.user._id });
+
+      broadcastWorkflowUpdate();
+      res.status(201).json({ success: true, data: workflow });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── PUT /api/workflows/:id (ADMIN) ──────────────────────────────────
+router.put(
+  '/:id',
+  authorize(ROLES.ADMIN),
+  [param('id').isMongoId().withMessage('Invalid workflow ID'), ...workflowValidators],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const workflow = await Workflow.findById(req.params.id);
+      if (!workflow) {
+        return res.status(404).json({ success: false, error: 'Workflow not found' });
+      }
+
+      // The job type a workflow governs is fixed; create a new one instead
+      const definition = { ...pickDefinition(req.body), jobType: workflow.jobType };
+
+      const problem = await checkDefinition(definition);
+      if (problem) return res.status(400).json({ success: false, ...problem });
+
+      workflow.set({ ...definition, updatedBy: req.user._id });
+      await workflow.save();
+
+      broadcastWorkflowUpdate();
+      res.json({ success: true, data: workflow });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// ── DELETE /api/workflows/:id (ADMIN) ───────────────────────────────
+// Jobs of that type fall back to the default workflow
+router.delete(
+  '/:id',
+  authorize(ROLES.ADMIN),
+  [param('id').isMongoId().withMessage('Invalid workflow ID')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    try {
+      const workflow = await Workflow.findById(req.params.id);
+      if (!workflow) {
+        return res.status(404).json({ success: false, error: 'Workflow not found' });
+      }
+
+      // Jobs this workflow governed must fit the workflow they fall back to
+      const fallback = workflow.jobType
+        ? (await Workflow.findOne({ jobType: null }).lean()) || BUILT_IN_WORKFLOW
+        : BUILT_IN_WORKFLOW;
+      const stranded = await countStrandedJobs(workflow.jobType, fallback.statuses);
+      if (stranded > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${stranded} job(s) are in statuses the fallback workflow does not include. Move them first.`,
+        });
+      }
+
+      await Workflow.findByIdAndDelete(req.params.id);
+
+      broadcastWorkflowUpdate();
+      res.json({ success: true, message: `Workflow "${workflow.name}" deleted` });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Job Type Migration Script
+ * Recomputes JobType.normalizedName with JobType.toNormalizedName. Types
+ * saved before inner whitespace was collapsed ("gas  work") no longer
+ * match lookups for their name (getRequiredSkills, workflows) until this runs.
+ *
+ * A type whose new key is already taken by another type is left alone and
+ * listed, so the two can be merged by hand.
+ *
+ * Run: npm run migrate:job-types
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const JobType = require('../models/JobType');
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const types = await JobType.find({}).select('name normalizedName').lean();
+    const taken = new Set(types.map((type) => type.normalizedName));
+
+    let updated = 0;
+    const conflicts = [];
+    for (const type of types) {
+      const normalizedName = JobType.toNormalizedName(type.name);
+      if (!normalizedName || normalizedName === type.normalizedName) continue;
+
+      if (taken.has(normalizedName)) {
+        conflicts.push(type);
+        continue;
+      }
+      await JobType.updateOne({ _id: type._id }, { $set: { normalizedName } });
+      taken.delete(type.normalizedName);
+      taken.add(normalizedName);
+      updated += 1;
+      console.log(`  - "${type.name}": ${type.normalizedName} → ${normalizedName}`);
+    }
+
+    console.log(`\nUpdated ${updated} of ${types.length} job types`);
+    if (conflicts.length) {
+      console.log('\nLeft unchanged — another job type already has the same name:');
+      conflicts.forEach((type) => console.log(`  - "${type.name}" (${type._id})`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -11,7 +11,19 @@ const notificationRoutes = require('./routes/notifications');
 const invitationRoutes = require('./routes/invitations');
 const customerRoutes = require('./routes/customers');
 const techTimeoutRoutes = require('./routes/techTimeouts');
+const workflowRoutes = require('./routes/workflows');
+const recurringJobRoutes = require('./routes/recurringJobs');
+const jobTemplateRoutes = require('./routes/jobTemplates');
+const quoteRoutes = require('./routes/quotes');
+const invoiceRoutes = require('./routes/invoices');
+const paymentRoutes = require('./routes/payments');
+const reportRoutes = require('./routes/reports');
+const importRoutes = require('./routes/imports');
+const calendarRoutes = require('./routes/calendar');
+const scheduleRoutes = require('./routes/schedule');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { startTrashPurgeSchedule } = require('./services/TrashService');
+const { startRecurringJobSchedule } = require('./services/RecurrenceService');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,6 +31,12 @@ const server = http.createServer(app);
 // Connect to database
 connectDB();
 
+// Permanently remove jobs that have outlived the trash retention period
+startTrashPurgeSchedule();
+
+// Create upcoming jobs for recurring series
+startRecurringJobSchedule();
+
 initSocket(server);
 
 // CORS Configuration
@@ -41,6 +59,16 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/invitations', invitationRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/tech-timeouts', techTimeoutRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/recurring-jobs', recurringJobRoutes);
+app.use('/api/job-templates', jobTemplateRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/schedule', scheduleRoutes);
 
 // Error handling
 app.use(notFound);
@@ -0,0 +1,149 @@
+/**
+ * CalendarService — iCal feeds of the schedule.
+ *
+ * Calendar apps cannot send a JWT, so feeds are authenticated by a secret
+ * token in the URL (User.calendarToken). Regenerating or revoking the
+ * token stops the old URLs working. A deactivated user's feeds stop too.
+ *
+ *   technician feed  their ASSIGNED / DISPATCHED / IN_PROGRESS jobs
+ *                    and their time-off (TechTimeout) as all-day events
+ *   office feed      every scheduled job (ADMIN / OFFICE_MANAGER only)
+ */
+
+const Job = require('../models/Job');
+const User = require('../models/User');
+const TechTimeout = require('../models/TechTimeout');
+const { ROLES, JOB_STATUS, ACTIVE_JOB_STATUSES } = require('../config/constants');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { addDays, getJobDateRange } = require('../utils/dateRange');
+const { getJobSlot } = require('../utils/timeSlot');
+const { crewFilter } = require('../utils/crew');
+const { buildEvent, buildCalendar } = require('../utils/ical');
+
+// How far back past events stay in a feed
+const FEED_HISTORY_DAYS = 90;
+
+const FEED_JOB_FIELDS = [
+  'title', 'description', 'notes', 'status', 'address', 'customerName', 'customerPhone',
+  'scheduledDate', 'scheduledEndDate', 'scheduledStartTime', 'scheduledEndTime', 'estimatedDuration',
+  'assignedTechnician', 'crewMembers', 'customer', 'updatedAt',
+].join(' ');
+
+function jobEvent(job, { showCrew = false } = {}) {
+  const range = getJobDateRange(job);
+  const customerName = job.customer?.name || job.customerName;
+  const customerPhone = job.customer?.phone || job.customerPhone;
+  const crew = [job.assignedTechnician, ...(job.crewMembers || [])].filter((t) => t?.name);
+
+  const details = [`Status: ${job.status}`];
+  if (customerName) details.push(`Customer: ${customerName}${customerPhone ? ` (${customerPhone})` : ''}`);
+  if (showCrew) details.push(`Crew: ${crew.length ? crew.map((t) => t.name).join(', ') : 'unassigned'}`);
+  if (job.description) details.push('', job.description);
+  if (job.notes) details.push('', `Notes: ${job.notes}`);
+
+  let summary = customerName ? `${job.title} — ${customerName}` : job.title;
+  if (showCrew && job.assignedTechnician?.name) summary = `[${job.assignedTechnician.name}] ${summary}`;
+
+  return buildEvent({
+    uid: `job-${job._id}`,
+    summary,
+    startDate: range.start,
+    endDate: range.end,
+    slot: getJobSlot(job),
+    location: job.address || job.customer?.address,
+    description: details.join('\n'),
+    status: job.status === JOB_STATUS.TENTATIVE ? 'TENTATIVE' : 'CONFIRMED',
+    updatedAt: job.updatedAt,
+  });
+}
+
+function timeoutEvent(timeout) {
+  return buildEvent({
+    uid: `timeout-${timeout._id}`,
+    summary: timeout.reason ? `Time off — ${timeout.reason}` : 'Time off',
+    startDate: timeout.startDate,
+    endDate: timeout.endDate,
+    status: 'CONFIRMED',
+    updatedAt: timeout.updatedAt,
+  });
+}
+
+function findFeedJobs(filter) {
+  return Job.find({ ...filter, scheduledDate: { $ne: null } })
+    .select(FEED_JOB_FIELDS)
+    .populate('customer', 'name phone address')
+    .populate('assignedTechnician', 'name')
+    .populate('crewMembers', 'name')
+    .sort({ scheduledDate: 1, _id: 1 })
+    .lean();
+}
+
+// ── public API ───────────────────────────────────────────────────────
+
+/**
+ * The active user a feed token belongs to, or null.
+ */
+async function findFeedOwner(token) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) return null;
+  return User.findOne({ calendarToken: token, isActive: true });
+}
+
+async function buildTechnicianFeed(user) {
+  const since = addDays(toLocalDateOnly(), -FEED_HISTORY_DAYS);
+  const [jobs, timeouts] = await Promise.all([
+    findFeedJobs({ ...crewFilter(user._id), status: { $in: ACTIVE_JOB_STATUSES } }),
+    TechTimeout.find({ technician: user._id, endDate: { $gte: since } }).lean(),
+  ]);
+
+  return buildCalendar(`${user.name} — Jobs`, [
+    ...jobs.map((job) => jobEvent(job)),
+    ...timeouts.map(timeoutEvent),
+  ]);
+}
+
+async function buildOfficeFeed() {
+  const since = addDays(toLocalDateOnly(), -FEED_HISTORY_DAYS);
+  const jobs = await findFeedJobs({
+    status: { $ne: JOB_STATUS.CANCELLED },
+    $or: [{ scheduledEndDate: { $gte: since } }, { scheduledDate: { $gte: since } }],
+  });
+
+  return buildCalendar('All scheduled jobs', jobs.map((job) => jobEvent(job, { showCrew: true })));
+}
+
+/**
+ * Feed URLs for a user, relative to the API root; null when no token is set.
+ */
+function getFeedPaths(user, token) {
+  if (!token) return null;
+  const paths = { personal: `/api/calendar/feeds/${token}/my.ics` };
+  if ([ROLES.ADMIN, ROLES.OFFICE_MANAGER].includes(user.role)) {
+    paths.office = `/api/calendar/feeds/${token}/office.ics`;
+  }
+  return paths;
+}
+
+/**
+ * Issue a new feed token, revoking any previous one.
+ */
+async function regenerateToken(userId) {
+  const token = User.generateCalendarToken();
+  const user = await User.findByIdAndUpdate(userId, { $set: { calendarToken: token } }, { new: true });
+  if (!user) return { error: 'User not found', status: 404 };
+  return { data: { user, token } };
+}
+
+async function revokeToken(userId) {
+  const user = await User.findByIdAndUpdate(userId, { $unset: { calendarToken: '' } }, { new: true });
+  if (!user) return { error: 'User not found', status: 404 };
+  return { data: user };
+}
+
+module.exports = {
+  findFeedOwner,
+  buildTechnicianFeed,
+  buildOfficeFeed,
+  getFeedPaths,
+  regenerateToken,
+  revokeToken,
+};
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { formatDateOnly } = require('../utils/dateOnly');
 
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST,
@@ -274,4 +275,244 @@ async function sendOtpEmail({ to, code }) {
   });
 }
 
-module.exports = { sendInvitationEmail, sendAccountDeletedEmail, sendInviteRevokedEmail, sendOtpEmail };
+/**
+ * Let a customer know their technician is on the way.
+ * @param {Object} opts
+ * @param {string} opts.to             - Customer email
+ * @param {string} [opts.customerName] - Customer name
+ * @param {string} opts.jobTitle       - Job title
+ * @param {string} [opts.technicianName] - Dispatched technician
+ * @param {Date}   [opts.eta]          - Estimated arrival
+ */
+async function sendJobDispatchedEmail({ to, customerName, jobTitle, technicianName, eta }) {
+  const etaText = eta
+    ? new Date(eta).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : '';
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0" /></head>
+<body style="margin:0;padding:0;background-color:#f4f4f5;font-family:Arial,Helvetica,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color:#f4f4f5;padding:40px 0;">
+    <tr><td align="center">
+      <table width="560" cellpadding="0" cellspacing="0" style="background-color:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+        <tr>
+          <td style="background-color:#C41E2A;padding:28px 32px;text-align:center;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;font-weight:700;">Hosanna Electric</h1>
+            <p style="margin:6px 0 0;color:#fecaca;font-size:13px;">Field Service Management</p>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:32px;">
+            <h2 style="margin:0 0 8px;color:#1a1a1a;font-size:18px;">Your technician is on the way</h2>
+            <p style="margin:0 0 20px;color:#6b7280;font-size:14px;line-height:1.6;">
+              Hi <strong>${customerName || 'there'}</strong>,
+            </p>
+            <p style="margin:0 0 20px;color:#6b7280;font-size:14px;line-height:1.6;">
+              ${technicianName ? `<strong>${technicianName}</strong>` : 'Our technician'} is heading to you for
+              <strong>${jobTitle}</strong>.
+            </p>
+            ${etaText ? `<p style="margin:0 0 20px;color:#1a1a1a;font-size:16px;line-height:1.6;">Estimated arrival: <strong style="color:#C41E2A;">${etaText}</strong></p>` : ''}
+            <p style="margin:0;color:#6b7280;font-size:14px;line-height:1.6;">
+              If you need to reach us before then, simply reply to this email.
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background-color:#f9fafb;padding:20px 32px;border-top:1px solid #e5e7eb;text-align:center;">
+            <p style="margin:0;color:#9ca3af;font-size:11px;">&copy; ${new Date().getFullYear()} Hosanna Electric. All rights reserved.</p>
+          </td>
+        </tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+  await transporter.sendMail({
+    from: `"${process.env.SMTP_FROM_NAME || 'Hosanna Electric'}" <${process.env.SMTP_FROM_EMAIL || 'noreply@example.com'}>`,
+    to,
+    subject: 'Your Hosanna Electric technician is on the way',
+    html,
+  });
+}
+
+/**
+ * Send a quote to a customer with a link to accept or decline it.
+ * @param {Object} opts
+ * @param {string} opts.to             - Customer email
+ * @param {string} [opts.customerName] - Customer name
+ * @param {string} opts.jobTitle       - Job the quote is for
+ * @param {number} opts.quoteNumber    - Quote number on the job
+ * @param {Array}  opts.lineItems      - Quote line items
+ * @param {Object} opts.totals         - Quote totals
+ * @param {number} opts.taxRate        - Tax rate (percent)
+ * @param {string} opts.validUntil     - Last day to accept (YYYY-MM-DD)
+ * @param {string} [opts.notes]        - Terms / message
+ * @param {string} opts.token          - Public quote token
+ */
+async function sendQuoteEmail({ to, customerName, jobTitle, quoteNumber, lineItems, totals, taxRate, validUntil, notes, token }) {
+  const frontendUrl = process.env.CORS_ORIGIN.split(',')[0] || 'http://localhost:5173';
+  const quoteUrl = `${frontendUrl}/quote?token=${token}`;
+  const money = (value) => `$${Number(value || 0).toFixed(2)}`;
+
+  const rows = lineItems
+    .map(
+      (item) => `
+                <tr>
+                  <td style="padding:8px 0;color:#1a1a1a;font-size:13px;border-bottom:1px solid #f3f4f6;">${item.description}</td>
+                  <td style="padding:8px 0;color:#6b7280;font-size:13px;border-bottom:1px solid #f3f4f6;text-align:right;">${item.quantity} × ${money(item.unitPrice)}</td>
+                  <td style="padding:8px 0;color:#1a1a1a;font-size:13px;border-bottom:1px solid #f3f4f6;text-align:right;">${money(item.amount)}</td>
+                </tr>`
+    )
+    .join('');
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0" /></head>
+<body style="margin:0;padding:0;background-color:#f4f4f5;font-family:Arial,Helvetica,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color:#f4f4f5;padding:40px 0;">
+    <tr><td align="center">
+      <table width="560" cellpadding="0" cellspacing="0" style="background-color:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+        <tr>
+          <td style="background-color:#C41E2A;padding:28px 32px;text-align:center;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;font-weight:700;">Hosanna Electric</h1>
+            <p style="margin:6px 0 0;color:#fecaca;font-size:13px;">Field Service Management</p>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:32px;">
+            <h2 style="margin:0 0 8px;color:#1a1a1a;font-size:18px;">Your quote for ${jobTitle}</h2>
+            <p style="margin:0 0 20px;color:#6b7280;font-size:14px;line-height:1.6;">
+              Hi <strong>${customerName || 'there'}</strong>, here is quote <strong>#${quoteNumber}</strong> for the work we discussed.
+            </p>
+            <table width="100%" cellpadding="0" cellspacing="0">${rows}
+              <tr>
+                <td colspan="2" style="padding:8px 0 0;color:#6b7280;font-size:13px;text-align:right;">Subtotal</td>
+                <td style="padding:8px 0 0;color:#1a1a1a;font-size:13px;text-align:right;">${money(totals.subtotal)}</td>
+              </tr>
+              <tr>
+                <td colspan="2" style="padding:4px 0;color:#6b7280;font-size:13px;text-align:right;">Tax (${taxRate}%)</td>
+                <td style="padding:4px 0;color:#1a1a1a;font-size:13px;text-align:right;">${money(totals.tax)}</td>
+              </tr>
+              <tr>
+                <td colspan="2" style="padding:4px 0;color:#1a1a1a;font-size:15px;font-weight:700;text-align:right;">Total</td>
+                <td style="padding:4px 0;color:#C41E2A;font-size:15px;font-weight:700;text-align:right;">${money(totals.total)}</td>
+              </tr>
+            </table>
+            ${notes ? `<p style="margin:20px 0 0;color:#6b7280;font-size:13px;line-height:1.6;">${notes}</p>` : ''}
+            <p style="margin:20px 0 24px;color:#6b7280;font-size:14px;line-height:1.6;">
+              This quote is valid until <strong>${formatDateOnly(validUntil)}</strong>. Use the button below to accept or decline it.
+            </p>
+            <table width="100%" cellpadding="0" cellspacing="0">
+              <tr>
+                <td align="center">
+                  <a href="${quoteUrl}" target="_blank"
+                     style="display:inline-block;padding:14px 36px;background-color:#C41E2A;color:#ffffff;
+                            text-decoration:none;font-size:15px;font-weight:600;border-radius:8px;">
+                    Review Quote
+                  </a>
+                </td>
+              </tr>
+            </table>
+            <p style="margin:24px 0 0;color:#9ca3af;font-size:12px;line-height:1.5;text-align:center;">
+              If the button doesn't work, copy and paste this link into your browser:<br/>
+              <a href="${quoteUrl}" style="color:#C41E2A;word-break:break-all;">${quoteUrl}</a>
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background-color:#f9fafb;padding:20px 32px;border-top:1px solid #e5e7eb;text-align:center;">
+            <p style="margin:0;color:#9ca3af;font-size:11px;">&copy; ${new Date().getFullYear()} Hosanna Electric. All rights reserved.</p>
+          </td>
+        </tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+  await transporter.sendMail({
+    from: `"${process.env.SMTP_FROM_NAME || 'Hosanna Electric'}" <${process.env.SMTP_FROM_EMAIL || 'noreply@example.com'}>`,
+    to,
+    subject: `Your Hosanna Electric quote #${quoteNumber}: ${jobTitle}`,
+    html,
+  });
+}
+
+/**
+ * Email an invoice to a customer with the PDF attached.
+ * @param {Object} opts
+ * @param {string} opts.to             - Customer email
+ * @param {string} [opts.customerName] - Customer name
+ * @param {string} opts.invoiceNumber  - e.g. INV-000042
+ * @param {string} opts.jobTitle       - Job the invoice is for
+ * @param {number} opts.total          - Amount due
+ * @param {string} opts.dueDate        - Due date (YYYY-MM-DD)
+ * @param {Buffer} opts.pdf            - Rendered invoice PDF
+ */
+async function sendInvoiceEmail({ to, customerName, invoiceNumber, jobTitle, total, dueDate, pdf }) {
+  const totalText = `$${Number(total || 0).toFixed(2)}`;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0" /></head>
+<body style="margin:0;padding:0;background-color:#f4f4f5;font-family:Arial,Helvetica,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color:#f4f4f5;padding:40px 0;">
+    <tr><td align="center">
+      <table width="560" cellpadding="0" cellspacing="0" style="background-color:#ffffff;border-radius:12px;overflow:hidden;box-shadow:0 2px 8px rgba(0,0,0,0.08);">
+        <tr>
+          <td style="background-color:#C41E2A;padding:28px 32px;text-align:center;">
+            <h1 style="margin:0;color:#ffffff;font-size:22px;font-weight:700;">Hosanna Electric</h1>
+            <p style="margin:6px 0 0;color:#fecaca;font-size:13px;">Field Service Management</p>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:32px;">
+            <h2 style="margin:0 0 8px;color:#1a1a1a;font-size:18px;">Invoice ${invoiceNumber}</h2>
+            <p style="margin:0 0 20px;color:#6b7280;font-size:14px;line-height:1.6;">
+              Hi <strong>${customerName || 'there'}</strong>,
+            </p>
+            <p style="margin:0 0 20px;color:#6b7280;font-size:14px;line-height:1.6;">
+              Thank you for choosing Hosanna Electric. Please find attached the invoice for <strong>${jobTitle}</strong>.
+            </p>
+            <p style="margin:0 0 20px;color:#1a1a1a;font-size:16px;line-height:1.6;">
+              Amount due: <strong style="color:#C41E2A;">${totalText}</strong> by <strong>${formatDateOnly(dueDate)}</strong>
+            </p>
+            <p style="margin:0;color:#6b7280;font-size:14px;line-height:1.6;">
+              Please reference <strong>${invoiceNumber}</strong> with your payment. If you have any questions, simply reply to this email.
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background-color:#f9fafb;padding:20px 32px;border-top:1px solid #e5e7eb;text-align:center;">
+            <p style="margin:0;color:#9ca3af;font-size:11px;">&copy; ${new Date().getFullYear()} Hosanna Electric. All rights reserved.</p>
+          </td>
+        </tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+  await transporter.sendMail({
+    from: `"${process.env.SMTP_FROM_NAME || 'Hosanna Electric'}" <${process.env.SMTP_FROM_EMAIL || 'noreply@example.com'}>`,
+    to,
+    subject: `Hosanna Electric invoice ${invoiceNumber}`,
+    html,
+    attachments: [{ filename: `${invoiceNumber}.pdf`, content: pdf, contentType: 'application/pdf' }],
+  });
+}
+
+module.exports = {
+  sendInvitationEmail,
+  sendAccountDeletedEmail,
+  sendInviteRevokedEmail,
+  sendOtpEmail,
+  sendJobDispatchedEmail,
+  sendQuoteEmail,
+  sendInvoiceEmail,
+};
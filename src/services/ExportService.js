@@ -0,0 +1,188 @@
+/**
+ * ExportService — spreadsheet exports of job listings.
+ *
+ * Jobs are read through a Mongo cursor and written row by row to the
+ * response, so an export of tens of thousands of jobs never holds more
+ * than one cursor batch in memory. CSV is piped from a generator; XLSX goes
+ * through exceljs's streaming WorkbookWriter.
+ */
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const Job = require('../models/Job');
+const { JOB_STATUS } = require('../config/constants');
+const { toCsvLine } = require('../utils/csv');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const CURSOR_BATCH_SIZE = 500;
+
+// Statuses whose latest entry time gets its own column
+const STATUS_TIMESTAMP_COLUMNS = [
+  [JOB_STATUS.CONFIRMED, 'confirmedAt', 'Confirmed At'],
+  [JOB_STATUS.ASSIGNED, 'assignedAt', 'Assigned At'],
+  [JOB_STATUS.DISPATCHED, 'dispatchedAt', 'Dispatched At'],
+  [JOB_STATUS.IN_PROGRESS, 'startedAt', 'Started At'],
+  [JOB_STATUS.COMPLETED, 'completedAt', 'Completed At'],
+  [JOB_STATUS.BILLED, 'billedAt', 'Billed At'],
+  [JOB_STATUS.PAID, 'paidAt', 'Paid At'],
+  [JOB_STATUS.CLOSED, 'closedAt', 'Closed At'],
+  [JOB_STATUS.CANCELLED, 'cancelledAt', 'Cancelled At'],
+];
+
+const JOB_EXPORT_COLUMNS = [
+  { label: 'Job ID', value: 'id', width: 26 },
+  { label: 'Title', value: 'title', width: 32 },
+  { label: 'Status', value: 'status', width: 12 },
+  { label: 'Job Type', value: 'jobType', width: 18 },
+  { label: 'Customer', value: 'customerName', width: 24 },
+  { label: 'Company', value: 'companyName', width: 24 },
+  { label: 'Customer Email', value: 'customerEmail', width: 28 },
+  { label: 'Customer Phone', value: 'customerPhone', width: 16 },
+  { label: 'Address', value: 'address', width: 36 },
+  { label: 'Technician', value: 'technicianName', width: 20 },
+  { label: 'Technician Email', value: 'technicianEmail', width: 28 },
+  { label: 'Crew', value: 'crew', width: 28 },
+  { label: 'Scheduled Date', value: 'scheduledDate', width: 14 },
+  { label: 'Scheduled End Date', value: 'scheduledEndDate', width: 14 },
+  { label: 'Start Time', value: 'scheduledStartTime', width: 10 },
+  { label: 'End Time', value: 'scheduledEndTime', width: 10 },
+  { label: 'Estimated Cost', value: 'estimatedCost', width: 14 },
+  { label: 'Actual Cost', value: 'actualCost', width: 14 },
+  { label: 'Tax', value: 'tax', width: 12 },
+  { label: 'Total', value: 'total', width: 14 },
+  { label: 'Created At', value: 'createdAt', width: 22 },
+  ...STATUS_TIMESTAMP_COLUMNS.map(([, key, label]) => ({ label, value: key, width: 22 })),
+];
+
+/**
+ * One flat spreadsheet row per job. A linked Customer wins over the
+ * legacy customer fields on the job.
+ */
+function flattenJob(job) {
+  const statusTimes = {};
+  for (const entry of job.statusHistory || []) {
+    const prev = statusTimes[entry.toStatus];
+    if (!prev || entry.changedAt > prev) statusTimes[entry.toStatus] = entry.changedAt;
+  }
+
+  const row = {
+    id: String(job._id),
+    title: job.title,
+    status: job.status,
+    jobType: job.jobType || '',
+    customerName: job.customer?.name || job.customerName || '',
+    companyName: job.companyName || '',
+    customerEmail: job.customer?.email || job.customerEmail || '',
+    customerPhone: job.customer?.phone || job.customerPhone || '',
+    address: job.customer?.address || job.address || '',
+    technicianName: job.assignedTechnician?.name || '',
+    technicianEmail: job.assignedTechnician?.email || '',
+    crew: (job.crewMembers || []).map((m) => m?.name).filter(Boolean).join('; '),
+    scheduledDate: job.scheduledDate || '',
+    scheduledEndDate: job.scheduledEndDate || '',
+    scheduledStartTime: job.scheduledStartTime || '',
+    scheduledEndTime: job.scheduledEndTime || '',
+    estimatedCost: job.estimatedCost ?? null,
+    actualCost: job.actualCost ?? null,
+    tax: job.totals?.tax ?? null,
+    total: job.totals?.total ?? null,
+    createdAt: job.createdAt,
+  };
+  for (const [status, key] of STATUS_TIMESTAMP_COLUMNS) {
+    row[key] = statusTimes[status] || null;
+  }
+  // Older jobs predate some history entries; the job's own timestamps fill in
+  row.dispatchedAt = row.dispatchedAt || job.dispatchedAt || null;
+  row.completedAt = row.completedAt || job.completedAt || null;
+  row.billedAt = row.billedAt || job.billedAt || null;
+  return row;
+}
+
+function openJobCursor(filter, sort) {
+  return Job.find(filter)
+    .sort(sort)
+    .select('-documents -lineItems -checklist -acceptedQuote -description -notes')
+    .populate('customer', 'name email phone address')
+    .populate('assignedTechnician', 'name email')
+    .populate('crewMembers', 'name')
+    .lean()
+    .batchSize(CURSOR_BATCH_SIZE)
+    .cursor();
+}
+
+async function* csvLines(cursor) {
+  yield toCsvLine(JOB_EXPORT_COLUMNS);
+  for await (const job of cursor) yield toCsvLine(JOB_EXPORT_COLUMNS, flattenJob(job));
+}
+
+// pipeline waits on backpressure and, if the client disconnects, stops the
+// generator (closing the cursor) and rejects instead of waiting forever
+function writeCsv(res, cursor) {
+  return pipeline(Readable.from(csvLines(cursor)), res);
+}
+
+/**
+ * Resolves once `res` can take more data — or the client has gone away,
+ * in which case 'drain' never comes.
+ */
+function drainOrClose(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+async function writeXlsx(res, cursor) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Jobs');
+  sheet.columns = JOB_EXPORT_COLUMNS.map((c) => ({ header: c.label, key: c.value, width: c.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const job of cursor) {
+    sheet.addRow(flattenJob(job)).commit();
+    // The zip stream buffers what the client hasn't taken yet — wait for it
+    if (res.writableNeedDrain) await drainOrClose(res);
+    if (res.destroyed) return; // leaving the loop closes the cursor
+  }
+  await sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream the jobs matching `filter` to `res` as a download.
+ * @param {import('express').Response} res
+ * @param {Object} params
+ * @param {Object} params.filter - from buildJobQuery
+ * @param {Object} params.sort   - from buildJobQuery
+ * @param {'csv'|'xlsx'} params.format
+ */
+async function streamJobExport(res, { filter, sort, format }) {
+  const cursor = openJobCursor(filter, sort);
+  // Stop reading from Mongo when the client goes away mid-download
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  const stamp = toLocalDateOnly();
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="jobs-${stamp}.xlsx"`);
+    await writeXlsx(res, cursor);
+  } else {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="jobs-${stamp}.csv"`);
+    await writeCsv(res, cursor);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  JOB_EXPORT_COLUMNS,
+  streamJobExport,
+};
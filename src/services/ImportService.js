@@ -0,0 +1,479 @@
+/**
+ * ImportService — bulk CSV import of customers and historical jobs.
+ *
+ * Every import validates all rows first. A dry run stops there and
+ * returns the report; a real import inserts the valid rows, skips the
+ * invalid ones and records an ImportBatch. Everything an import created
+ * carries `importBatch`, which is what rollbackImport removes.
+ *
+ * Customers are de-duplicated by email, then phone (digits only), against
+ * the database and earlier rows of the same file. Jobs link to customers
+ * the same way and to technicians by email.
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Quote = require('../models/Quote');
+const ImportBatch = require('../models/ImportBatch');
+const {
+  ROLES, JOB_STATUS, ACTIVE_JOB_STATUSES, IMPORT_TYPES, IMPORT_STATUS,
+} = require('../config/constants');
+const { parseCsv } = require('../utils/csv');
+const { normalizeDateOnly, isDateOnly } = require('../utils/dateOnly');
+const { validateTimeWindow } = require('../utils/timeSlot');
+const { normalizeJobType, ensureJobTypeSaved } = require('./JobService');
+
+const MAX_IMPORT_ROWS = 10000;
+const INSERT_CHUNK_SIZE = 500;
+// Row errors kept on the batch record; the response carries all of them
+const MAX_STORED_ROW_ERRORS = 500;
+// Imported jobs are history — without a status column they are done and dusted
+const DEFAULT_IMPORT_STATUS = JOB_STATUS.CLOSED;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Field → accepted header names (compared lower-case, letters and digits only)
+const CUSTOMER_COLUMNS = {
+  name: ['name', 'customername', 'customer'],
+  email: ['email', 'emailaddress', 'customeremail'],
+  phone: ['phone', 'phonenumber', 'telephone', 'customerphone'],
+  address: ['address', 'customeraddress'],
+};
+
+const JOB_COLUMNS = {
+  title: ['title', 'jobtitle'],
+  description: ['description'],
+  jobType: ['jobtype', 'type'],
+  status: ['status'],
+  customerName: ['customername', 'customer'],
+  customerEmail: ['customeremail', 'email'],
+  customerPhone: ['customerphone', 'phone'],
+  companyName: ['companyname', 'company'],
+  address: ['address', 'siteaddress'],
+  scheduledDate: ['scheduleddate', 'date'],
+  scheduledEndDate: ['scheduledenddate', 'enddate'],
+  scheduledStartTime: ['scheduledstarttime', 'starttime'],
+  scheduledEndTime: ['scheduledendtime', 'endtime'],
+  estimatedCost: ['estimatedcost', 'estimate'],
+  actualCost: ['actualcost', 'cost', 'amount'],
+  technicianEmail: ['technicianemail', 'technician'],
+  notes: ['notes'],
+  completedAt: ['completedat', 'completeddate'],
+  billedAt: ['billedat', 'billeddate'],
+};
+
+// ── parsing helpers ─────────────────────────────────────────────────
+
+function normalizeHeader(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeEmail(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+// Digits only; too short to identify anyone → no key
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits : '';
+}
+
+/**
+ * Parse the CSV and map its header row onto `columns`.
+ * @returns {{ rows: Array<{ row: number, values: Object }> } | { error: string }}
+ */
+function readRows(text, columns, requiredField) {
+  const parsed = parseCsv(text);
+  if (parsed.error) return { error: parsed.error };
+
+  const [header, ...records] = parsed.records;
+  if (!header) return { error: 'The CSV file is empty' };
+  if (records.length === 0) return { error: 'The CSV file has a header row but no data rows' };
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once (got ${records.length})` };
+  }
+
+  const fieldByHeader = new Map();
+  for (const [field, aliases] of Object.entries(columns)) {
+    for (const alias of aliases) {
+      if (!fieldByHeader.has(alias)) fieldByHeader.set(alias, field);
+    }
+  }
+  const fields = [];
+  for (const cell of header.cells) {
+    const field = fieldByHeader.get(normalizeHeader(cell));
+    // First column wins when two headers map to the same field
+    fields.push(field && !fields.includes(field) ? field : null);
+  }
+  if (!fields.includes(requiredField)) {
+    return { error: `Missing required column "${requiredField}"` };
+  }
+
+  const rows = records.map(({ line, cells }) => {
+    const values = {};
+    fields.forEach((field, i) => {
+      if (field) values[field] = (cells[i] || '').trim();
+    });
+    return { row: line, values };
+  });
+  return { rows, columns: fields.filter(Boolean) };
+}
+
+/**
+ * Existing customers keyed by email and phone, plus anything the current
+ * import adds (see remember()).
+ */
+async function loadCustomerDirectory() {
+  const customers = await Customer.find({}).select('name email phone').lean();
+  const directory = { byEmail: new Map(), byPhone: new Map(), byName: new Map() };
+  for (const customer of customers) remember(directory, customer);
+  return directory;
+}
+
+function remember(directory, customer) {
+  const email = normalizeEmail(customer.email);
+  const phone = normalizePhone(customer.phone);
+  if (email && !directory.byEmail.has(email)) directory.byEmail.set(email, customer);
+  if (phone && !directory.byPhone.has(phone)) directory.byPhone.set(phone, customer);
+}
+
+function findCustomer(directory, { email, phone }) {
+  return directory.byEmail.get(normalizeEmail(email))
+    || directory.byPhone.get(normalizePhone(phone))
+    || null;
+}
+
+function parseAmount(value, label, errors) {
+  if (value === undefined || value === '') return undefined;
+  const amount = Number(value.replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(amount) || amount < 0) {
+    errors.push(`${label} must be a non-negative number`);
+    return undefined;
+  }
+  return Math.round(amount * 100) / 100;
+}
+
+function parseTimestamp(value, label, errors) {
+  if (!value) return undefined;
+  const date = new Date(isDateOnly(value) ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${label} must be a date (YYYY-MM-DD or ISO 8601)`);
+    return undefined;
+  }
+  return date;
+}
+
+function createBatch(_id, type, { fileName }, user, summary) {
+  return ImportBatch.create({
+    _id,
+    type,
+    fileName,
+    totalRows: summary.totalRows,
+    duplicateCount: summary.duplicates,
+    errorCount: summary.errors.length,
+    rowErrors: summary.errors.slice(0, MAX_STORED_ROW_ERRORS),
+    createdBy: user._id,
+  });
+}
+
+async function insertInChunks(Model, docs) {
+  for (let i = 0; i < docs.length; i += INSERT_CHUNK_SIZE) {
+    await Model.insertMany(docs.slice(i, i + INSERT_CHUNK_SIZE), { ordered: true });
+  }
+}
+
+// ── customers ───────────────────────────────────────────────────────
+
+/**
+ * Import customers from CSV (columns: name, email, phone, address).
+ * Rows matching an existing customer are reported as duplicates and
+ * left untouched.
+ *
+ * @param {string} text - CSV content
+ * @param {Object} options - { dryRun, fileName }
+ * @returns {Promise<{ data } | { error, status }>}
+ */
+async function importCustomers(text, { dryRun = false, fileName } = {}, user) {
+  const read = readRows(text, CUSTOMER_COLUMNS, 'name');
+  if (read.error) return { error: read.error, status: 400 };
+
+  const directory = await loadCustomerDirectory();
+  const toCreate = [];
+  const duplicates = [];
+  const errors = [];
+
+  for (const { row, values } of read.rows) {
+    const rowErrors = [];
+    if (!values.name) rowErrors.push('name is required');
+    if (values.email && !EMAIL_RE.test(values.email)) rowErrors.push(`"${values.email}" is not a valid email`);
+    if (rowErrors.length) {
+      errors.push({ row, messages: rowErrors });
+      continue;
+    }
+
+    const existing = findCustomer(directory, values);
+    if (existing) {
+      // customerId is null when the match is an earlier row of this file
+      duplicates.push({ row, customerId: existing._id || null, name: existing.name });
+      continue;
+    }
+
+    const customer = {
+      name: values.name,
+      email: normalizeEmail(values.email),
+      phone: values.phone || '',
+      address: values.address || '',
+    };
+    remember(directory, customer);
+    toCreate.push({ row, customer });
+  }
+
+  const summary = {
+    dryRun,
+    totalRows: read.rows.length,
+    columns: read.columns,
+    toCreate: toCreate.length,
+    duplicates: duplicates.length,
+    errors,
+    duplicateRows: duplicates,
+  };
+  if (dryRun) return { data: { ...summary, batch: null } };
+
+  const batch = await createBatch(new mongoose.Types.ObjectId(), IMPORT_TYPES.CUSTOMERS, { fileName }, user, summary);
+  await insertInChunks(Customer, toCreate.map(({ customer }) => ({ ...customer, importBatch: batch._id })));
+  batch.customersCreated = toCreate.length;
+  await batch.save();
+
+  return { data: { ...summary, batch } };
+}
+
+// ── jobs ────────────────────────────────────────────────────────────
+
+/**
+ * Import historical jobs from CSV (see JOB_COLUMNS for the headers).
+ *
+ * Customers are matched by customerEmail / customerPhone; a row that
+ * matches nobody but has a customerName creates the customer as part of
+ * the batch. technicianEmail must be an existing technician. Status
+ * defaults to CLOSED.
+ *
+ * @param {string} text - CSV content
+ * @param {Object} options - { dryRun, fileName }
+ * @returns {Promise<{ data } | { error, status }>}
+ */
+async function importJobs(text, { dryRun = false, fileName } = {}, user) {
+  const read = readRows(text, JOB_COLUMNS, 'title');
+  if (read.error) return { error: read.error, status: 400 };
+
+  const directory = await loadCustomerDirectory();
+  const technicians = await User.find({ role: ROLES.TECHNICIAN }).select('email').lean();
+  const techByEmail = new Map(technicians.map((t) => [normalizeEmail(t.email), t._id]));
+
+  const batchId = new mongoose.Types.ObjectId();
+  const newCustomers = [];
+  const jobs = [];
+  const errors = [];
+  let linkedCustomers = 0;
+
+  for (const { row, values } of read.rows) {
+    const rowErrors = [];
+    if (!values.title) rowErrors.push('title is required');
+
+    const status = values.status ? values.status.toUpperCase().replace(/[\s-]+/g, '_') : DEFAULT_IMPORT_STATUS;
+    if (!Object.values(JOB_STATUS).includes(status)) {
+      rowErrors.push(`Unknown status "${values.status}"`);
+    }
+
+    const scheduledDate = values.scheduledDate ? normalizeDateOnly(values.scheduledDate) : undefined;
+    const scheduledEndDate = values.scheduledEndDate ? normalizeDateOnly(values.scheduledEndDate) : undefined;
+    if (values.scheduledDate && !scheduledDate) rowErrors.push('scheduledDate must be in YYYY-MM-DD format');
+    if (values.scheduledEndDate && !scheduledEndDate) rowErrors.push('scheduledEndDate must be in YYYY-MM-DD format');
+    if (scheduledEndDate && !scheduledDate) rowErrors.push('scheduledEndDate requires scheduledDate');
+    if (scheduledDate && scheduledEndDate && scheduledEndDate < scheduledDate) {
+      rowErrors.push('scheduledEndDate cannot be before scheduledDate');
+    }
+    const windowErr = validateTimeWindow(values);
+    if (windowErr) rowErrors.push(windowErr);
+
+    const estimatedCost = parseAmount(values.estimatedCost, 'estimatedCost', rowErrors);
+    const actualCost = parseAmount(values.actualCost, 'actualCost', rowErrors);
+    const completedAt = parseTimestamp(values.completedAt, 'completedAt', rowErrors);
+    const billedAt = parseTimestamp(values.billedAt, 'billedAt', rowErrors);
+
+    if (values.customerEmail && !EMAIL_RE.test(values.customerEmail)) {
+      rowErrors.push(`"${values.customerEmail}" is not a valid customer email`);
+    }
+
+    let technicianId = null;
+    if (values.technicianEmail) {
+      technicianId = techByEmail.get(normalizeEmail(values.technicianEmail)) || null;
+      if (!technicianId) rowErrors.push(`No technician with email "${values.technicianEmail}"`);
+    } else if (ACTIVE_JOB_STATUSES.includes(status)) {
+      rowErrors.push(`${status} jobs need a technicianEmail`);
+    }
+
+    if (rowErrors.length) {
+      errors.push({ row, messages: rowErrors });
+      continue;
+    }
+
+    let customer = findCustomer(directory, { email: values.customerEmail, phone: values.customerPhone });
+    if (!customer && values.customerName) {
+      // Same name, no contact details: treat as one new customer within this file
+      customer = directory.byName.get(values.customerName.toLowerCase()) || null;
+      if (!customer) {
+        customer = {
+          _id: new mongoose.Types.ObjectId(),
+          name: values.customerName,
+          email: normalizeEmail(values.customerEmail),
+          phone: values.customerPhone || '',
+          address: values.address || '',
+          importBatch: batchId,
+        };
+        newCustomers.push(customer);
+        remember(directory, customer);
+        directory.byName.set(values.customerName.toLowerCase(), customer);
+      }
+    }
+    if (customer && !customer.importBatch) linkedCustomers += 1;
+
+    const job = {
+      title: values.title,
+      description: values.description || undefined,
+      jobType: normalizeJobType(values.jobType) || undefined,
+      status,
+      scheduledDate,
+      scheduledEndDate,
+      scheduledStartTime: values.scheduledStartTime || undefined,
+      scheduledEndTime: values.scheduledEndTime || undefined,
+      estimatedCost,
+      actualCost,
+      notes: values.notes || undefined,
+      companyName: values.companyName || undefined,
+      address: values.address || undefined,
+      assignedTechnician: technicianId,
+      completedAt,
+      billedAt,
+      createdBy: user._id,
+      importBatch: batchId,
+      statusHistory: [
+        {
+          fromStatus: null,
+          toStatus: status,
+          changedBy: user._id,
+          technician: technicianId,
+          notes: `Imported from CSV${fileName ? ` (${fileName})` : ''}, row ${row}`,
+        },
+      ],
+    };
+    // Held / cancelled jobs carry the status they came from, as transitionStatus
+    // records it — a held job may only resume to that status. The file does not
+    // say, so a job with a technician was ASSIGNED, one without CONFIRMED.
+    const importedFrom = technicianId ? JOB_STATUS.ASSIGNED : JOB_STATUS.CONFIRMED;
+    if (status === JOB_STATUS.ON_HOLD) {
+      job.hold = { reason: 'Imported', fromStatus: importedFrom, heldBy: user._id, heldAt: new Date() };
+    } else if (status === JOB_STATUS.CANCELLED) {
+      job.cancellation = { reason: 'Imported', fromStatus: importedFrom, cancelledBy: user._id, cancelledAt: new Date() };
+    }
+    if (customer) {
+      job.customer = customer._id;
+    } else {
+      // Legacy free-text customer, as on jobs created before Customer existed
+      job.customerName = values.customerName || undefined;
+      job.customerEmail = normalizeEmail(values.customerEmail) || undefined;
+      job.customerPhone = values.customerPhone || undefined;
+    }
+    jobs.push(job);
+  }
+
+  const summary = {
+    dryRun,
+    totalRows: read.rows.length,
+    columns: read.columns,
+    toCreate: jobs.length,
+    customersToCreate: newCustomers.length,
+    linkedToExistingCustomers: linkedCustomers,
+    errors,
+  };
+  if (dryRun) return { data: { ...summary, batch: null } };
+
+  // Job and customer docs were tagged with batchId while validating
+  const batch = await createBatch(batchId, IMPORT_TYPES.JOBS, { fileName }, user, summary);
+
+  for (const name of new Set(jobs.map((j) => j.jobType).filter(Boolean))) {
+    await ensureJobTypeSaved(name);
+  }
+  await insertInChunks(Customer, newCustomers);
+  await insertInChunks(Job, jobs);
+  batch.customersCreated = newCustomers.length;
+  batch.jobsCreated = jobs.length;
+  await batch.save();
+
+  return { data: { ...summary, batch } };
+}
+
+// ── rollback ────────────────────────────────────────────────────────
+
+/**
+ * Remove everything a batch created. Refused while any imported job has
+ * invoices, payments or quotes (money has moved on it since). Imported
+ * customers that other jobs now use are kept.
+ */
+async function rollbackImport(batchId, user) {
+  const batch = await ImportBatch.findById(batchId);
+  if (!batch) return { error: 'Import batch not found', status: 404 };
+  if (batch.status === IMPORT_STATUS.ROLLED_BACK) {
+    return { error: 'This import has already been rolled back', status: 400 };
+  }
+
+  // Trashed jobs belong to the batch too
+  const jobIds = await Job.distinct('_id', { importBatch: batch._id }).setOptions({ withDeleted: true });
+  if (jobIds.length) {
+    const [invoices, payments, quotes] = await Promise.all([
+      Invoice.countDocuments({ job: { $in: jobIds } }),
+      Payment.countDocuments({ job: { $in: jobIds } }),
+      Quote.countDocuments({ job: { $in: jobIds } }),
+    ]);
+    if (invoices || payments || quotes) {
+      return {
+        error: `Cannot roll back: imported jobs already have ${invoices} invoice(s), ${payments} payment(s) and ${quotes} quote(s)`,
+        status: 409,
+      };
+    }
+  }
+
+  // Claim the batch first so two rollbacks cannot run side by side
+  const claimed = await ImportBatch.findOneAndUpdate(
+    { _id: batch._id, status: IMPORT_STATUS.COMPLETED },
+    { $set: { status: IMPORT_STATUS.ROLLED_BACK, rolledBackAt: new Date(), rolledBackBy: user._id } },
+    { new: true }
+  );
+  if (!claimed) return { error: 'This import has already been rolled back', status: 409 };
+
+  const { deletedCount: jobsDeleted } = await Job.deleteMany({ importBatch: batch._id })
+    .setOptions({ withDeleted: true });
+
+  const customerIds = await Customer.distinct('_id', { importBatch: batch._id });
+  const inUse = customerIds.length
+    ? await Job.distinct('customer', { customer: { $in: customerIds } }).setOptions({ withDeleted: true })
+    : [];
+  const inUseIds = new Set(inUse.map(String));
+  const removable = customerIds.filter((id) => !inUseIds.has(String(id)));
+  const { deletedCount: customersDeleted } = await Customer.deleteMany({ _id: { $in: removable } });
+
+  claimed.rollback = { jobsDeleted, customersDeleted, customersKept: customerIds.length - removable.length };
+  await claimed.save();
+
+  return { data: claimed };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importCustomers,
+  importJobs,
+  rollbackImport,
+};
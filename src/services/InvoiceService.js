@@ -0,0 +1,275 @@
+/**
+ * InvoiceService — the immutable financial record of a billed job.
+ *
+ * An invoice is issued when a job moves to BILLED: line items, tax and
+ * totals are copied from the job, a sequential number is taken from the
+ * "invoice" Counter, and the rendered PDF is stored in S3. If issuing
+ * fails the billing is undone (routes/jobs.js); POST /api/invoices retries
+ * for a job left BILLED without one. Reverting the job out of BILLED voids
+ * the invoice; billing it again issues a new one.
+ */
+
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Job = require('../models/Job');
+const { JOB_STATUS, INVOICE_STATUS, LINE_ITEM_TYPES } = require('../config/constants');
+const { buildLineItem, calculateTotals, roundMoney } = require('../utils/lineItems');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { addDays } = require('../utils/dateRange');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { buildInvoiceKey, putObject, getObjectBuffer, getDownloadUrl } = require('./S3Service');
+const { sendInvoiceEmail } = require('./EmailService');
+const { getNetPaid } = require('./PaymentService');
+
+// A request that crashed mid-issue stops blocking the job after this long
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+function getPaymentTermsDays() {
+  const days = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+function formatInvoiceNumber(sequence) {
+  return `INV-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Line items to bill for a job. Jobs priced before line items existed
+ * fall back to a single line for their actualCost.
+ * @returns {Array|null} null when there is nothing to bill
+ */
+function getBillableItems(job) {
+  if (job.lineItems && job.lineItems.length > 0) {
+    return job.lineItems.map(({ _id, ...item }) => item);
+  }
+  if (job.actualCost !== undefined && job.actualCost !== null) {
+    return [
+      buildLineItem({
+        type: LINE_ITEM_TYPES.FEE,
+        description: job.title,
+        quantity: 1,
+        unitPrice: job.actualCost,
+        taxable: false,
+      }),
+    ];
+  }
+  return null;
+}
+
+/**
+ * Check a job can be billed before moving it to BILLED.
+ * @returns {string|null} error message
+ */
+async function checkBillable(jobId) {
+  const job = await Job.findById(jobId).select('title lineItems actualCost').lean();
+  if (!job) return null; // transitionStatus reports the 404
+  return getBillableItems(job) ? null : 'Add line items to the job before billing it';
+}
+
+/**
+ * Render the invoice PDF and store it in S3. Failures are logged and
+ * leave pdfKey unset so the next download / email retries.
+ */
+async function storeInvoicePdf(invoice) {
+  const buffer = await renderInvoicePdf(invoice);
+  const key = buildInvoiceKey(invoice.job, invoice.number);
+  await putObject({ key, body: buffer, contentType: 'application/pdf' });
+  await Invoice.updateOne({ _id: invoice._id }, { $set: { pdfKey: key, pdfGeneratedAt: new Date() } });
+  invoice.pdfKey = key;
+  return buffer;
+}
+
+/**
+ * Claim the right to issue a job's invoice, so only one request at a time
+ * takes an invoice number for it — a request that lost the race would
+ * otherwise burn a number and leave a gap in the sequence. A claim older
+ * than INVOICE_CLAIM_TIMEOUT_MS (a crashed request) can be taken over.
+ * @returns {Promise<Object|null>} the job, or null if it is claimed, not BILLED or missing
+ */
+function claimInvoicing(jobId) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: JOB_STATUS.BILLED,
+      $or: [
+        { invoicingAt: null },
+        { invoicingAt: { $lt: new Date(now.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { invoicingAt: now } },
+    { new: true, timestamps: false }
+  )
+    .populate('customer', 'name email phone address')
+    .lean();
+}
+
+function releaseInvoicing(jobId) {
+  return Job.updateOne({ _id: jobId }, { $unset: { invoicingAt: '' } }, { timestamps: false });
+}
+
+/**
+ * Build and save the invoice for a claimed job. The invoice number is
+ * taken last, once nothing but the insert itself can fail.
+ */
+async function createInvoice(job, user) {
+  const items = getBillableItems(job);
+  if (!items) return { error: 'Job has no line items to invoice', status: 400 };
+
+  const lineItems = items.map(buildLineItem);
+  const taxRate = job.lineItems?.length ? job.taxRate || 0 : 0;
+  const totals = calculateTotals(lineItems, taxRate);
+  // Deposits recorded before billing count toward the invoice
+  const { net: amountPaid } = await getNetPaid(job._id);
+  const issueDate = toLocalDateOnly();
+  const paymentTermsDays = getPaymentTermsDays();
+
+  // Re-check under the claim — a request that just released it may have issued one
+  const existing = await Invoice.findOne({ job: job._id, status: INVOICE_STATUS.ISSUED });
+  if (existing) return { data: existing };
+
+  const sequence = await Counter.next('invoice');
+  const invoice = await Invoice.create({
+    number: formatInvoiceNumber(sequence),
+    sequence,
+    job: job._id,
+    customer: job.customer?._id,
+    billTo: {
+      name: job.customer?.name || job.customerName,
+      companyName: job.companyName,
+      email: job.customer?.email || job.customerEmail,
+      phone: job.customer?.phone || job.customerPhone,
+      address: job.customer?.address || job.address,
+    },
+    jobTitle: job.title,
+    lineItems,
+    taxRate,
+    totals,
+    amountPaid,
+    balanceDue: roundMoney(totals.total - amountPaid),
+    issueDate,
+    dueDate: addDays(issueDate, paymentTermsDays),
+    paymentTermsDays,
+    terms: paymentTermsDays === 0 ? 'Due on receipt' : `Net ${paymentTermsDays}`,
+    createdBy: user._id,
+  });
+
+  try {
+    await storeInvoicePdf(invoice);
+  } catch (error) {
+    console.error(`Invoice ${invoice.number}: PDF upload failed —`, error.message);
+  }
+
+  return { data: invoice };
+}
+
+// ── public API ───────────────────────────────────────────────────────
+
+/**
+ * Issue the invoice for a BILLED job. Idempotent: returns the job's live
+ * invoice if one was already issued. 409 while another request is issuing it.
+ */
+async function issueInvoice(jobId, user) {
+  const existing = await Invoice.findOne({ job: jobId, status: INVOICE_STATUS.ISSUED });
+  if (existing) return { data: existing };
+
+  const job = await claimInvoicing(jobId);
+  if (!job) {
+    const current = await Job.findById(jobId).select('status').lean();
+    if (!current) return { error: 'Job not found', status: 404 };
+    if (current.status !== JOB_STATUS.BILLED) {
+      return { error: `Only BILLED jobs are invoiced (job is ${current.status})`, status: 400 };
+    }
+    return { error: 'The invoice for this job is already being issued — try again shortly', status: 409 };
+  }
+
+  try {
+    return await createInvoice(job, user);
+  } finally {
+    await releaseInvoicing(jobId);
+  }
+}
+
+/**
+ * Void the job's live invoice (the job was reverted out of BILLED).
+ */
+async function voidInvoiceForJob(jobId, user, reason) {
+  const invoice = await Invoice.findOneAndUpdate(
+    { job: jobId, status: INVOICE_STATUS.ISSUED },
+    {
+      $set: {
+        status: INVOICE_STATUS.VOID,
+        voidedAt: new Date(),
+        voidedBy: user._id,
+        voidReason: reason,
+      },
+    },
+    { new: true }
+  );
+  if (!invoice) return { data: null };
+
+  // Re-render so the stored PDF is stamped VOID
+  try {
+    await storeInvoicePdf(invoice);
+  } catch (error) {
+    console.error(`Invoice ${invoice.number}: VOID PDF upload failed —`, error.message);
+  }
+  return { data: invoice };
+}
+
+/**
+ * The stored PDF, rendering and uploading it first if that never happened.
+ * @returns {Promise<Buffer>}
+ */
+async function getInvoicePdf(invoice) {
+  if (invoice.pdfKey) return getObjectBuffer(invoice.pdfKey);
+  return storeInvoicePdf(invoice);
+}
+
+async function getInvoicePdfUrl(invoice) {
+  if (!invoice.pdfKey) await storeInvoicePdf(invoice);
+  return getDownloadUrl({ key: invoice.pdfKey, fileName: `${invoice.number}.pdf` });
+}
+
+/**
+ * Email the invoice PDF to the customer (or `to`).
+ */
+async function emailInvoice(invoiceId, user, { to } = {}) {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return { error: 'Invoice not found', status: 404 };
+  if (invoice.status === INVOICE_STATUS.VOID) {
+    return { error: 'A void invoice cannot be emailed', status: 400 };
+  }
+
+  const recipient = to || invoice.billTo?.email;
+  if (!recipient) {
+    return { error: 'The customer has no email address — provide one with "to"', status: 400 };
+  }
+
+  const pdf = await getInvoicePdf(invoice);
+  await sendInvoiceEmail({
+    to: recipient,
+    customerName: invoice.billTo?.name,
+    invoiceNumber: invoice.number,
+    jobTitle: invoice.jobTitle,
+    total: invoice.totals.total,
+    dueDate: invoice.dueDate,
+    pdf,
+  });
+
+  const updated = await Invoice.findByIdAndUpdate(
+    invoice._id,
+    { $push: { emailHistory: { to: recipient, sentAt: new Date(), sentBy: user._id } } },
+    { new: true }
+  );
+  return { data: updated };
+}
+
+module.exports = {
+  checkBillable,
+  issueInvoice,
+  voidInvoiceForJob,
+  getInvoicePdf,
+  getInvoicePdfUrl,
+  emailInvoice,
+};
@@ -11,101 +11,454 @@
 
 const mongoose = require('mongoose');
 const Job = require('../models/Job');
+const JobType = require('../models/JobType');
+const JobTemplate = require('../models/JobTemplate');
 const User = require('../models/User');
 const TechTimeout = require('../models/TechTimeout');
-const { ROLES, JOB_STATUS, STATUS_TRANSITIONS } = require('../config/constants');
+const {
+  ROLES,
+  JOB_STATUS,
+  ACTIVE_JOB_STATUSES,
+  OFF_PIPELINE_STATUSES,
+} = require('../config/constants');
 const { normalizeDateOnly, toLocalDateOnly } = require('../utils/dateOnly');
+const { getJobDateRange, scheduleOverlapFilter, addDays, countDays } = require('../utils/dateRange');
+const {
+  isTime,
+  formatTime,
+  getJobSlot,
+  slotsOverlap,
+  describeSlot,
+  validateTimeWindow,
+} = require('../utils/timeSlot');
+const {
+  BUILT_IN_WORKFLOW,
+  getWorkflowForJobType,
+  findTransition,
+  getNextStatuses,
+  getMissingRequiredFields,
+} = require('./WorkflowService');
+const { getCrewIds, isOnCrew, crewFilter } = require('../utils/crew');
+const { getChecklistLabel } = require('../utils/checklist');
+const { getRequiredSkills, skillCheckDay, findMissingSkills } = require('./SkillService');
 
 /**
- * Check if a technician is unavailable on a given date.
- * Returns a reason string if unavailable, or null if available.
+ * Check which of `technicianIds` are unavailable for a scheduled slot — one
+ * query for their bookings and one for their time-off, however many there are.
+ * `schedule` is a YYYY-MM-DD string or an object carrying scheduledDate and the
+ * optional scheduledEndDate / scheduledStartTime / scheduledEndTime /
+ * estimatedDuration (e.g. a job). Multi-day schedules are checked on every day.
+ * @param {Object} [options]
+ * @param {string} [options.excludeJobId] - ignore this job (e.g. the one being resumed)
+ * @returns {Promise<Map<string, string|null>>} technician id → reason, or null if available
  */
-async function checkTechAvailability(technicianId, scheduledDate) {
-  // 1) Block if the tech already has any active job (ASSIGNED or IN_PROGRESS).
-  // A technician must finish their current job before being assigned a new one.
-  const activeJob = await Job.findOne({
-    assignedTechnician: technicianId,
-    status: { $in: [JOB_STATUS.ASSIGNED, JOB_STATUS.IN_PROGRESS] },
-  }).select('title status').lean();
+async function checkTechsAvailability(technicianIds, schedule, { excludeJobId } = {}) {
+  const reasons = new Map(technicianIds.map((id) => [String(id), null]));
+  if (reasons.size === 0) return reasons;
 
-  if (activeJob) {
-    return `Already has an active job: "${activeJob.title}" (${activeJob.status})`;
-  }
+  const target = schedule && typeof schedule === 'object' ? schedule : { scheduledDate: schedule };
+  const today = toLocalDateOnly();
+  const { start: fromDay, end: toDay } = getJobDateRange(target) || { start: today, end: today };
+  const targetSlot = getJobSlot(target);
+
+  // 1) Block a tech on the crew (lead or helper) of an active job —
+  // ASSIGNED, DISPATCHED or IN_PROGRESS — that shares a day with the target
+  // and whose daily slot overlaps. Jobs without a time window take the whole
+  // day; undated jobs count as today.
+  // ON_HOLD jobs are not active, so a paused job does not block the tech.
+  const activeFilter = {
+    $and: [
+      crewFilter(technicianIds),
+      scheduleOverlapFilter(fromDay, toDay, { includeUndated: fromDay <= today && today <= toDay }),
+    ],
+    status: { $in: ACTIVE_JOB_STATUSES },
+  };
+  if (excludeJobId) activeFilter._id = { $ne: excludeJobId };
 
-  // 2) Check if the tech is on time-off on the target schedule day.
-  const targetDay = normalizeDateOnly(scheduledDate) || toLocalDateOnly();
+  const overlappingJobs = await Job.find(activeFilter)
+    .select('title status assignedTechnician crewMembers scheduledDate scheduledEndDate scheduledStartTime scheduledEndTime estimatedDuration')
+    .lean();
 
-  const timeout = await TechTimeout.findOne({
-    technician: technicianId,
-    startDate: { $lte: targetDay },
-    endDate: { $gte: targetDay },
+  for (const clash of overlappingJobs) {
+    if (!slotsOverlap(getJobSlot(clash), targetSlot)) continue;
+    const range = getJobDateRange(clash);
+    const days = range && range.end !== range.start ? `${range.start} to ${range.end}, ` : '';
+    const reason = `Already booked on "${clash.title}" (${clash.status}, ${days}${describeSlot(getJobSlot(clash))})`;
+    for (const id of getCrewIds(clash)) {
+      if (reasons.has(id) && !reasons.get(id)) reasons.set(id, reason);
+    }
+  }
+
+  // 2) Block a tech with time-off on any day of the target schedule.
+  const timeouts = await TechTimeout.find({
+    technician: { $in: technicianIds },
+    startDate: { $lte: toDay },
+    endDate: { $gte: fromDay },
   }).lean();
 
-  if (timeout) {
-    return timeout.reason || 'Currently on time-off / leave';
+  for (const timeout of timeouts) {
+    const id = String(timeout.technician);
+    if (!reasons.get(id)) reasons.set(id, timeout.reason || 'Currently on time-off / leave');
   }
 
-  return null;
+  return reasons;
+}
+
+/**
+ * Check if a technician is unavailable for a scheduled slot (see
+ * checkTechsAvailability). Returns a reason string if unavailable, or null.
+ */
+async function checkTechAvailability(technicianId, schedule, options) {
+  const reasons = await checkTechsAvailability([technicianId], schedule, options);
+  return reasons.get(String(technicianId));
+}
+
+/**
+ * Technicians who cannot take work on `date` (through `window.scheduledEndDate`
+ * for a multi-day span — busy on any day counts).
+ * With a time window only bookings overlapping it count; without one only
+ * whole-day blockers do (time-off, jobs with no time window), and technicians
+ * holding shorter bookings are listed in `partiallyBooked` with their slots.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [window] - { scheduledEndDate, scheduledStartTime, scheduledEndTime, estimatedDuration }
+ * @returns {Promise<{ unavailable: Object[], partiallyBooked: Object[] }>}
+ */
+async function getUnavailableTechs(date, window = {}) {
+  const range = getJobDateRange({ scheduledDate: date, scheduledEndDate: window.scheduledEndDate });
+  if (!range) return { unavailable: [], partiallyBooked: [] };
+
+  const hasWindow = isTime(window.scheduledStartTime);
+  const windowSlot = getJobSlot(window);
+
+  // 1) Crews of active jobs (ASSIGNED, DISPATCHED or IN_PROGRESS) running on any day of the range
+  const activeJobs = await Job.find({
+    ...scheduleOverlapFilter(range.start, range.end),
+    status: { $in: ACTIVE_JOB_STATUSES },
+    assignedTechnician: { $ne: null },
+  })
+    .populate('assignedTechnician', 'name email')
+    .populate('crewMembers', 'name email')
+    .select('assignedTechnician crewMembers title status scheduledDate scheduledEndDate scheduledStartTime scheduledEndTime estimatedDuration')
+    .lean();
+
+  // 2) Techs with timeout entries overlapping the range
+  const timeouts = await TechTimeout.find({
+    startDate: { $lte: range.end },
+    endDate: { $gte: range.start },
+  })
+    .populate('technician', 'name email')
+    .lean();
+
+  // Build maps: techId → { technician, reasons[] } / { technician, slots[] }
+  const blocked = {};
+  const partial = {};
+
+  for (const job of activeJobs) {
+    const slot = getJobSlot(job);
+    if (!slotsOverlap(slot, windowSlot)) continue;
+    const blocking = hasWindow || slot.allDay;
+
+    const crew = [job.assignedTechnician, ...(job.crewMembers || [])].filter((t) => t?._id);
+    for (const tech of crew) {
+      const id = tech._id.toString();
+      if (blocking) {
+        if (!blocked[id]) blocked[id] = { technician: tech, reasons: [] };
+        blocked[id].reasons.push({
+          type: 'ACTIVE_JOB',
+          detail: `Assigned to "${job.title}" (${job.status}, ${describeSlot(slot)})`,
+        });
+      } else {
+        if (!partial[id]) partial[id] = { technician: tech, slots: [] };
+        partial[id].slots.push({
+          jobId: job._id,
+          title: job.title,
+          status: job.status,
+          startDate: job.scheduledDate,
+          endDate: job.scheduledEndDate || job.scheduledDate,
+          startTime: formatTime(slot.start),
+          endTime: formatTime(slot.end),
+        });
+      }
+    }
+  }
+
+  for (const t of timeouts) {
+    const id = t.technician?._id?.toString();
+    if (!id) continue;
+    if (!blocked[id]) {
+      blocked[id] = { technician: t.technician, reasons: [] };
+    }
+    blocked[id].reasons.push({
+      type: 'TIMEOUT',
+      detail: t.reason || 'Timeout / leave',
+    });
+  }
+
+  return {
+    unavailable: Object.values(blocked),
+    partiallyBooked: Object.entries(partial)
+      .filter(([id]) => !blocked[id])
+      .map(([, entry]) => entry),
+  };
 }
 
 // ── helpers ──────────────────────────────────────────────────────────
 
 const POPULATE_FIELDS = [
   { path: 'assignedTechnician', select: 'name email' },
+  { path: 'crewMembers', select: 'name email' },
   { path: 'createdBy', select: 'name email' },
   { path: 'statusHistory.changedBy', select: 'name email role' },
   { path: 'statusHistory.technician', select: 'name email' },
+  { path: 'statusHistory.previousTechnician', select: 'name email' },
+  { path: 'statusHistory.crewMembers', select: 'name email' },
   { path: 'documents.uploadedBy', select: 'name email role' },
+  { path: 'checklist.doneBy', select: 'name email' },
   { path: 'customer', select: 'name phone email address' },
 ];
 
+const SCHEDULE_TIME_FIELDS = ['scheduledStartTime', 'scheduledEndTime', 'estimatedDuration'];
+const SCHEDULE_FIELDS = ['scheduledDate', 'scheduledEndDate', ...SCHEDULE_TIME_FIELDS];
+
+// Fields updateJobDetails may change. Everything else is managed by its own
+// path: status, crew, hold / cancellation and timestamps by the lifecycle
+// operations, checklist progress by PATCH /:id/checklist/:itemId, costs by
+// the line item endpoints (LineItemService), the accepted quote by accepting
+// one (QuoteService — it gates TENTATIVE → CONFIRMED), trash by DELETE /:id
+// and restore, invoicing by InvoiceService, series / import links at creation.
+const EDITABLE_JOB_FIELDS = [
+  'title', 'description', 'jobType', 'notes', 'estimatedCost',
+  'customer', 'customerName', 'companyName', 'customerEmail', 'customerPhone', 'address',
+  ...SCHEDULE_FIELDS,
+];
+
+// Statuses in which the lead's skills are re-checked when the job type or days change
+const SKILL_CHECKED_STATUSES = [...ACTIVE_JOB_STATUSES, JOB_STATUS.ON_HOLD];
+
+const REQUIRED_FIELD_LABELS = {
+  notes: 'notes',
+  scheduledDate: 'a scheduled date',
+  actualCost: 'an actual cost',
+  documents: 'at least one document',
+  acceptedQuote: 'a quote accepted by the customer',
+};
+
 /**
- * Validate whether role + currentStatus → newStatus is legal.
+ * Validate whether role + currentStatus → newStatus is legal in a workflow.
  * Pure function — no DB calls.
  */
-function validateTransition(currentStatus, newStatus, role) {
+function validateTransition(currentStatus, newStatus, role, workflow = BUILT_IN_WORKFLOW) {
   if (currentStatus === newStatus) {
     return 'Job is already in this status';
   }
 
-  const allowed = STATUS_TRANSITIONS[currentStatus];
-  if (!allowed || !(newStatus in allowed)) {
-    const valid = allowed ? Object.keys(allowed) : [];
+  const transition = findTransition(workflow, currentStatus, newStatus);
+  if (!transition) {
+    const valid = getNextStatuses(workflow, currentStatus);
     return `Invalid transition from ${currentStatus} to ${newStatus}. Valid: ${valid.length ? valid.join(', ') : 'none (terminal state)'}`;
   }
 
-  if (!allowed[newStatus].includes(role)) {
-    return `Role ${role} cannot move job from ${currentStatus} to ${newStatus}. Allowed: ${allowed[newStatus].join(', ')}`;
+  if (!transition.roles.includes(role)) {
+    return `Role ${role} cannot move job from ${currentStatus} to ${newStatus}. Allowed: ${transition.roles.join(', ')}`;
   }
 
   return null; // no error
 }
 
+/**
+ * Check the workflow's required fields for currentStatus → newStatus.
+ * Fields in `waive` are not required.
+ * Returns an error string, or null when everything required is present.
+ */
+function validateRequiredFields(workflow, job, currentStatus, newStatus, input, { waive = [] } = {}) {
+  const transition = findTransition(workflow, currentStatus, newStatus);
+  if (!transition) return null;
+
+  const missing = getMissingRequiredFields(transition, job, input).filter((field) => !waive.includes(field));
+  if (missing.length === 0) return null;
+
+  const labels = missing.map((field) => REQUIRED_FIELD_LABELS[field] || field);
+  return `Cannot move job from ${currentStatus} to ${newStatus}: ${labels.join(', ')} required`;
+}
+
+/**
+ * Load and validate a crew: the lead plus optional helpers.
+ * Returns { lead, members } (User docs) or { error, status }.
+ */
+async function loadCrew(technicianId, crewMemberIds = []) {
+  const memberIds = [...new Set(crewMemberIds.map(String))];
+  if (memberIds.includes(String(technicianId))) {
+    return { error: 'The lead technician cannot also be listed as a crew member', status: 400 };
+  }
+
+  const users = await User.find({ _id: { $in: [technicianId, ...memberIds] } }).select('name email role skills');
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+
+  const lead = byId.get(String(technicianId));
+  if (!lead) return { error: 'Technician not found', status: 404 };
+  if (lead.role !== ROLES.TECHNICIAN) {
+    return { error: 'User is not a technician', status: 400 };
+  }
+
+  const members = [];
+  for (const id of memberIds) {
+    const member = byId.get(id);
+    if (!member) return { error: `Crew member ${id} not found`, status: 404 };
+    if (member.role !== ROLES.TECHNICIAN) {
+      return { error: `Crew member ${member.name} is not a technician`, status: 400 };
+    }
+    members.push(member);
+  }
+
+  return { lead, members };
+}
+
+/**
+ * Check availability of each technician in `techs` for a job's slot.
+ * Returns an error string naming the first unavailable one, or null.
+ */
+async function checkCrewAvailability(techs, schedule, options) {
+  const reasons = await checkTechsAvailability(techs.map((tech) => tech._id), schedule, options);
+  for (const tech of techs) {
+    const unavailReason = reasons.get(String(tech._id));
+    if (unavailReason) return `Technician ${tech.name} is unavailable: ${unavailReason}`;
+  }
+  return null;
+}
+
+/**
+ * Check the lead holds the skills the job's type requires, valid through the
+ * job's last day. Helpers are not checked — they work under the lead.
+ * An ADMIN may assign anyway with `overrideSkills`; the skills that were
+ * missing come back so the history entry can record the override.
+ * Returns { missingSkills } (empty unless overridden) or { error, status }.
+ */
+async function checkLeadSkills(lead, job, user, overrideSkills) {
+  const required = await getRequiredSkills(job.jobType);
+  const missing = findMissingSkills(lead, required, skillCheckDay(job));
+  if (missing.length === 0) return { missingSkills: [] };
+
+  if (!overrideSkills) {
+    return {
+      error: `Technician ${lead.name} lacks the skills required for "${job.jobType}" jobs: ${missing.join(', ')}`,
+      status: 400,
+    };
+  }
+  if (user.role !== ROLES.ADMIN) {
+    return { error: 'Only an admin can override required skills', status: 403 };
+  }
+  return { missingSkills: missing };
+}
+
+function describeCrew(lead, members) {
+  if (members.length === 0) return lead.name;
+  return `${lead.name} (lead) with ${members.map((m) => m.name).join(', ')}`;
+}
+
 // ── public API ───────────────────────────────────────────────────────
 
+function normalizeJobType(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * Make sure a job type name exists in the JobType collection.
+ */
+async function ensureJobTypeSaved(name) {
+  const normalizedName = normalizeJobType(name);
+  if (!normalizedName) return;
+
+  await JobType.findOneAndUpdate(
+    { normalizedName: normalizedName.toLowerCase() },
+    {
+      $setOnInsert: {
+        name: normalizedName,
+        normalizedName: normalizedName.toLowerCase(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+const TEMPLATE_DEFAULT_FIELDS = ['title', 'description', 'estimatedCost', 'notes'];
+
+/**
+ * Pre-fill job data from a template. Values present in `data` win over
+ * the template's defaults; the checklist is copied unless one is sent.
+ * Returns { data } with the merged fields, or { error, status }.
+ */
+async function applyJobTemplate(templateId, data) {
+  const template = await JobTemplate.findById(templateId).populate('jobType', 'name').lean();
+  if (!template) return { error: 'Job template not found', status: 404 };
+
+  const merged = { ...data, templateId: template._id };
+  TEMPLATE_DEFAULT_FIELDS.forEach((field) => {
+    if ((merged[field] === undefined || merged[field] === '') && template[field] !== undefined) {
+      merged[field] = template[field];
+    }
+  });
+  if (!normalizeJobType(merged.jobType) && template.jobType) {
+    merged.jobType = template.jobType.name;
+  }
+  if (merged.checklist === undefined) {
+    merged.checklist = (template.checklist || []).map((item) => item.label);
+  }
+
+  return { data: merged };
+}
+
 /**
  * Create a new job. Only ADMIN.
+ * @param {Object} [options]
+ * @param {string} [options.initialStatus] - start in this status instead of the workflow's
+ *   initial one; it must be one allowed transition away (e.g. TENTATIVE → CONFIRMED)
+ * @param {string} [options.series] - recurring series the job is generated from
+ * @param {string} [options.occurrenceDate] - the series occurrence it stands for
  */
-async function createJob(data, userId) {
+async function createJob(data, userId, options = {}) {
   const normalizedScheduledDate = normalizeDateOnly(data.scheduledDate);
+  const workflow = await getWorkflowForJobType(data.jobType);
+  const startStatus = options.initialStatus || workflow.initialStatus;
+  if (startStatus !== workflow.initialStatus && !findTransition(workflow, workflow.initialStatus, startStatus)) {
+    throw new Error(`Jobs of type "${data.jobType}" cannot start in ${startStatus}`);
+  }
+
   const jobData = {
     title: data.title,
     description: data.description,
     scheduledDate: normalizedScheduledDate,
+    scheduledEndDate: normalizeDateOnly(data.scheduledEndDate) || undefined,
+    scheduledStartTime: data.scheduledStartTime || undefined,
+    scheduledEndTime: data.scheduledEndTime || undefined,
+    estimatedDuration: data.estimatedDuration || undefined,
     jobType: typeof data.jobType === 'string' ? data.jobType.trim() : undefined,
     estimatedCost: data.estimatedCost,
     notes: data.notes,
+    checklist: (data.checklist || []).map((item) => ({ label: getChecklistLabel(item) })),
+    template: data.templateId || null,
     createdBy: userId,
-    status: JOB_STATUS.TENTATIVE,
+    status: startStatus,
     statusHistory: [
       {
         fromStatus: null,
-        toStatus: JOB_STATUS.TENTATIVE,
+        toStatus: workflow.initialStatus,
         changedBy: userId,
-        notes: 'Job created',
+        notes: options.series ? `Job created from recurring series (occurrence ${options.occurrenceDate})` : 'Job created',
       },
     ],
   };
+  if (startStatus !== workflow.initialStatus) {
+    jobData.statusHistory.push({
+      fromStatus: workflow.initialStatus,
+      toStatus: startStatus,
+      changedBy: userId,
+      notes: `Status changed from ${workflow.initialStatus} to ${startStatus}`,
+    });
+  }
+  if (options.series) {
+    jobData.series = options.series;
+    jobData.occurrenceDate = options.occurrenceDate;
+  }
 
   // New flow: customer reference + optional companyName
   if (data.customerId) {
@@ -132,51 +485,112 @@ async function createJob(data, userId) {
  * If another request already changed the status, the filter won't
  * match, findOneAndUpdate returns null, and we know there was a
  * race / stale read.
+ *
+ * @param {Object} [details]
+ * @param {string} [details.reason] - why the job is cancelled / put on hold
+ * @param {Date}   [details.eta] - expected arrival, when dispatching
+ * @param {Object} [details.acceptedQuote] - quote snapshot, when a customer accepts a quote
+ * @param {boolean} [details.overrideQuote] - ADMIN only: move on without the accepted quote
+ *   the workflow requires (e.g. a verbal go-ahead); needs a reason and is recorded in the history
  */
-async function transitionStatus(jobId, newStatus, user, notes) {
+async function transitionStatus(jobId, newStatus, user, notes, details = {}) {
   // 1) Read current job to validate business rules
   const job = await Job.findById(jobId);
   if (!job) return { error: 'Job not found', status: 404 };
 
   const currentStatus = job.status;
+  const workflow = await getWorkflowForJobType(job.jobType);
+  const reason = typeof details.reason === 'string' ? details.reason.trim() : '';
 
-  // 2) Validate transition + role
-  const err = validateTransition(currentStatus, newStatus, user.role);
+  // 2) Validate transition + role against the job type's workflow
+  const err = validateTransition(currentStatus, newStatus, user.role, workflow);
   if (err) return { error: err, status: 400 };
 
-  // 2b) Notes are required when moving to IN_PROGRESS (tech starting work)
-  if (newStatus === JOB_STATUS.IN_PROGRESS && (!notes || !notes.trim())) {
-    return { error: 'Notes are required when starting a job', status: 400 };
+  // 2b) Fields the workflow requires for this transition (e.g. notes when starting work)
+  const input = { notes, reason, acceptedQuote: details.acceptedQuote };
+  const waivedFields = [];
+  if (details.overrideQuote) {
+    if (user.role !== ROLES.ADMIN) {
+      return { error: 'Only an admin can proceed without an accepted quote', status: 403 };
+    }
+    if (!reason) {
+      return { error: 'A reason is required to proceed without an accepted quote', status: 400 };
+    }
+    const transition = findTransition(workflow, currentStatus, newStatus);
+    if (transition && getMissingRequiredFields(transition, job, input).includes('acceptedQuote')) {
+      waivedFields.push('acceptedQuote');
+    }
+  }
+  const missingErr = validateRequiredFields(workflow, job, currentStatus, newStatus, input, { waive: waivedFields });
+  if (missingErr) return { error: missingErr, status: 400 };
+
+  // 2c) An on-hold job resumes to the status it was held from (or is cancelled)
+  const resuming = currentStatus === JOB_STATUS.ON_HOLD && newStatus !== JOB_STATUS.CANCELLED;
+  if (resuming && job.hold?.fromStatus && newStatus !== job.hold.fromStatus) {
+    return {
+      error: `This job was put on hold from ${job.hold.fromStatus} and can only resume to ${job.hold.fromStatus}`,
+      status: 400,
+    };
+  }
+
+  // 3) Technician must be on the job's crew (lead or helper)
+  if (user.role === ROLES.TECHNICIAN && !isOnCrew(job, user._id)) {
+    return { error: 'You are not assigned to this job', status: 403 };
   }
 
-  // 3) Technician must be the one assigned
-  if (user.role === ROLES.TECHNICIAN) {
-    if (!job.assignedTechnician || job.assignedTechnician.toString() !== user._id.toString()) {
-      return { error: 'You are not assigned to this job', status: 403 };
+  // 3b) Resuming active work needs the whole crew to be free again
+  if (resuming && ACTIVE_JOB_STATUSES.includes(newStatus) && job.assignedTechnician) {
+    const crew = await User.find({ _id: { $in: getCrewIds(job) } }).select('name');
+    const unavailErr = await checkCrewAvailability(crew, job, { excludeJobId: job._id });
+    if (unavailErr) {
+      return { error: `Cannot resume — ${unavailErr}`, status: 400 };
     }
   }
 
   // 4) Build atomic update
+  const now = new Date();
   const $set = { status: newStatus };
-  if (newStatus === JOB_STATUS.COMPLETED) $set.completedAt = new Date();
-  if (newStatus === JOB_STATUS.BILLED) $set.billedAt = new Date();
+  const $unset = {};
+  if (newStatus === JOB_STATUS.DISPATCHED && !resuming) {
+    $set.dispatchedAt = now;
+    if (details.eta) $set.eta = details.eta;
+  }
+  if (newStatus === JOB_STATUS.COMPLETED) $set.completedAt = now;
+  if (newStatus === JOB_STATUS.BILLED) $set.billedAt = now;
+  if (newStatus === JOB_STATUS.ON_HOLD) {
+    $set.hold = { reason, fromStatus: currentStatus, heldBy: user._id, heldAt: now };
+  }
+  if (newStatus === JOB_STATUS.CANCELLED) {
+    $set.cancellation = { reason, fromStatus: currentStatus, cancelledBy: user._id, cancelledAt: now };
+  }
+  if (currentStatus === JOB_STATUS.ON_HOLD) $unset.hold = '';
+  // Customer accepted a quote — keep what they agreed to, and quote it as the estimate
+  if (details.acceptedQuote) {
+    $set.acceptedQuote = details.acceptedQuote;
+    $set.estimatedCost = details.acceptedQuote.totals.total;
+  }
+
+  let defaultNotes = `Status changed from ${currentStatus} to ${newStatus}`;
+  if (reason) defaultNotes += ` — Reason: ${reason}`;
 
   const historyEntry = {
     _id: new mongoose.Types.ObjectId(),
     fromStatus: currentStatus,
     toStatus: newStatus,
     changedBy: user._id,
-    changedAt: new Date(),
-    notes: notes || `Status changed from ${currentStatus} to ${newStatus}`,
+    changedAt: now,
+    notes: notes || defaultNotes,
   };
+  if ($set.eta) historyEntry.eta = $set.eta;
+  if (waivedFields.length) historyEntry.waivedFields = waivedFields;
+
+  const update = { $set, $push: { statusHistory: historyEntry } };
+  if (Object.keys($unset).length) update.$unset = $unset;
 
   // 5) Atomic update — status in filter prevents race condition
   const updated = await Job.findOneAndUpdate(
     { _id: jobId, status: currentStatus },
-    {
-      $set,
-      $push: { statusHistory: historyEntry },
-    },
+    update,
     { new: true }
   ).populate(POPULATE_FIELDS);
 
@@ -187,61 +601,156 @@ async function transitionStatus(jobId, newStatus, user, notes) {
     };
   }
 
-  return { data: updated };
+  return { data: updated, fromStatus: currentStatus };
 }
 
 /**
- * Assign a technician (CONFIRMED → ASSIGNED) atomically.
- * Notes are required so the manager provides assignment instructions.
+ * Assign a crew (→ ASSIGNED, normally from CONFIRMED) atomically.
+ * `technicianId` is the lead; `crewMemberIds` are optional helpers.
+ * The built-in workflow requires notes so the manager provides assignment instructions.
+ * @param {Object} [options]
+ * @param {Object} [options.schedule] - new schedule fields to apply in the same update (schedule board moves)
+ * @param {boolean} [options.overrideSkills] - ADMIN only: assign a lead lacking the job type's required skills
  */
-async function assignTechnician(jobId, technicianId, user, notes) {
-  const jobForSchedule = await Job.findById(jobId).select('scheduledDate').lean();
-  if (!jobForSchedule) return { error: 'Job not found', status: 404 };
-
-  // 1) Verify technician exists and has correct role
-  const technician = await User.findById(technicianId);
-  if (!technician) return { error: 'Technician not found', status: 404 };
-  if (technician.role !== ROLES.TECHNICIAN) {
-    return { error: 'User is not a technician', status: 400 };
+async function assignTechnician(jobId, technicianId, user, notes, crewMemberIds = [], { schedule, overrideSkills } = {}) {
+  const currentJob = await Job.findById(jobId).lean();
+  if (!currentJob) return { error: 'Job not found', status: 404 };
+  // A held job resumes to the status it was held from (transitionStatus)
+  if (currentJob.status === JOB_STATUS.ON_HOLD) {
+    return { error: 'Resume the job before assigning it', status: 400 };
   }
+  const fromStatus = currentJob.status;
+  const workflow = await getWorkflowForJobType(currentJob.jobType);
 
-  // 2) Notes are required when assigning
-  if (!notes || !notes.trim()) {
-    return { error: 'Notes / instructions are required when assigning a technician', status: 400 };
-  }
+  // 1) Verify every crew member exists and has the technician role
+  const crew = await loadCrew(technicianId, crewMemberIds);
+  if (crew.error) return crew;
+  const { lead, members } = crew;
 
-  // 2b) Validate transition
-  const err = validateTransition(JOB_STATUS.CONFIRMED, JOB_STATUS.ASSIGNED, user.role);
+  // 2) Validate transition + the workflow's required fields (notes / instructions)
+  const err = validateTransition(fromStatus, JOB_STATUS.ASSIGNED, user.role, workflow);
   if (err) return { error: err, status: 400 };
 
-  // 2c) Check technician availability:
-  //  - blocks if tech has any active (ASSIGNED/IN_PROGRESS) job
-  //  - blocks if tech is on time-off today
-  const unavailReason = await checkTechAvailability(technicianId, jobForSchedule.scheduledDate);
-  if (unavailReason) {
+  const missingErr = validateRequiredFields(workflow, currentJob, fromStatus, JOB_STATUS.ASSIGNED, { notes });
+  if (missingErr) return { error: missingErr, status: 400 };
+
+  // 2b) Check availability of every crew member:
+  //  - blocks if a tech is on the crew of an active job whose slot overlaps this one
+  //  - blocks if a tech is on time-off that day
+  const unavailErr = await checkCrewAvailability([lead, ...members], { ...currentJob, ...schedule });
+  if (unavailErr) return { error: unavailErr, status: 400 };
+
+  // 2c) The lead must hold the job type's required skills (or an admin overrides)
+  const skillCheck = await checkLeadSkills(lead, { ...currentJob, ...schedule }, user, overrideSkills);
+  if (skillCheck.error) return skillCheck;
+
+  // 3) Atomic: only matches if status is still what we validated against
+  const historyEntry = {
+    _id: new mongoose.Types.ObjectId(),
+    fromStatus,
+    toStatus: JOB_STATUS.ASSIGNED,
+    changedBy: user._id,
+    technician: lead._id,
+    crewMembers: members.map((m) => m._id),
+    changedAt: new Date(),
+    notes: notes || `Assigned to ${describeCrew(lead, members)}`,
+  };
+  if (skillCheck.missingSkills.length) historyEntry.missingSkills = skillCheck.missingSkills;
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: jobId, status: fromStatus },
+    {
+      $set: {
+        ...schedule,
+        status: JOB_STATUS.ASSIGNED,
+        assignedTechnician: lead._id,
+        crewMembers: members.map((m) => m._id),
+      },
+      $push: { statusHistory: historyEntry },
+    },
+    { new: true }
+  ).populate(POPULATE_FIELDS);
+
+  if (!updated) {
+    // Figure out why it didn't match
+    const current = await Job.findById(jobId).select('status').lean();
+    if (!current) return { error: 'Job not found', status: 404 };
+    return {
+      error: `Conflict: job status was changed by another request (current: ${current.status}). Refresh and retry.`,
+      status: 409,
+    };
+  }
+
+  return { data: updated };
+}
+
+/**
+ * Hand a job to a new lead technician (and optionally a new set of helpers).
+ * The job drops back to ASSIGNED so the new lead dispatches themselves.
+ * When `crewMemberIds` is undefined the current helpers stay on the job.
+ * Returns { data, previousCrewIds } — the crew before the change, for notifications.
+ * @param {Object} [options]
+ * @param {Object} [options.schedule] - new schedule fields to apply in the same update (schedule board moves)
+ * @param {boolean} [options.overrideSkills] - ADMIN only: hand the job to a lead lacking the required skills
+ */
+async function reassignTechnician(jobId, technicianId, user, notes, crewMemberIds, { schedule, overrideSkills } = {}) {
+  const job = await Job.findById(jobId).lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+
+  // Must be in ASSIGNED, DISPATCHED or IN_PROGRESS to reassign
+  if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
     return {
-      error: `Technician ${technician.name} is unavailable: ${unavailReason}`,
+      error: `Cannot reassign a job in ${job.status} status. Job must be in ASSIGNED, DISPATCHED or IN_PROGRESS.`,
       status: 400,
     };
   }
 
-  // 3) Atomic: only matches if status is still CONFIRMED
+  const keptMemberIds = (job.crewMembers || [])
+    .map(String)
+    .filter((id) => id !== String(technicianId));
+  const crew = await loadCrew(technicianId, crewMemberIds === undefined ? keptMemberIds : crewMemberIds);
+  if (crew.error) return crew;
+  const { lead, members } = crew;
+
+  // Members already on this job are not blocked by it
+  const target = { ...job, ...schedule };
+  if (target.scheduledDate) {
+    const unavailErr = await checkCrewAvailability([lead, ...members], target, {
+      excludeJobId: job._id,
+    });
+    if (unavailErr) return { error: `${unavailErr} on this date`, status: 400 };
+  }
+
+  const skillCheck = await checkLeadSkills(lead, target, user, overrideSkills);
+  if (skillCheck.error) return skillCheck;
+
+  const previousLead = job.assignedTechnician
+    ? await User.findById(job.assignedTechnician).select('name').lean()
+    : null;
+
   const historyEntry = {
     _id: new mongoose.Types.ObjectId(),
-    fromStatus: JOB_STATUS.CONFIRMED,
+    fromStatus: job.status,
     toStatus: JOB_STATUS.ASSIGNED,
     changedBy: user._id,
-    technician: technicianId,
+    technician: lead._id,
+    previousTechnician: job.assignedTechnician || null,
+    crewMembers: members.map((m) => m._id),
     changedAt: new Date(),
-    notes: notes || `Assigned to ${technician.name}`,
+    notes: notes || `Reassigned from ${previousLead?.name || 'previous technician'} to ${describeCrew(lead, members)}`,
   };
+  if (skillCheck.missingSkills.length) historyEntry.missingSkills = skillCheck.missingSkills;
 
   const updated = await Job.findOneAndUpdate(
-    { _id: jobId, status: JOB_STATUS.CONFIRMED },
+    { _id: jobId, status: job.status },
     {
       $set: {
+        ...schedule,
         status: JOB_STATUS.ASSIGNED,
-        assignedTechnician: technicianId,
+        assignedTechnician: lead._id,
+        crewMembers: members.map((m) => m._id),
+        dispatchedAt: null,
+        eta: null,
       },
       $push: { statusHistory: historyEntry },
     },
@@ -249,32 +758,163 @@ async function assignTechnician(jobId, technicianId, user, notes) {
   ).populate(POPULATE_FIELDS);
 
   if (!updated) {
-    // Figure out why it didn't match
     const current = await Job.findById(jobId).select('status').lean();
     if (!current) return { error: 'Job not found', status: 404 };
     return {
-      error: `Job must be CONFIRMED to assign. Current status: ${current.status}`,
+      error: `Conflict: job status was changed by another request (current: ${current.status}). Refresh and retry.`,
+      status: 409,
+    };
+  }
+
+  return {
+    data: updated,
+    previousCrewIds: getCrewIds(job),
+    previousLeadName: previousLead?.name || 'previous technician',
+  };
+}
+
+/**
+ * Replace the helpers on a job without changing its lead or status.
+ * Newly added members must be available while the job is active.
+ * Returns { data, addedIds, removedIds }.
+ */
+async function updateCrew(jobId, crewMemberIds, user, notes) {
+  const job = await Job.findById(jobId).lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+
+  const editable = [...ACTIVE_JOB_STATUSES, JOB_STATUS.ON_HOLD];
+  if (!editable.includes(job.status) || !job.assignedTechnician) {
+    return {
+      error: `Cannot change the crew of a job in ${job.status} status. Assign a lead technician first.`,
       status: 400,
     };
   }
 
-  return { data: updated };
+  const crew = await loadCrew(job.assignedTechnician, crewMemberIds);
+  if (crew.error) return crew;
+  const { lead, members } = crew;
+
+  const currentIds = (job.crewMembers || []).map(String);
+  const nextIds = members.map((m) => m._id.toString());
+  const added = members.filter((m) => !currentIds.includes(m._id.toString()));
+  const removedIds = currentIds.filter((id) => !nextIds.includes(id));
+
+  if (added.length === 0 && removedIds.length === 0) {
+    return { error: 'Crew is unchanged', status: 400 };
+  }
+
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+    const unavailErr = await checkCrewAvailability(added, job, { excludeJobId: job._id });
+    if (unavailErr) return { error: unavailErr, status: 400 };
+  }
+
+  const historyEntry = {
+    _id: new mongoose.Types.ObjectId(),
+    fromStatus: job.status,
+    toStatus: job.status,
+    changedBy: user._id,
+    technician: lead._id,
+    crewMembers: members.map((m) => m._id),
+    changedAt: new Date(),
+    notes: notes || `Crew changed to ${describeCrew(lead, members)}`,
+  };
+
+  // Status in the filter: a crew change must not race a reassignment
+  const updated = await Job.findOneAndUpdate(
+    { _id: jobId, status: job.status, assignedTechnician: job.assignedTechnician },
+    {
+      $set: { crewMembers: members.map((m) => m._id) },
+      $push: { statusHistory: historyEntry },
+    },
+    { new: true }
+  ).populate(POPULATE_FIELDS);
+
+  if (!updated) {
+    return {
+      error: 'Conflict: job was changed by another request. Please refresh and retry.',
+      status: 409,
+    };
+  }
+
+  return { data: updated, addedIds: added.map((m) => m._id.toString()), removedIds };
 }
 
 /**
  * Update non-status fields on a job.
+ * A new job type or new days on a job with a lead re-run the skills check
+ * (checkLeadSkills) — an ADMIN may override it with `overrideSkills`.
  */
-async function updateJobDetails(jobId, data) {
-  // Strip status-related fields — never allow status changes through this path
-  const { status, statusHistory, assignedTechnician, createdBy, ...safeData } = data;
+async function updateJobDetails(jobId, data, user, { overrideSkills } = {}) {
+  const safeData = EDITABLE_JOB_FIELDS.reduce((acc, key) => {
+    if (data[key] !== undefined) acc[key] = data[key];
+    return acc;
+  }, {});
   if (safeData.scheduledDate !== undefined) {
     safeData.scheduledDate = normalizeDateOnly(safeData.scheduledDate);
   }
+  if (safeData.scheduledEndDate !== undefined) {
+    safeData.scheduledEndDate = normalizeDateOnly(safeData.scheduledEndDate);
+  }
   if (safeData.jobType !== undefined) {
     safeData.jobType = typeof safeData.jobType === 'string' ? safeData.jobType.trim() : safeData.jobType;
   }
+  // Empty values clear the time window
+  for (const key of SCHEDULE_TIME_FIELDS) {
+    if (safeData[key] === '') safeData[key] = null;
+  }
+
+  const scheduleChanged = SCHEDULE_FIELDS.some((key) => safeData[key] !== undefined);
+  const skillsAffected = ['jobType', 'scheduledDate', 'scheduledEndDate'].some((key) => safeData[key] !== undefined);
+  let existing;
+  if (scheduleChanged || skillsAffected) {
+    existing = await Job.findById(jobId).lean();
+    if (!existing) return { error: 'Job not found', status: 404 };
+  }
+
+  // Rescheduling an active job must still fit around the crew's other bookings
+  if (scheduleChanged) {
+    const schedule = {};
+    for (const key of SCHEDULE_FIELDS) {
+      schedule[key] = safeData[key] !== undefined ? safeData[key] : existing[key];
+    }
+
+    const windowErr = validateTimeWindow(schedule);
+    if (windowErr) return { error: windowErr, status: 400 };
+    if (schedule.scheduledEndDate && schedule.scheduledEndDate < schedule.scheduledDate) {
+      return { error: 'scheduledEndDate must be on or after scheduledDate', status: 400 };
+    }
+
+    if (ACTIVE_JOB_STATUSES.includes(existing.status) && existing.assignedTechnician) {
+      const crew = await User.find({ _id: { $in: getCrewIds(existing) } }).select('name');
+      const unavailErr = await checkCrewAvailability(crew, schedule, { excludeJobId: existing._id });
+      if (unavailErr) return { error: `Cannot reschedule — ${unavailErr}`, status: 400 };
+    }
+  }
+
+  // The lead must hold the skills of the (new) job type through the (new) last day
+  let historyEntry;
+  if (skillsAffected && existing.assignedTechnician && SKILL_CHECKED_STATUSES.includes(existing.status)) {
+    const lead = await User.findById(existing.assignedTechnician).select('name skills').lean();
+    if (lead) {
+      const skillCheck = await checkLeadSkills(lead, { ...existing, ...safeData }, user, overrideSkills);
+      if (skillCheck.error) return skillCheck;
+      if (skillCheck.missingSkills.length) {
+        historyEntry = {
+          _id: new mongoose.Types.ObjectId(),
+          fromStatus: existing.status,
+          toStatus: existing.status,
+          changedBy: user._id,
+          technician: lead._id,
+          changedAt: new Date(),
+          notes: `Skills check overridden by ${user.name} for a job type / schedule change`,
+          missingSkills: skillCheck.missingSkills,
+        };
+      }
+    }
+  }
 
-  const job = await Job.findByIdAndUpdate(jobId, safeData, {
+  const update = historyEntry ? { ...safeData, $push: { statusHistory: historyEntry } } : safeData;
+  const job = await Job.findByIdAndUpdate(jobId, update, {
     new: true,
     runValidators: true,
   }).populate(POPULATE_FIELDS);
@@ -283,40 +923,103 @@ async function updateJobDetails(jobId, data) {
   return { data: job };
 }
 
-/**
- * Revert a job's status one step backward in the pipeline.
- * Only ADMIN / OFFICE_MANAGER may do this.
- * If reverting FROM ASSIGNED, the technician assignment is also cleared.
- */
-const STATUS_ORDER = [
+// Statuses a job can still be moved on the schedule board from
+const MOVABLE_STATUSES = [
   JOB_STATUS.TENTATIVE,
   JOB_STATUS.CONFIRMED,
-  JOB_STATUS.ASSIGNED,
-  JOB_STATUS.IN_PROGRESS,
-  JOB_STATUS.COMPLETED,
-  JOB_STATUS.BILLED,
-  JOB_STATUS.PAID,
-  JOB_STATUS.CLOSED,
+  ...ACTIVE_JOB_STATUSES,
+  JOB_STATUS.ON_HOLD,
 ];
 
+/**
+ * Move a job to another day and/or lead technician (schedule board drag
+ * and drop). A multi-day job keeps its length; helpers stay on the crew.
+ * The new crew's availability (and a new lead's skills) is checked on the new days:
+ *   - new lead on an unassigned job → assignTechnician (→ ASSIGNED)
+ *   - new lead on an active job     → reassignTechnician
+ *   - same lead, new day            → updateJobDetails
+ * Returns the underlying result plus `action` (ASSIGNED | REASSIGNED | RESCHEDULED).
+ */
+async function moveJob(jobId, { scheduledDate, technicianId, notes, overrideSkills }, user) {
+  const job = await Job.findById(jobId).lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  if (!MOVABLE_STATUSES.includes(job.status)) {
+    return { error: `A ${job.status} job cannot be moved on the schedule`, status: 400 };
+  }
+
+  const schedule = {};
+  if (scheduledDate && scheduledDate !== job.scheduledDate) {
+    schedule.scheduledDate = scheduledDate;
+    if (job.scheduledEndDate && job.scheduledDate) {
+      schedule.scheduledEndDate = addDays(scheduledDate, countDays(job.scheduledDate, job.scheduledEndDate) - 1);
+    }
+  }
+
+  const leadChanged = technicianId && String(technicianId) !== String(job.assignedTechnician || '');
+  if (!leadChanged && Object.keys(schedule).length === 0) {
+    return { error: 'The job is already on that day and technician', status: 400 };
+  }
+
+  if (leadChanged && job.status === JOB_STATUS.ON_HOLD) {
+    return { error: 'Resume the job before moving it to another technician', status: 400 };
+  }
+  if (leadChanged && ACTIVE_JOB_STATUSES.includes(job.status)) {
+    const result = await reassignTechnician(jobId, technicianId, user, notes, undefined, { schedule, overrideSkills });
+    return result.error ? result : { ...result, action: 'REASSIGNED' };
+  }
+  if (leadChanged) {
+    const result = await assignTechnician(jobId, technicianId, user, notes, [], { schedule, overrideSkills });
+    return result.error ? result : { ...result, action: 'ASSIGNED' };
+  }
+
+  const result = await updateJobDetails(jobId, schedule, user, { overrideSkills });
+  return result.error ? result : { ...result, action: 'RESCHEDULED' };
+}
+
+/**
+ * Revert a job's status one step backward in its workflow's pipeline order.
+ * Optional steps the job skipped (e.g. IN_PROGRESS without DISPATCHED) are
+ * passed over, so the job returns to the status it actually came through.
+ * Only ADMIN / OFFICE_MANAGER may do this.
+ * If reverting FROM ASSIGNED, the technician assignment is also cleared.
+ */
 async function revertStatus(jobId, user) {
   const job = await Job.findById(jobId).lean();
   if (!job) return { error: 'Job not found', status: 404 };
 
-  const currentIdx = STATUS_ORDER.indexOf(job.status);
-  if (currentIdx <= 0) {
+  if (job.status === JOB_STATUS.ON_HOLD) {
+    return { error: 'Cannot revert an on-hold job — resume it instead', status: 400 };
+  }
+  if (job.status === JOB_STATUS.CANCELLED) {
+    return { error: 'Cannot revert — cancelled jobs are final', status: 400 };
+  }
+
+  const workflow = await getWorkflowForJobType(job.jobType);
+  const pipeline = workflow.statuses.filter((s) => !OFF_PIPELINE_STATUSES.includes(s));
+  const currentIdx = pipeline.indexOf(job.status);
+  if (currentIdx === -1) {
+    return { error: `Cannot revert — ${job.status} is not part of the "${workflow.name}" workflow`, status: 400 };
+  }
+  if (currentIdx === 0) {
     return { error: 'Cannot revert — job is already at the initial status', status: 400 };
   }
 
-  const previousStatus = STATUS_ORDER[currentIdx - 1];
+  const visited = new Set((job.statusHistory || []).map((h) => h.toStatus));
+  const earlier = pipeline.slice(0, currentIdx).reverse();
+  const previousStatus = earlier.find((status) => visited.has(status)) || earlier[0];
 
   const $set = { status: previousStatus };
 
-  // Reverting FROM ASSIGNED clears the technician so it can be reassigned cleanly
+  // Reverting FROM ASSIGNED clears the crew so it can be reassigned cleanly
   if (job.status === JOB_STATUS.ASSIGNED) {
     $set.assignedTechnician = null;
+    $set.crewMembers = [];
   }
   // Clear timestamp fields when stepping back past them
+  if (job.status === JOB_STATUS.DISPATCHED) {
+    $set.dispatchedAt = null;
+    $set.eta = null;
+  }
   if (job.status === JOB_STATUS.COMPLETED) $set.completedAt = null;
   if (job.status === JOB_STATUS.BILLED)    $set.billedAt    = null;
 
@@ -348,11 +1051,19 @@ async function revertStatus(jobId, user) {
 }
 
 module.exports = {
+  normalizeJobType,
+  ensureJobTypeSaved,
+  applyJobTemplate,
   createJob,
   transitionStatus,
   assignTechnician,
+  reassignTechnician,
+  updateCrew,
   updateJobDetails,
+  moveJob,
   revertStatus,
   validateTransition,
   checkTechAvailability,
+  checkTechsAvailability,
+  getUnavailableTechs,
 };
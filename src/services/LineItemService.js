@@ -0,0 +1,131 @@
+/**
+ * LineItemService — labor, materials, fees and discounts on a job.
+ *
+ * Every change rewrites the whole lineItems array together with the
+ * recomputed totals and actualCost, so the three never disagree. The
+ * write is guarded on status (locked once BILLED) and on updatedAt, so a
+ * concurrent edit is reported as a 409 instead of being silently lost.
+ */
+
+const Job = require('../models/Job');
+const { LINE_ITEM_LOCKED_STATUSES } = require('../config/constants');
+const { buildLineItem, validateLineItem, calculateTotals, getDefaultTaxRate } = require('../utils/lineItems');
+
+const LINE_ITEM_FIELDS = 'title status lineItems taxRate totals actualCost updatedAt';
+
+function toResult(job) {
+  return {
+    jobId: job._id,
+    status: job.status,
+    lineItems: job.lineItems || [],
+    taxRate: job.taxRate ?? getDefaultTaxRate(),
+    totals: job.totals || calculateTotals([], job.taxRate ?? getDefaultTaxRate()),
+    actualCost: job.actualCost ?? null,
+  };
+}
+
+function lockedError(job) {
+  return { error: `Line items cannot be changed once a job is ${job.status}`, status: 400 };
+}
+
+/**
+ * Load the job, let `change` produce the new item list, and store it.
+ * `change(items)` returns an array or { error, status }.
+ */
+async function saveLineItems(jobId, change, taxRate) {
+  const job = await Job.findById(jobId).select(LINE_ITEM_FIELDS).lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  if (LINE_ITEM_LOCKED_STATUSES.includes(job.status)) return lockedError(job);
+
+  const next = change((job.lineItems || []).map((item) => ({ ...item })));
+  if (next.error) return next;
+
+  const items = next.map(buildLineItem);
+  const rate = taxRate ?? job.taxRate ?? getDefaultTaxRate();
+  const update = { $set: { lineItems: items, taxRate: rate } };
+  if (items.length > 0) {
+    const totals = calculateTotals(items, rate);
+    update.$set.totals = totals;
+    update.$set.actualCost = totals.total;
+  } else {
+    update.$unset = { totals: 1, actualCost: 1 };
+  }
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: { $nin: LINE_ITEM_LOCKED_STATUSES }, updatedAt: job.updatedAt },
+    update,
+    { new: true, runValidators: true }
+  )
+    .select(LINE_ITEM_FIELDS)
+    .lean();
+
+  if (!updated) {
+    const current = await Job.findById(job._id).select('status').lean();
+    if (!current) return { error: 'Job not found', status: 404 };
+    if (LINE_ITEM_LOCKED_STATUSES.includes(current.status)) return lockedError(current);
+    return { error: 'Line items were changed by someone else. Reload and try again.', status: 409 };
+  }
+
+  return { data: toResult(updated) };
+}
+
+function findItemIndex(items, itemId) {
+  return items.findIndex((item) => String(item._id) === String(itemId));
+}
+
+// ── public API ───────────────────────────────────────────────────────
+
+async function getLineItems(jobId) {
+  const job = await Job.findById(jobId).select(LINE_ITEM_FIELDS).lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  return { data: toResult(job) };
+}
+
+/**
+ * Replace every line item (and optionally the tax rate) in one go.
+ * Items carrying an existing `_id` keep it.
+ */
+async function replaceLineItems(jobId, items, taxRate) {
+  return saveLineItems(jobId, () => items, taxRate);
+}
+
+async function addLineItem(jobId, input) {
+  return saveLineItems(jobId, (items) => [...items, input]);
+}
+
+/**
+ * Patch one line item; fields not sent keep their current values.
+ */
+async function updateLineItem(jobId, itemId, input) {
+  return saveLineItems(jobId, (items) => {
+    const index = findItemIndex(items, itemId);
+    if (index === -1) return { error: 'Line item not found', status: 404 };
+    const merged = { ...items[index], ...input, _id: items[index]._id };
+    const invalid = validateLineItem(merged);
+    if (invalid) return { error: invalid, status: 400 };
+    items[index] = merged;
+    return items;
+  });
+}
+
+async function removeLineItem(jobId, itemId) {
+  return saveLineItems(jobId, (items) => {
+    const index = findItemIndex(items, itemId);
+    if (index === -1) return { error: 'Line item not found', status: 404 };
+    items.splice(index, 1);
+    return items;
+  });
+}
+
+async function setTaxRate(jobId, taxRate) {
+  return saveLineItems(jobId, (items) => items, taxRate);
+}
+
+module.exports = {
+  getLineItems,
+  replaceLineItems,
+  addLineItem,
+  updateLineItem,
+  removeLineItem,
+  setTaxRate,
+};
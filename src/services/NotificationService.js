@@ -19,7 +19,7 @@ async function createNotification({ type, message, jobId, recipientIds, recipien
     let recipients = [];
 
     if (recipientIds && recipientIds.length > 0) {
-      recipients = recipientIds.map((id) => id.toString());
+      recipients = [...new Set(recipientIds.map((id) => id.toString()))];
     }
 
     if (recipientRoles && recipientRoles.length > 0) {
@@ -0,0 +1,272 @@
+/**
+ * PaymentService — the payments ledger of a job and its invoice balance.
+ *
+ * Payments belong to the job, so a deposit taken before billing counts
+ * toward the invoice issued later, and a re-issued invoice (after a
+ * revert) starts from what the customer has already paid.
+ *
+ * The live invoice carries amountPaid / balanceDue. Recording money
+ * against it first reserves the amount with a guarded $inc, so two
+ * concurrent payments can't take the balance below zero; the balance is
+ * then recomputed from the ledger to keep it exact.
+ *
+ * When the balance reaches zero a BILLED job moves to PAID; when a refund
+ * or void re-opens the balance a PAID job is reverted to BILLED.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Job = require('../models/Job');
+const { JOB_STATUS, INVOICE_STATUS, PAYMENT_TYPES, PAYMENT_STATUS } = require('../config/constants');
+const { roundMoney } = require('../utils/lineItems');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { transitionStatus, revertStatus } = require('./JobService');
+
+// Float tolerance for money comparisons (half a cent)
+const EPSILON = 0.005;
+
+function liveInvoiceFilter(jobId) {
+  return { job: jobId, status: INVOICE_STATUS.ISSUED };
+}
+
+/**
+ * Payments minus refunds, ignoring voided entries.
+ */
+async function getNetPaid(jobId) {
+  const [row] = await Payment.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(String(jobId)), status: PAYMENT_STATUS.RECORDED } },
+    {
+      $group: {
+        _id: null,
+        paid: { $sum: { $cond: [{ $eq: ['$type', PAYMENT_TYPES.PAYMENT] }, '$amount', 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$type', PAYMENT_TYPES.REFUND] }, '$amount', 0] } },
+      },
+    },
+  ]);
+  return {
+    paid: roundMoney(row?.paid || 0),
+    refunded: roundMoney(row?.refunded || 0),
+    net: roundMoney((row?.paid || 0) - (row?.refunded || 0)),
+  };
+}
+
+/**
+ * Recompute the live invoice's amountPaid / balanceDue from the ledger.
+ * @returns {Promise<Object|null>} the updated invoice
+ */
+async function refreshBalance(jobId) {
+  const invoice = await Invoice.findOne(liveInvoiceFilter(jobId)).select('totals').lean();
+  if (!invoice) return null;
+
+  const { net } = await getNetPaid(jobId);
+  return Invoice.findByIdAndUpdate(
+    invoice._id,
+    { $set: { amountPaid: net, balanceDue: roundMoney(invoice.totals.total - net) } },
+    { new: true }
+  );
+}
+
+/**
+ * Move the job between BILLED and PAID to match its invoice balance.
+ * @returns {Promise<{ job, status }|null>} the job when its status changed
+ */
+async function syncJobPaymentStatus(jobId, user) {
+  const invoice = await Invoice.findOne(liveInvoiceFilter(jobId)).select('balanceDue number').lean();
+  if (!invoice || invoice.balanceDue === undefined) return null;
+
+  const job = await Job.findById(jobId).select('status').lean();
+  if (!job) return null;
+
+  let result = null;
+  if (job.status === JOB_STATUS.BILLED && invoice.balanceDue <= EPSILON) {
+    result = await transitionStatus(jobId, JOB_STATUS.PAID, user, `Invoice ${invoice.number} paid in full`);
+  } else if (job.status === JOB_STATUS.PAID && invoice.balanceDue > EPSILON) {
+    result = await revertStatus(jobId, user);
+  }
+
+  if (!result) return null;
+  if (result.error) {
+    console.error(`Job ${jobId}: could not sync status with invoice balance —`, result.error);
+    return null;
+  }
+  return { job: result.data, status: result.data.status };
+}
+
+/**
+ * Reserve `delta` (positive = money in) against the live invoice.
+ * Fails when it would take the balance below zero (overpayment) or
+ * amountPaid below zero (refunding more than was paid).
+ * @returns {Promise<{ invoice }|{ error, status }>}
+ */
+async function reserveOnInvoice(jobId, delta) {
+  // Invoices issued before balances were tracked start from their total
+  await Invoice.updateOne(
+    { ...liveInvoiceFilter(jobId), balanceDue: { $exists: false } },
+    [{ $set: { amountPaid: 0, balanceDue: '$totals.total' } }]
+  );
+
+  const guard = delta > 0
+    ? { balanceDue: { $gte: delta - EPSILON } }
+    : { amountPaid: { $gte: -delta - EPSILON } };
+  const invoice = await Invoice.findOneAndUpdate(
+    { ...liveInvoiceFilter(jobId), ...guard },
+    { $inc: { amountPaid: delta, balanceDue: -delta } },
+    { new: true }
+  );
+  if (invoice) return { invoice };
+
+  const current = await Invoice.findOne(liveInvoiceFilter(jobId)).select('amountPaid balanceDue').lean();
+  if (!current) return { invoice: null };
+  return delta > 0
+    ? { error: `Amount exceeds the outstanding balance of $${roundMoney(current.balanceDue).toFixed(2)}`, status: 400 }
+    : { error: `Amount exceeds the net amount paid of $${roundMoney(current.amountPaid).toFixed(2)}`, status: 400 };
+}
+
+async function releaseOnInvoice(invoiceId, delta) {
+  await Invoice.updateOne({ _id: invoiceId }, { $inc: { amountPaid: -delta, balanceDue: delta } });
+}
+
+async function afterLedgerChange(jobId, user) {
+  const invoice = await refreshBalance(jobId);
+  const statusChange = await syncJobPaymentStatus(jobId, user);
+  return { invoice, statusChange };
+}
+
+// ── public API ───────────────────────────────────────────────────────
+
+/**
+ * Ledger and balance for a job.
+ */
+async function getJobLedger(jobId) {
+  const job = await Job.findById(jobId).select('title status estimatedCost').lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+
+  const [payments, invoice, totals] = await Promise.all([
+    Payment.find({ job: jobId })
+      .populate('recordedBy', 'name email')
+      .populate('voidedBy', 'name email')
+      .populate('invoice', 'number status')
+      .sort({ createdAt: 1 }),
+    Invoice.findOne(liveInvoiceFilter(jobId)).select('number totals amountPaid balanceDue dueDate').lean(),
+    getNetPaid(jobId),
+  ]);
+
+  return {
+    data: {
+      job,
+      invoice,
+      summary: {
+        ...totals,
+        invoiceTotal: invoice ? invoice.totals.total : null,
+        balanceDue: invoice ? roundMoney(invoice.totals.total - totals.net) : null,
+      },
+      payments,
+    },
+  };
+}
+
+/**
+ * Record a payment or refund on a job.
+ * @param {Object} data - { type?, amount, method, reference?, receivedDate?, notes? }
+ * @returns {{ data: { payment, invoice, statusChange } } | { error, status }}
+ */
+async function recordPayment(jobId, data, user) {
+  const job = await Job.findById(jobId).select('status customer').lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  const type = data.type || PAYMENT_TYPES.PAYMENT;
+  // A cancelled job can still have its deposit refunded
+  if (job.status === JOB_STATUS.CANCELLED && type === PAYMENT_TYPES.PAYMENT) {
+    return { error: 'Payments cannot be recorded on a cancelled job', status: 400 };
+  }
+
+  const amount = roundMoney(data.amount);
+  const delta = type === PAYMENT_TYPES.REFUND ? -amount : amount;
+
+  const reserved = await reserveOnInvoice(jobId, delta);
+  if (reserved.error) return reserved;
+
+  // No invoice yet: a deposit, or a refund of one
+  if (!reserved.invoice && type === PAYMENT_TYPES.REFUND) {
+    const { net } = await getNetPaid(jobId);
+    if (amount > net + EPSILON) {
+      return { error: `Amount exceeds the net amount paid of $${net.toFixed(2)}`, status: 400 };
+    }
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      job: jobId,
+      invoice: reserved.invoice?._id || null,
+      customer: job.customer,
+      type,
+      amount,
+      method: data.method,
+      reference: data.reference,
+      receivedDate: data.receivedDate || toLocalDateOnly(),
+      notes: data.notes,
+      recordedBy: user._id,
+    });
+  } catch (error) {
+    if (reserved.invoice) await releaseOnInvoice(reserved.invoice._id, delta);
+    throw error;
+  }
+
+  const { invoice, statusChange } = await afterLedgerChange(jobId, user);
+  return { data: { payment, invoice, statusChange } };
+}
+
+/**
+ * Void a ledger entry. Voiding a refund puts money back on the books, so
+ * it is refused if that would overpay the invoice.
+ */
+async function voidPayment(paymentId, user, reason) {
+  const payment = await Payment.findById(paymentId).lean();
+  if (!payment) return { error: 'Payment not found', status: 404 };
+  if (payment.status === PAYMENT_STATUS.VOIDED) {
+    return { error: 'This entry is already voided', status: 400 };
+  }
+
+  // Undo its effect on the balance: voiding a payment takes money out
+  const delta = payment.type === PAYMENT_TYPES.REFUND ? payment.amount : -payment.amount;
+  const reserved = await reserveOnInvoice(payment.job, delta);
+  if (reserved.error) {
+    return { error: `Cannot void — ${reserved.error.charAt(0).toLowerCase()}${reserved.error.slice(1)}`, status: 400 };
+  }
+
+  const voided = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: PAYMENT_STATUS.RECORDED },
+    { $set: { status: PAYMENT_STATUS.VOIDED, voidedAt: new Date(), voidedBy: user._id, voidReason: reason } },
+    { new: true }
+  );
+  if (!voided) {
+    if (reserved.invoice) await releaseOnInvoice(reserved.invoice._id, delta);
+    return { error: 'Conflict: this entry was voided by another request', status: 409 };
+  }
+
+  const { invoice, statusChange } = await afterLedgerChange(payment.job, user);
+  return { data: { payment: voided, invoice, statusChange } };
+}
+
+/**
+ * Manual BILLED → PAID is only allowed once the invoice is settled.
+ * @returns {string|null} error message
+ */
+async function checkPaidInFull(jobId) {
+  const invoice = await Invoice.findOne(liveInvoiceFilter(jobId)).select('number totals balanceDue').lean();
+  if (!invoice) return null;
+  const balance = invoice.balanceDue ?? invoice.totals.total;
+  if (balance <= EPSILON) return null;
+  return `Invoice ${invoice.number} still has $${roundMoney(balance).toFixed(2)} outstanding — record the payment instead`;
+}
+
+module.exports = {
+  getNetPaid,
+  refreshBalance,
+  syncJobPaymentStatus,
+  getJobLedger,
+  recordPayment,
+  voidPayment,
+  checkPaidInFull,
+};
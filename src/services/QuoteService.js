@@ -0,0 +1,265 @@
+/**
+ * QuoteService — estimates sent to the customer before a job is confirmed.
+ *
+ * A quote is built from a TENTATIVE job, emailed with a public token link,
+ * and accepted or declined by the customer without logging in. Acceptance
+ * moves the job TENTATIVE → CONFIRMED through JobService.transitionStatus
+ * and snapshots the quote onto job.acceptedQuote.
+ */
+
+const Quote = require('../models/Quote');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { JOB_STATUS, QUOTE_STATUS } = require('../config/constants');
+const { buildLineItem, calculateTotals, getDefaultTaxRate } = require('../utils/lineItems');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { addDays } = require('../utils/dateRange');
+const { sendQuoteEmail } = require('./EmailService');
+const { transitionStatus } = require('./JobService');
+
+const DEFAULT_VALID_DAYS = 30;
+
+function isExpired(quote) {
+  return quote.validUntil < toLocalDateOnly();
+}
+
+function priceQuote(items, taxRate) {
+  const lineItems = items.map(({ _id, ...item }) => buildLineItem(item));
+  return { lineItems, taxRate, totals: calculateTotals(lineItems, taxRate) };
+}
+
+/**
+ * Create a DRAFT quote for a TENTATIVE job. Line items and tax rate
+ * default to the job's own.
+ * @param {Object} data - { lineItems?, taxRate?, notes?, validUntil?, validDays? }
+ */
+async function createQuote(jobId, data, user) {
+  const job = await Job.findById(jobId).select('status lineItems taxRate customer').lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  if (job.status !== JOB_STATUS.TENTATIVE) {
+    return { error: `Quotes can only be created for TENTATIVE jobs (job is ${job.status})`, status: 400 };
+  }
+
+  const items = data.lineItems ?? job.lineItems ?? [];
+  if (items.length === 0) {
+    return { error: 'A quote needs at least one line item — add them to the job or send lineItems', status: 400 };
+  }
+
+  const last = await Quote.findOne({ job: job._id }).sort({ number: -1 }).select('number').lean();
+  const validUntil = data.validUntil || addDays(toLocalDateOnly(), data.validDays || DEFAULT_VALID_DAYS);
+
+  try {
+    const quote = await Quote.create({
+      job: job._id,
+      number: (last?.number || 0) + 1,
+      customer: job.customer,
+      ...priceQuote(items, data.taxRate ?? job.taxRate ?? getDefaultTaxRate()),
+      notes: data.notes,
+      validUntil,
+      createdBy: user._id,
+    });
+    return { data: quote };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'Another quote was created for this job at the same time. Retry.', status: 409 };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Edit a DRAFT quote. Sent quotes are frozen — create a new one instead.
+ */
+async function updateQuote(quoteId, data) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) return { error: 'Quote not found', status: 404 };
+  if (quote.status !== QUOTE_STATUS.DRAFT) {
+    return { error: `Only DRAFT quotes can be edited (quote is ${quote.status})`, status: 400 };
+  }
+
+  if (data.lineItems !== undefined || data.taxRate !== undefined) {
+    const priced = priceQuote(data.lineItems ?? quote.lineItems.map((i) => i.toObject()), data.taxRate ?? quote.taxRate);
+    quote.lineItems = priced.lineItems;
+    quote.taxRate = priced.taxRate;
+    quote.totals = priced.totals;
+  }
+  if (data.notes !== undefined) quote.notes = data.notes;
+  if (data.validUntil !== undefined) quote.validUntil = data.validUntil;
+
+  await quote.save();
+  return { data: quote };
+}
+
+/**
+ * Email the quote to the customer (or `to`). Sending again re-sends the
+ * same link. Any other quote still out for the job is superseded.
+ */
+async function sendQuote(quoteId, user, { to } = {}) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) return { error: 'Quote not found', status: 404 };
+  if (![QUOTE_STATUS.DRAFT, QUOTE_STATUS.SENT].includes(quote.status)) {
+    return { error: `A ${quote.status} quote cannot be sent`, status: 400 };
+  }
+  if (isExpired(quote)) {
+    return { error: 'This quote has expired — update validUntil before sending', status: 400 };
+  }
+
+  const job = await Job.findById(quote.job)
+    .select('title status customer customerName customerEmail')
+    .populate('customer', 'name email')
+    .lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  if (job.status !== JOB_STATUS.TENTATIVE) {
+    return { error: `Job is already ${job.status} — quotes can only be sent for TENTATIVE jobs`, status: 400 };
+  }
+
+  const recipient = to || job.customer?.email || job.customerEmail;
+  if (!recipient) {
+    return { error: 'The customer has no email address — provide one with "to"', status: 400 };
+  }
+
+  const token = quote.token || Quote.generateToken();
+  await sendQuoteEmail({
+    to: recipient,
+    customerName: job.customer?.name || job.customerName,
+    jobTitle: job.title,
+    quoteNumber: quote.number,
+    lineItems: quote.lineItems,
+    totals: quote.totals,
+    taxRate: quote.taxRate,
+    validUntil: quote.validUntil,
+    notes: quote.notes,
+    token,
+  });
+
+  quote.token = token;
+  quote.status = QUOTE_STATUS.SENT;
+  quote.sentTo = recipient;
+  quote.sentAt = new Date();
+  quote.sentBy = user._id;
+  await quote.save();
+
+  await Quote.updateMany(
+    { job: quote.job, _id: { $ne: quote._id }, status: QUOTE_STATUS.SENT },
+    { $set: { status: QUOTE_STATUS.SUPERSEDED } }
+  );
+
+  return { data: quote };
+}
+
+/**
+ * What the customer sees on the public quote page. No internal ids.
+ */
+async function getPublicQuote(token) {
+  const quote = await Quote.findOne({ token }).populate('customer', 'name').lean();
+  if (!quote) return { error: 'Invalid quote link', status: 404 };
+
+  const job = await Job.findById(quote.job).select('title description').lean();
+  return {
+    data: {
+      number: quote.number,
+      jobTitle: job?.title,
+      jobDescription: job?.description,
+      customerName: quote.customer?.name,
+      lineItems: quote.lineItems.map(({ type, description, quantity, unitPrice, amount }) => ({
+        type,
+        description,
+        quantity,
+        unitPrice,
+        amount,
+      })),
+      taxRate: quote.taxRate,
+      totals: quote.totals,
+      notes: quote.notes,
+      validUntil: quote.validUntil,
+      status: quote.status,
+      expired: quote.status === QUOTE_STATUS.SENT && isExpired(quote),
+      respondedAt: quote.respondedAt,
+    },
+  };
+}
+
+function respondableFilter(token) {
+  return { token, status: QUOTE_STATUS.SENT, validUntil: { $gte: toLocalDateOnly() } };
+}
+
+async function explainNotRespondable(token) {
+  const quote = await Quote.findOne({ token }).select('status validUntil').lean();
+  if (!quote) return { error: 'Invalid quote link', status: 404 };
+  if (quote.status === QUOTE_STATUS.SUPERSEDED) {
+    return { error: 'This quote has been replaced by a newer one — check your email for the latest quote', status: 410 };
+  }
+  if (quote.status !== QUOTE_STATUS.SENT) {
+    return { error: `This quote has already been ${quote.status.toLowerCase()}`, status: 409 };
+  }
+  return { error: 'This quote has expired — please contact us for an updated quote', status: 410 };
+}
+
+/**
+ * Customer accepts: the quote is marked ACCEPTED first (so two clicks can't
+ * both win), then the job is confirmed. If the job can no longer be
+ * confirmed the quote goes back to SENT.
+ * @returns {{ data: { quote, job } } | { error, status }}
+ */
+async function acceptQuote(token, { name } = {}) {
+  const now = new Date();
+  const quote = await Quote.findOneAndUpdate(
+    respondableFilter(token),
+    { $set: { status: QUOTE_STATUS.ACCEPTED, respondedAt: now, acceptedBy: name } },
+    { new: true }
+  );
+  if (!quote) return explainNotRespondable(token);
+
+  // The customer acts on behalf of whoever sent the quote
+  const actor = await User.findById(quote.sentBy || quote.createdBy).select('name role');
+  const { lineItems, totals } = quote.toObject();
+  const snapshot = {
+    quote: quote._id,
+    number: quote.number,
+    lineItems,
+    taxRate: quote.taxRate,
+    totals,
+    acceptedAt: now,
+    acceptedBy: name,
+  };
+
+  const result = actor
+    ? await transitionStatus(
+      quote.job,
+      JOB_STATUS.CONFIRMED,
+      actor,
+      `Quote #${quote.number} accepted by customer${name ? ` (${name})` : ''}`,
+      { acceptedQuote: snapshot }
+    )
+    : { error: 'The user who sent this quote no longer exists', status: 409 };
+
+  if (result.error) {
+    await Quote.updateOne(
+      { _id: quote._id, status: QUOTE_STATUS.ACCEPTED },
+      { $set: { status: QUOTE_STATUS.SENT }, $unset: { respondedAt: 1, acceptedBy: 1 } }
+    );
+    return { error: `This quote can no longer be accepted online — please contact us. (${result.error})`, status: 409 };
+  }
+
+  return { data: { quote, job: result.data } };
+}
+
+async function declineQuote(token, { reason } = {}) {
+  const quote = await Quote.findOneAndUpdate(
+    respondableFilter(token),
+    { $set: { status: QUOTE_STATUS.DECLINED, respondedAt: new Date(), declineReason: reason } },
+    { new: true }
+  );
+  if (!quote) return explainNotRespondable(token);
+  return { data: quote };
+}
+
+module.exports = {
+  isExpired,
+  createQuote,
+  updateQuote,
+  sendQuote,
+  getPublicQuote,
+  acceptQuote,
+  declineQuote,
+};
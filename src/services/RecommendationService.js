@@ -0,0 +1,239 @@
+/**
+ * RecommendationService — ranks technicians for assigning a job.
+ *
+ * Every technician gets a score out of 100 built from four factors, and
+ * each factor says how it got its points so the office can check the
+ * reasoning:
+ *
+ *   AVAILABILITY  40  free for the job's slot (checkTechsAvailability —
+ *                     other active jobs and time-off); unscheduled jobs
+ *                     cannot be checked and get half
+ *   SKILLS        25  share of the job type's required skills held (see
+ *                     SkillService); for job types without requirements,
+ *                     finished jobs of the same type
+ *   WORKLOAD      20  fewer jobs already booked in the job's week
+ *   CUSTOMER      15  finished jobs for the same customer
+ *
+ * Technicians who are unavailable, or who lack a required skill (and so
+ * cannot be assigned without an admin override), are listed last.
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { ROLES, JOB_STATUS, STATUS_ORDER } = require('../config/constants');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { scheduleOverlapFilter, weekOf } = require('../utils/dateRange');
+const { getCrewIds } = require('../utils/crew');
+const { escapeRegex } = require('../utils/jobQuery');
+const { checkTechsAvailability } = require('./JobService');
+const { getRequiredSkills, skillCheckDay, findMissingSkills } = require('./SkillService');
+
+const WEIGHTS = {
+  AVAILABILITY: 40,
+  SKILLS: 25,
+  WORKLOAD: 20,
+  CUSTOMER: 15,
+};
+
+// Counts at which a factor earns full points (or, for workload, none)
+const EXPERIENCE_FULL_AT = 5;
+const CUSTOMER_FULL_AT = 3;
+const WORKLOAD_FULL_AT = 5;
+
+// Work done — counts as experience
+const DONE_STATUSES = STATUS_ORDER.slice(STATUS_ORDER.indexOf(JOB_STATUS.COMPLETED));
+
+// Jobs a recommendation makes sense for: not yet started, or being reassigned
+const RECOMMENDABLE_STATUSES = [
+  JOB_STATUS.TENTATIVE,
+  JOB_STATUS.CONFIRMED,
+  JOB_STATUS.ASSIGNED,
+  JOB_STATUS.DISPATCHED,
+  JOB_STATUS.IN_PROGRESS,
+  JOB_STATUS.ON_HOLD,
+];
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Count of finished jobs per crew member (lead or helper) matching `match`.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countDoneJobsByTech(match, techIds) {
+  const counts = await Job.aggregate([
+    { $match: { ...match, status: { $in: DONE_STATUSES } } },
+    {
+      $project: {
+        crew: {
+          $setUnion: [
+            { $cond: [{ $ifNull: ['$assignedTechnician', false] }, ['$assignedTechnician'], []] },
+            { $ifNull: ['$crewMembers', []] },
+          ],
+        },
+      },
+    },
+    { $unwind: '$crew' },
+    { $match: { crew: { $in: techIds } } },
+    { $group: { _id: '$crew', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+}
+
+/**
+ * Technicians ranked for `jobId`, best first.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - return only the top N
+ * @returns {Promise<{ data: { job, week, technicians } } | { error, status }>}
+ */
+async function recommendTechnicians(jobId, { limit } = {}) {
+  const job = await Job.findById(jobId).populate('customer', 'name').lean();
+  if (!job) return { error: 'Job not found', status: 404 };
+  if (!RECOMMENDABLE_STATUSES.includes(job.status)) {
+    return { error: `No recommendations for a ${job.status} job`, status: 400 };
+  }
+
+  const technicians = await User.find({ role: ROLES.TECHNICIAN, isActive: true })
+    .select('name email skills')
+    .sort({ name: 1 })
+    .lean();
+  const techIds = technicians.map((t) => t._id);
+  const currentCrew = getCrewIds(job);
+
+  // Required skills; without any, experience with the job type (case-insensitive, like job type names)
+  const jobType = (job.jobType || '').trim();
+  const requiredSkills = await getRequiredSkills(jobType);
+  const skillDay = skillCheckDay(job);
+  const experience = jobType && requiredSkills.length === 0
+    ? await countDoneJobsByTech({ _id: { $ne: job._id }, jobType: new RegExp(`^${escapeRegex(jobType)}$`, 'i') }, techIds)
+    : new Map();
+
+  // History with the customer — linked Customer, or the legacy name
+  let customerMatch = null;
+  if (job.customer?._id) customerMatch = { customer: new mongoose.Types.ObjectId(String(job.customer._id)) };
+  else if (job.customerName) customerMatch = { customerName: job.customerName };
+  const customerName = job.customer?.name || job.customerName;
+  const customerHistory = customerMatch
+    ? await countDoneJobsByTech({ ...customerMatch, _id: { $ne: job._id } }, techIds)
+    : new Map();
+
+  // Workload in the job's week (this week for unscheduled jobs)
+  const week = weekOf(job.scheduledDate || toLocalDateOnly());
+  const weekJobs = await Job.find({
+    ...scheduleOverlapFilter(week.start, week.end),
+    _id: { $ne: job._id },
+    status: { $nin: [JOB_STATUS.CANCELLED, JOB_STATUS.TENTATIVE] },
+  })
+    .select('assignedTechnician crewMembers')
+    .lean();
+  const workload = new Map();
+  for (const weekJob of weekJobs) {
+    for (const id of getCrewIds(weekJob)) workload.set(id, (workload.get(id) || 0) + 1);
+  }
+
+  // Availability for the job's slot, for every technician at once
+  const unavailable = job.scheduledDate
+    ? await checkTechsAvailability(techIds, job, { excludeJobId: job._id })
+    : null;
+
+  const ranked = [];
+  for (const tech of technicians) {
+    const id = String(tech._id);
+    const factors = [];
+
+    // Availability
+    let available = null;
+    if (unavailable) {
+      const reason = unavailable.get(id);
+      available = !reason;
+      factors.push({
+        factor: 'AVAILABILITY',
+        points: available ? WEIGHTS.AVAILABILITY : 0,
+        maxPoints: WEIGHTS.AVAILABILITY,
+        detail: available ? `Free on ${job.scheduledDate}` : `Unavailable: ${reason}`,
+      });
+    } else {
+      factors.push({
+        factor: 'AVAILABILITY',
+        points: WEIGHTS.AVAILABILITY / 2,
+        maxPoints: WEIGHTS.AVAILABILITY,
+        detail: 'Job is not scheduled yet — availability not checked',
+      });
+    }
+
+    // Skills
+    let missingSkills = [];
+    if (requiredSkills.length) {
+      missingSkills = findMissingSkills(tech, requiredSkills, skillDay);
+      const held = requiredSkills.length - missingSkills.length;
+      factors.push({
+        factor: 'SKILLS',
+        points: Math.round((held / requiredSkills.length) * WEIGHTS.SKILLS),
+        maxPoints: WEIGHTS.SKILLS,
+        detail: missingSkills.length
+          ? `Holds ${held} of ${requiredSkills.length} required skills — missing ${missingSkills.join(', ')}`
+          : `Holds every required skill: ${requiredSkills.join(', ')}`,
+      });
+    } else {
+      const typeCount = experience.get(id) || 0;
+      factors.push({
+        factor: 'SKILLS',
+        points: Math.round((Math.min(typeCount, EXPERIENCE_FULL_AT) / EXPERIENCE_FULL_AT) * WEIGHTS.SKILLS),
+        maxPoints: WEIGHTS.SKILLS,
+        detail: jobType
+          ? `No required skills — ${plural(typeCount, 'finished job')} of type "${jobType}"`
+          : 'Job has no job type',
+      });
+    }
+
+    // Workload
+    const booked = workload.get(id) || 0;
+    factors.push({
+      factor: 'WORKLOAD',
+      points: Math.round(Math.max(0, 1 - booked / WORKLOAD_FULL_AT) * WEIGHTS.WORKLOAD),
+      maxPoints: WEIGHTS.WORKLOAD,
+      detail: `${plural(booked, 'other job')} in the week of ${week.start}`,
+    });
+
+    // Customer history
+    const customerCount = customerHistory.get(id) || 0;
+    factors.push({
+      factor: 'CUSTOMER',
+      points: Math.round((Math.min(customerCount, CUSTOMER_FULL_AT) / CUSTOMER_FULL_AT) * WEIGHTS.CUSTOMER),
+      maxPoints: WEIGHTS.CUSTOMER,
+      detail: customerName
+        ? `${plural(customerCount, 'finished job')} for ${customerName}`
+        : 'Job has no customer',
+    });
+
+    ranked.push({
+      technician: { _id: tech._id, name: tech.name, email: tech.email },
+      score: factors.reduce((sum, f) => sum + f.points, 0),
+      available,
+      qualified: missingSkills.length === 0,
+      missingSkills,
+      onCurrentCrew: currentCrew.includes(id),
+      factors,
+    });
+  }
+
+  const blocked = (entry) => entry.available === false || !entry.qualified;
+  ranked.sort((a, b) => blocked(a) - blocked(b)
+    || b.score - a.score
+    || a.technician.name.localeCompare(b.technician.name));
+
+  return {
+    data: {
+      job: { _id: job._id, title: job.title, status: job.status, jobType: job.jobType || null, scheduledDate: job.scheduledDate || null },
+      requiredSkills,
+      week,
+      technicians: limit ? ranked.slice(0, limit) : ranked,
+    },
+  };
+}
+
+module.exports = {
+  recommendTechnicians,
+};
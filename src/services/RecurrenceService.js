@@ -0,0 +1,346 @@
+/**
+ * RecurrenceService — recurring job series (maintenance contracts).
+ *
+ * A series holds a job template and a recurrence rule (utils/recurrence.js).
+ * Occurrences are created as ordinary jobs generateAheadDays ahead of time,
+ * by a periodic run and right after the series is created. Each generated
+ * job points back at its series and occurrence date; a unique index on
+ * (series, occurrenceDate) stops an occurrence from being generated twice.
+ *
+ * Once generated, an occurrence is edited like any other job. Occurrences
+ * that are skipped are recorded on the series so they are never generated.
+ */
+
+const RecurringSeries = require('../models/RecurringSeries');
+const Job = require('../models/Job');
+const { JOB_STATUS, SERIES_STATUS, SERIES_GENERATED_STATUSES } = require('../config/constants');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { addDays } = require('../utils/dateRange');
+const { expandOccurrences, isOccurrence, describeRule } = require('../utils/recurrence');
+const { getWorkflowForJobType, findTransition } = require('./WorkflowService');
+const JobService = require('./JobService');
+const { getIO } = require('../socket');
+
+const GENERATION_INTERVAL_MS = 6 * 60 * 60 * 1000; // every 6 hours
+
+// Generated occurrences that have not been worked on yet
+const UNSTARTED_STATUSES = [JOB_STATUS.TENTATIVE, JOB_STATUS.CONFIRMED];
+
+// Template fields every generated job needs
+const REQUIRED_TEMPLATE_FIELDS = ['title', 'jobType', 'customer'];
+
+function buildJobData(series, occurrenceDate) {
+  const { template } = series;
+  const durationDays = template.durationDays || 1;
+  return {
+    title: template.title,
+    description: template.description,
+    jobType: template.jobType,
+    customerId: template.customer,
+    companyName: template.companyName,
+    estimatedCost: template.estimatedCost,
+    notes: template.notes,
+    scheduledDate: occurrenceDate,
+    scheduledEndDate: durationDays > 1 ? addDays(occurrenceDate, durationDays - 1) : undefined,
+    scheduledStartTime: template.scheduledStartTime,
+    scheduledEndTime: template.scheduledEndTime,
+    estimatedDuration: template.estimatedDuration,
+  };
+}
+
+/**
+ * Check that jobs of the template's type can start in the requested status.
+ * Returns an error string, or null.
+ */
+async function validateGeneratedStatus(jobType, generatedStatus) {
+  if (!SERIES_GENERATED_STATUSES.includes(generatedStatus)) {
+    return `generatedStatus must be one of: ${SERIES_GENERATED_STATUSES.join(', ')}`;
+  }
+  const workflow = await getWorkflowForJobType(jobType);
+  if (generatedStatus === workflow.initialStatus) return null;
+  if (!findTransition(workflow, workflow.initialStatus, generatedStatus)) {
+    return `The "${workflow.name}" workflow for this job type cannot start jobs in ${generatedStatus}`;
+  }
+  return null;
+}
+
+async function createOccurrenceJob(series, occurrenceDate, userId) {
+  try {
+    return await JobService.createJob(buildJobData(series, occurrenceDate), userId, {
+      initialStatus: series.generatedStatus,
+      series: series._id,
+      occurrenceDate,
+    });
+  } catch (error) {
+    // Another run generated it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Create jobs for every pending occurrence from today through the series horizon.
+ * Past occurrences are never generated.
+ * @returns {Promise<number>} number of jobs created
+ */
+async function generateOccurrences(series) {
+  if (series.status !== SERIES_STATUS.ACTIVE) return 0;
+
+  const today = toLocalDateOnly();
+  const horizon = addDays(today, series.generateAheadDays);
+  const from = series.generatedThrough && series.generatedThrough >= today
+    ? addDays(series.generatedThrough, 1)
+    : today;
+  if (from > horizon) return 0;
+
+  const dates = expandOccurrences(series.rule, series.startDate, { from, to: horizon })
+    .filter((day) => !series.skippedDates.includes(day));
+
+  let created = 0;
+  for (const day of dates) {
+    if (await createOccurrenceJob(series, day, series.createdBy)) created += 1;
+  }
+
+  await RecurringSeries.updateOne(
+    { _id: series._id, status: SERIES_STATUS.ACTIVE },
+    { $set: { generatedThrough: horizon } }
+  );
+  return created;
+}
+
+/**
+ * Generate pending occurrences for every active series.
+ * @returns {Promise<number>} number of jobs created
+ */
+async function runRecurringGeneration() {
+  const seriesList = await RecurringSeries.find({ status: SERIES_STATUS.ACTIVE });
+  let created = 0;
+  for (const series of seriesList) {
+    try {
+      created += await generateOccurrences(series);
+    } catch (error) {
+      console.error(`Recurring series ${series._id} generation failed:`, error.message);
+    }
+  }
+  return created;
+}
+
+function startRecurringJobSchedule() {
+  const run = () => runRecurringGeneration()
+    .then((count) => {
+      if (count > 0) {
+        console.log(`Generated ${count} job(s) from recurring series`);
+        const io = getIO();
+        if (io) io.emit('jobs:updated');
+      }
+    })
+    .catch((error) => console.error('Recurring job generation failed:', error.message));
+
+  // First run shortly after boot (the DB connection may still be opening)
+  setTimeout(run, 60 * 1000).unref();
+  const timer = setInterval(run, GENERATION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Create a series and generate its first occurrences.
+ * `data` is validated by the route; returns { data, generated } or { error, status }.
+ */
+async function createSeries(data, user) {
+  const statusErr = await validateGeneratedStatus(data.template.jobType, data.generatedStatus || JOB_STATUS.TENTATIVE);
+  if (statusErr) return { error: statusErr, status: 400 };
+
+  const series = await RecurringSeries.create({ ...data, createdBy: user._id });
+  const generated = await generateOccurrences(series);
+  return { data: await RecurringSeries.findById(series._id), generated };
+}
+
+/**
+ * Update the template or generation settings of a series.
+ * Applies to occurrences generated from now on; jobs already generated are
+ * edited individually. The rule and start date are fixed — stop the series
+ * and start a new one to change them.
+ */
+async function updateSeries(seriesId, data) {
+  const series = await RecurringSeries.findById(seriesId);
+  if (!series) return { error: 'Recurring series not found', status: 404 };
+  if (series.status !== SERIES_STATUS.ACTIVE) {
+    return { error: 'Stopped series cannot be edited', status: 400 };
+  }
+
+  if (data.template) {
+    const blank = REQUIRED_TEMPLATE_FIELDS.find((key) => key in data.template && !data.template[key]);
+    if (blank) return { error: `template.${blank} cannot be empty`, status: 400 };
+    Object.assign(series.template, data.template);
+  }
+  if (data.generatedStatus !== undefined) series.generatedStatus = data.generatedStatus;
+  if (data.generateAheadDays !== undefined) series.generateAheadDays = data.generateAheadDays;
+
+  const statusErr = await validateGeneratedStatus(series.template.jobType, series.generatedStatus);
+  if (statusErr) return { error: statusErr, status: 400 };
+
+  await series.save();
+  const generated = await generateOccurrences(series);
+  return { data: series, generated };
+}
+
+/**
+ * Occurrences of a series in [from, to] with their generated job, if any.
+ * A skipped occurrence whose job was generated (and then cancelled) is
+ * SKIPPED, with that job attached.
+ * @returns {Promise<Object[]>} [{ date, state: 'GENERATED' | 'SKIPPED' | 'PENDING', job }]
+ */
+async function listOccurrences(series, { from, to, limit = 100 }) {
+  const dates = expandOccurrences(series.rule, series.startDate, { from, to, limit });
+  if (dates.length === 0) return [];
+
+  const jobs = await Job.find({ series: series._id, occurrenceDate: { $in: dates } })
+    .select('title status scheduledDate scheduledEndDate assignedTechnician occurrenceDate')
+    .populate('assignedTechnician', 'name email')
+    .lean();
+  const byDate = new Map(jobs.map((job) => [job.occurrenceDate, job]));
+
+  return dates.map((date) => {
+    const job = byDate.get(date) || null;
+    let state = 'PENDING';
+    if (series.skippedDates.includes(date)) state = 'SKIPPED';
+    else if (job) state = 'GENERATED';
+    return { date, state, job };
+  });
+}
+
+function validateOccurrenceDate(series, date) {
+  if (!isOccurrence(series.rule, series.startDate, date)) {
+    return { error: `${date} is not an occurrence of this series (${describeRule(series.rule)})`, status: 400 };
+  }
+  return null;
+}
+
+/**
+ * Edit one occurrence. If its job has not been generated yet it is created
+ * now, so changes can be made to occurrences beyond the generation horizon.
+ * @returns {Promise<{ data: Object } | { error: string, status: number }>}
+ */
+async function editOccurrence(seriesId, date, updates, user) {
+  const series = await RecurringSeries.findById(seriesId);
+  if (!series) return { error: 'Recurring series not found', status: 404 };
+
+  const invalid = validateOccurrenceDate(series, date);
+  if (invalid) return invalid;
+  if (series.skippedDates.includes(date)) {
+    return { error: `The ${date} occurrence was skipped`, status: 400 };
+  }
+
+  let job = await Job.findOne({ series: series._id, occurrenceDate: date }).select('_id status').lean();
+  if (!job) {
+    // The unique (series, occurrenceDate) index still holds a trashed job
+    const trashed = await Job.exists({ series: series._id, occurrenceDate: date, deletedAt: { $ne: null } });
+    if (trashed) {
+      return { error: `The job for the ${date} occurrence is in the trash — restore it to edit the occurrence`, status: 409 };
+    }
+    if (series.status !== SERIES_STATUS.ACTIVE) {
+      return { error: 'Stopped series cannot generate new occurrences', status: 400 };
+    }
+    if (date < toLocalDateOnly()) {
+      return { error: 'Past occurrences that were never generated cannot be edited', status: 400 };
+    }
+    await createOccurrenceJob(series, date, user._id);
+    job = await Job.findOne({ series: series._id, occurrenceDate: date }).select('_id status').lean();
+    if (!job) return { error: 'Occurrence could not be generated', status: 500 };
+  }
+
+  if ([JOB_STATUS.BILLED, JOB_STATUS.PAID, JOB_STATUS.CLOSED, JOB_STATUS.CANCELLED].includes(job.status)) {
+    return { error: `The ${date} occurrence is ${job.status} and can no longer be edited`, status: 400 };
+  }
+
+  return JobService.updateJobDetails(job._id, updates, user);
+}
+
+/**
+ * Skip one occurrence. A job already generated for it is cancelled, as long
+ * as work on it has not started.
+ * @returns {Promise<{ data, cancelledJob } | { error: string, status: number }>}
+ */
+async function skipOccurrence(seriesId, date, user, reason) {
+  const series = await RecurringSeries.findById(seriesId);
+  if (!series) return { error: 'Recurring series not found', status: 404 };
+
+  const invalid = validateOccurrenceDate(series, date);
+  if (invalid) return invalid;
+  if (series.skippedDates.includes(date)) {
+    return { error: `The ${date} occurrence is already skipped`, status: 400 };
+  }
+
+  let cancelledJob = null;
+  const job = await Job.findOne({ series: series._id, occurrenceDate: date }).select('_id status').lean();
+  if (job && job.status !== JOB_STATUS.CANCELLED) {
+    if (!UNSTARTED_STATUSES.includes(job.status)) {
+      return {
+        error: `The ${date} occurrence is already ${job.status}; cancel or reassign the job instead`,
+        status: 409,
+      };
+    }
+    const result = await JobService.transitionStatus(job._id, JOB_STATUS.CANCELLED, user, undefined, {
+      reason: reason || 'Occurrence skipped from recurring series',
+    });
+    if (result.error) return result;
+    cancelledJob = result.data;
+  }
+
+  const updated = await RecurringSeries.findOneAndUpdate(
+    { _id: series._id },
+    { $addToSet: { skippedDates: date } },
+    { new: true }
+  );
+  return { data: updated, cancelledJob };
+}
+
+/**
+ * Stop a series: nothing more is generated. With cancelFuture, generated
+ * occurrences from today on that have not started are cancelled too.
+ * @returns {Promise<{ data, cancelledJobs } | { error: string, status: number }>}
+ */
+async function stopSeries(seriesId, user, { cancelFuture = false, reason } = {}) {
+  const series = await RecurringSeries.findOneAndUpdate(
+    { _id: seriesId, status: SERIES_STATUS.ACTIVE },
+    { $set: { status: SERIES_STATUS.STOPPED, stoppedAt: new Date(), stoppedBy: user._id } },
+    { new: true }
+  );
+  if (!series) {
+    const exists = await RecurringSeries.exists({ _id: seriesId });
+    return exists
+      ? { error: 'Series is already stopped', status: 400 }
+      : { error: 'Recurring series not found', status: 404 };
+  }
+
+  const cancelledJobs = [];
+  if (cancelFuture) {
+    const future = await Job.find({
+      series: series._id,
+      occurrenceDate: { $gte: toLocalDateOnly() },
+      status: { $in: UNSTARTED_STATUSES },
+    }).select('_id').lean();
+
+    for (const job of future) {
+      const result = await JobService.transitionStatus(job._id, JOB_STATUS.CANCELLED, user, undefined, {
+        reason: reason || 'Recurring series stopped',
+      });
+      if (result.data) cancelledJobs.push(result.data);
+    }
+  }
+
+  return { data: series, cancelledJobs };
+}
+
+module.exports = {
+  createSeries,
+  updateSeries,
+  listOccurrences,
+  editOccurrence,
+  skipOccurrence,
+  stopSeries,
+  generateOccurrences,
+  runRecurringGeneration,
+  startRecurringJobSchedule,
+};
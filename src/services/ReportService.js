@@ -0,0 +1,500 @@
+/**
+ * ReportService — read-only reporting over jobs and their money.
+ *
+ * Reports return plain objects; routes/reports.js turns them into JSON
+ * or CSV. Trashed jobs are excluded by the Job aggregate hook.
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobType = require('../models/JobType');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const TechTimeout = require('../models/TechTimeout');
+const {
+  ROLES, JOB_STATUS, STATUS_ORDER, INVOICE_STATUS, PAYMENT_TYPES, PAYMENT_STATUS,
+} = require('../config/constants');
+const { roundMoney } = require('../utils/lineItems');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { countDays, addDays, scheduleOverlapFilter, weekOf } = require('../utils/dateRange');
+const { getUnavailableTechs } = require('./JobService');
+
+// ── AR aging ────────────────────────────────────────────────────────
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1–30', maxDays: 30 },
+  { key: 'days31to60', label: '31–60', maxDays: 60 },
+  { key: 'days61to90', label: '61–90', maxDays: 90 },
+  { key: 'over90', label: '90+', maxDays: Infinity },
+];
+
+function emptyBuckets() {
+  return Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+}
+
+function agingBucket(daysOutstanding) {
+  return AGING_BUCKETS.find((b) => daysOutstanding <= b.maxDays).key;
+}
+
+/**
+ * Accounts receivable aging of BILLED (unpaid) jobs, per customer.
+ *
+ * Age is whole days from billedAt to `asOf`. The amount owed is the live
+ * invoice's balance when there is one (so partial payments count),
+ * otherwise actualCost, falling back to estimatedCost.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.asOf] - YYYY-MM-DD, defaults to today
+ * @param {string} [params.customerId] - drill down to one customer
+ * @returns {Promise<{ asOf, buckets, totals, customers: Array }>}
+ */
+async function getArAging({ asOf = toLocalDateOnly(), customerId } = {}) {
+  const match = { status: JOB_STATUS.BILLED };
+  if (customerId) match.customer = new mongoose.Types.ObjectId(String(customerId));
+
+  const jobs = await Job.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'invoices',
+        let: { jobId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$job', '$$jobId'] }, status: INVOICE_STATUS.ISSUED } },
+          { $project: { number: 1, balanceDue: 1, 'totals.total': 1, dueDate: 1 } },
+        ],
+        as: 'invoice',
+      },
+    },
+    { $unwind: { path: '$invoice', preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: 'customers',
+        localField: 'customer',
+        foreignField: '_id',
+        as: 'customerDoc',
+      },
+    },
+    { $unwind: { path: '$customerDoc', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        title: 1,
+        billedAt: 1,
+        actualCost: 1,
+        estimatedCost: 1,
+        customerName: 1,
+        customer: { _id: '$customerDoc._id', name: '$customerDoc.name', email: '$customerDoc.email', phone: '$customerDoc.phone' },
+        invoice: 1,
+      },
+    },
+    { $sort: { billedAt: 1 } },
+  ]);
+
+  const byCustomer = new Map();
+  const totals = { ...emptyBuckets(), total: 0 };
+
+  for (const job of jobs) {
+    let amount = job.actualCost ?? job.estimatedCost ?? 0;
+    if (job.invoice) amount = job.invoice.balanceDue ?? job.invoice.totals?.total ?? amount;
+    amount = roundMoney(amount);
+    if (amount <= 0) continue;
+
+    const billedDay = job.billedAt ? toLocalDateOnly(job.billedAt) : asOf;
+    const daysOutstanding = Math.max(0, countDays(billedDay, asOf) - 1);
+    const bucket = agingBucket(daysOutstanding);
+
+    const key = job.customer?._id ? String(job.customer._id) : `name:${job.customerName || ''}`;
+    if (!byCustomer.has(key)) {
+      byCustomer.set(key, {
+        customerId: job.customer?._id || null,
+        name: job.customer?.name || job.customerName || 'Unknown customer',
+        email: job.customer?.email || null,
+        phone: job.customer?.phone || null,
+        ...emptyBuckets(),
+        total: 0,
+        jobs: [],
+      });
+    }
+
+    const row = byCustomer.get(key);
+    row[bucket] = roundMoney(row[bucket] + amount);
+    row.total = roundMoney(row.total + amount);
+    totals[bucket] = roundMoney(totals[bucket] + amount);
+    totals.total = roundMoney(totals.total + amount);
+    row.jobs.push({
+      jobId: job._id,
+      title: job.title,
+      invoiceNumber: job.invoice?.number || null,
+      billedAt: job.billedAt || null,
+      daysOutstanding,
+      bucket,
+      amount,
+    });
+  }
+
+  const customers = [...byCustomer.values()].sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals,
+    customers,
+  };
+}
+
+// ── Dashboard ───────────────────────────────────────────────────────
+
+// Work not yet done: everything before COMPLETED in the pipeline, plus ON_HOLD
+const OPEN_STATUSES = [...STATUS_ORDER.slice(0, STATUS_ORDER.indexOf(JOB_STATUS.COMPLETED)), JOB_STATUS.ON_HOLD];
+
+function facetCount(result) {
+  return result[0]?.count || 0;
+}
+
+/**
+ * Numbers for the office dashboard, computed in the database instead of
+ * by paging through GET /api/jobs.
+ *
+ * Job counts are as of today; revenue covers the period: invoices issued
+ * (billed) and payments received net of refunds (paid).
+ *
+ * @param {Object} [params]
+ * @param {string} [params.from] - YYYY-MM-DD, defaults to the first of this month
+ * @param {string} [params.to]   - YYYY-MM-DD, defaults to today
+ */
+async function getDashboardStats({ from, to } = {}) {
+  const today = toLocalDateOnly();
+  const periodEnd = to || today;
+  const periodStart = from || `${periodEnd.slice(0, 8)}01`;
+  const week = weekOf(today);
+  const scheduled = { status: { $ne: JOB_STATUS.CANCELLED } };
+
+  const [jobFacets] = await Job.aggregate([
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        today: [{ $match: { ...scheduled, ...scheduleOverlapFilter(today) } }, { $count: 'count' }],
+        thisWeek: [{ $match: { ...scheduled, ...scheduleOverlapFilter(week.start, week.end) } }, { $count: 'count' }],
+        // Last scheduled day is behind us and the work still isn't done
+        overdue: [
+          {
+            $match: {
+              status: { $in: OPEN_STATUSES },
+              $or: [
+                { scheduledEndDate: { $lt: today } },
+                { scheduledEndDate: null, scheduledDate: { $lt: today } },
+              ],
+            },
+          },
+          { $count: 'count' },
+        ],
+        unassignedConfirmed: [
+          { $match: { status: JOB_STATUS.CONFIRMED, assignedTechnician: null } },
+          { $count: 'count' },
+        ],
+      },
+    },
+  ]);
+
+  const byStatus = Object.fromEntries(Object.values(JOB_STATUS).map((status) => [status, 0]));
+  for (const { _id, count } of jobFacets.byStatus) {
+    if (_id in byStatus) byStatus[_id] = count;
+  }
+
+  // Technicians — same availability rules as GET /api/tech-timeouts/available
+  const technicians = await User.find({ role: ROLES.TECHNICIAN, isActive: true }).select('_id').lean();
+  const activeIds = new Set(technicians.map((t) => String(t._id)));
+  const { unavailable, partiallyBooked } = await getUnavailableTechs(today);
+  const busy = unavailable.filter((entry) => activeIds.has(String(entry.technician._id))).length;
+  const partial = partiallyBooked.filter((entry) => activeIds.has(String(entry.technician._id))).length;
+
+  const [billed] = await Invoice.aggregate([
+    { $match: { status: INVOICE_STATUS.ISSUED, issueDate: { $gte: periodStart, $lte: periodEnd } } },
+    { $group: { _id: null, amount: { $sum: '$totals.total' }, count: { $sum: 1 } } },
+  ]);
+
+  const received = await Payment.aggregate([
+    { $match: { status: PAYMENT_STATUS.RECORDED, receivedDate: { $gte: periodStart, $lte: periodEnd } } },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+  ]);
+  const byType = Object.fromEntries(received.map(({ _id, amount, count }) => [_id, { amount, count }]));
+  const payments = byType[PAYMENT_TYPES.PAYMENT] || { amount: 0, count: 0 };
+  const refunds = byType[PAYMENT_TYPES.REFUND] || { amount: 0, count: 0 };
+
+  return {
+    today,
+    week,
+    period: { from: periodStart, to: periodEnd },
+    jobs: {
+      byStatus,
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      scheduledToday: facetCount(jobFacets.today),
+      scheduledThisWeek: facetCount(jobFacets.thisWeek),
+      overdue: facetCount(jobFacets.overdue),
+      unassignedConfirmed: facetCount(jobFacets.unassignedConfirmed),
+    },
+    technicians: {
+      total: technicians.length,
+      busy,
+      partiallyBooked: partial,
+      available: technicians.length - busy,
+    },
+    revenue: {
+      billed: roundMoney(billed?.amount || 0),
+      invoiceCount: billed?.count || 0,
+      paid: roundMoney(payments.amount - refunds.amount),
+      paymentCount: payments.count,
+      refunded: roundMoney(refunds.amount),
+      refundCount: refunds.count,
+    },
+  };
+}
+
+// ── Technician utilization ──────────────────────────────────────────
+
+// Statuses a job keeps once its work is done
+const DONE_STATUSES = STATUS_ORDER.slice(STATUS_ORDER.indexOf(JOB_STATUS.COMPLETED));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Date filter covering local days `from` through `to`
+function dayBoundsFilter(from, to) {
+  return { $gte: new Date(`${from}T00:00:00`), $lt: new Date(`${addDays(to, 1)}T00:00:00`) };
+}
+
+/**
+ * Work phases of a finished job from its statusHistory: the last time it
+ * entered ASSIGNED before work started (so a reassignment restarts the
+ * clock), the first IN_PROGRESS after that, and the final COMPLETED.
+ * Time spent ON_HOLD is included.
+ * @returns {{ assignedToStartHours: number|null, startToCompleteHours: number|null }}
+ */
+function measurePhases(history = []) {
+  const entries = [...history].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  let assignedAt = null;
+  let startedAt = null;
+  let completedAt = null;
+
+  for (const entry of entries) {
+    const at = new Date(entry.changedAt);
+    if (entry.toStatus === JOB_STATUS.ASSIGNED && !startedAt) assignedAt = at;
+    if (entry.toStatus === JOB_STATUS.IN_PROGRESS && !startedAt) startedAt = at;
+    if (entry.toStatus === JOB_STATUS.COMPLETED) completedAt = at;
+  }
+
+  return {
+    assignedToStartHours: assignedAt && startedAt ? (startedAt - assignedAt) / HOUR_MS : null,
+    startToCompleteHours: startedAt && completedAt ? (completedAt - startedAt) / HOUR_MS : null,
+  };
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100;
+}
+
+// Distinct days covered by [start, end] intervals, clipped to [from, to]
+function countCoveredDays(intervals, from, to) {
+  const clipped = intervals
+    .map(({ start, end }) => ({ start: start < from ? from : start, end: end > to ? to : end }))
+    .filter(({ start, end }) => start <= end)
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  let days = 0;
+  let coveredThrough = null;
+  for (const { start, end } of clipped) {
+    if (coveredThrough && end <= coveredThrough) continue;
+    const first = coveredThrough && start <= coveredThrough ? addDays(coveredThrough, 1) : start;
+    days += countDays(first, end);
+    coveredThrough = end;
+  }
+  return days;
+}
+
+/**
+ * Per-technician performance over a date range. Completed jobs, their
+ * revenue and phase durations are credited to the lead technician and
+ * counted by completedAt; reassignments away count history entries where
+ * the technician was the previous lead.
+ *
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to   - YYYY-MM-DD
+ * @param {string} [params.technicianId]
+ */
+async function getTechUtilization({ from, to, technicianId }) {
+  const techId = technicianId ? new mongoose.Types.ObjectId(String(technicianId)) : null;
+  const completedMatch = {
+    status: { $in: DONE_STATUSES },
+    assignedTechnician: techId || { $ne: null },
+    completedAt: dayBoundsFilter(from, to),
+  };
+
+  const completedJobs = await Job.aggregate([
+    { $match: completedMatch },
+    {
+      $project: {
+        assignedTechnician: 1,
+        revenue: { $ifNull: ['$actualCost', { $ifNull: ['$totals.total', 0] }] },
+        'statusHistory.toStatus': 1,
+        'statusHistory.changedAt': 1,
+      },
+    },
+  ]);
+
+  const reassignments = await Job.aggregate([
+    { $match: { 'statusHistory.previousTechnician': techId || { $ne: null } } },
+    { $unwind: '$statusHistory' },
+    {
+      $match: {
+        'statusHistory.previousTechnician': techId || { $ne: null },
+        'statusHistory.changedAt': dayBoundsFilter(from, to),
+      },
+    },
+    { $group: { _id: '$statusHistory.previousTechnician', count: { $sum: 1 } } },
+  ]);
+
+  const timeoutFilter = { startDate: { $lte: to }, endDate: { $gte: from } };
+  if (techId) timeoutFilter.technician = techId;
+  const timeouts = await TechTimeout.find(timeoutFilter).select('technician startDate endDate').lean();
+
+  const techFilter = { role: ROLES.TECHNICIAN };
+  if (techId) techFilter._id = techId;
+  const technicians = await User.find(techFilter).select('name email isActive').sort({ name: 1 }).lean();
+
+  const rows = new Map(technicians.map((tech) => [String(tech._id), {
+    technicianId: tech._id,
+    name: tech.name,
+    email: tech.email,
+    isActive: tech.isActive,
+    jobsCompleted: 0,
+    revenue: 0,
+    assignedToStart: [],
+    startToComplete: [],
+    timeOff: [],
+    reassignedAway: 0,
+  }]));
+
+  for (const job of completedJobs) {
+    const row = rows.get(String(job.assignedTechnician));
+    if (!row) continue;
+    row.jobsCompleted += 1;
+    row.revenue = roundMoney(row.revenue + job.revenue);
+    const { assignedToStartHours, startToCompleteHours } = measurePhases(job.statusHistory);
+    if (assignedToStartHours !== null) row.assignedToStart.push(assignedToStartHours);
+    if (startToCompleteHours !== null) row.startToComplete.push(startToCompleteHours);
+  }
+  for (const { _id, count } of reassignments) {
+    const row = rows.get(String(_id));
+    if (row) row.reassignedAway = count;
+  }
+  for (const timeout of timeouts) {
+    const row = rows.get(String(timeout.technician));
+    if (row) row.timeOff.push({ start: timeout.startDate, end: timeout.endDate });
+  }
+
+  const results = [...rows.values()]
+    .map(({ assignedToStart, startToComplete, timeOff, ...row }) => ({
+      ...row,
+      avgAssignedToStartHours: average(assignedToStart),
+      avgStartToCompleteHours: average(startToComplete),
+      timeOffDays: countCoveredDays(timeOff, from, to),
+    }))
+    // Deactivated technicians only appear when they did something in the range
+    .filter((row) => row.isActive || row.jobsCompleted || row.reassignedAway || row.timeOffDays);
+
+  return {
+    from,
+    to,
+    days: countDays(from, to),
+    technicians: results,
+  };
+}
+
+// ── Job-type profitability ──────────────────────────────────────────
+
+const DAY_MS = 24 * HOUR_MS;
+
+function percent(part, whole) {
+  if (!whole) return null;
+  return Math.round((part / whole) * 10000) / 100;
+}
+
+/**
+ * Estimate vs actual per job type, for jobs completed in [from, to].
+ *
+ * Variance compares only jobs that have both an estimate and an actual
+ * cost; positive means jobs cost more than estimated. Cycle time runs
+ * from job creation to completion. Revenue is actualCost.
+ *
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to   - YYYY-MM-DD
+ */
+async function getJobTypeProfitability({ from, to }) {
+  const isSet = (field) => ({ $ne: [{ $ifNull: [field, null] }, null] });
+  const groups = await Job.aggregate([
+    { $match: { status: { $in: DONE_STATUSES }, completedAt: dayBoundsFilter(from, to) } },
+    {
+      $project: {
+        jobType: { $trim: { input: { $ifNull: ['$jobType', ''] } } },
+        estimatedCost: 1,
+        actualCost: 1,
+        hasEstimate: isSet('$estimatedCost'),
+        hasActual: isSet('$actualCost'),
+        cycleMs: { $subtract: ['$completedAt', '$createdAt'] },
+      },
+    },
+    {
+      $group: {
+        _id: { $toLower: '$jobType' },
+        jobType: { $first: '$jobType' },
+        jobCount: { $sum: 1 },
+        estimatedTotal: { $sum: { $cond: ['$hasEstimate', '$estimatedCost', 0] } },
+        estimatedCount: { $sum: { $cond: ['$hasEstimate', 1, 0] } },
+        actualTotal: { $sum: { $cond: ['$hasActual', '$actualCost', 0] } },
+        actualCount: { $sum: { $cond: ['$hasActual', 1, 0] } },
+        comparedEstimated: { $sum: { $cond: [{ $and: ['$hasEstimate', '$hasActual'] }, '$estimatedCost', 0] } },
+        comparedActual: { $sum: { $cond: [{ $and: ['$hasEstimate', '$hasActual'] }, '$actualCost', 0] } },
+        avgCycleMs: { $avg: '$cycleMs' },
+      },
+    },
+  ]);
+
+  const types = await JobType.find({ normalizedName: { $in: groups.map((g) => g._id) } }).lean();
+  const namesByKey = new Map(types.map((type) => [type.normalizedName, type]));
+  const totalRevenue = groups.reduce((sum, g) => sum + g.actualTotal, 0);
+
+  const jobTypes = groups
+    .map((g) => ({
+      jobTypeId: namesByKey.get(g._id)?._id || null,
+      name: namesByKey.get(g._id)?.name || g.jobType || 'Unspecified',
+      jobCount: g.jobCount,
+      estimatedTotal: roundMoney(g.estimatedTotal),
+      actualTotal: roundMoney(g.actualTotal),
+      avgEstimatedCost: g.estimatedCount ? roundMoney(g.estimatedTotal / g.estimatedCount) : null,
+      avgActualCost: g.actualCount ? roundMoney(g.actualTotal / g.actualCount) : null,
+      variancePercent: percent(g.comparedActual - g.comparedEstimated, g.comparedEstimated),
+      avgCycleDays: g.avgCycleMs === null ? null : Math.round((g.avgCycleMs / DAY_MS) * 100) / 100,
+      revenueSharePercent: percent(g.actualTotal, totalRevenue),
+    }))
+    .sort((a, b) => b.actualTotal - a.actualTotal || a.name.localeCompare(b.name));
+
+  return {
+    from,
+    to,
+    totals: {
+      jobCount: groups.reduce((sum, g) => sum + g.jobCount, 0),
+      revenue: roundMoney(totalRevenue),
+    },
+    jobTypes,
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  getArAging,
+  getDashboardStats,
+  getTechUtilization,
+  getJobTypeProfitability,
+};
@@ -35,6 +35,10 @@ function sanitizeFileName(name = '') {
     .slice(0, 140) || 'document';
 }
 
+function buildInvoiceKey(jobId, invoiceNumber) {
+  return `jobs/${jobId}/invoices/${sanitizeFileName(invoiceNumber)}.pdf`;
+}
+
 function buildDocumentKey(jobId, originalName) {
   const safeName = sanitizeFileName(originalName);
   const stamp = Date.now();
@@ -62,6 +66,23 @@ async function getDownloadUrl({ key, fileName, expiresIn = 900 }) {
   return getSignedUrl(s3, command, { expiresIn });
 }
 
+// Server-side upload (generated files such as invoice PDFs)
+async function putObject({ key, body, contentType }) {
+  ensureS3Config();
+  return s3.send(new PutObjectCommand({
+    Bucket: BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: contentType || 'application/octet-stream',
+  }));
+}
+
+async function getObjectBuffer(key) {
+  ensureS3Config();
+  const response = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+  return Buffer.from(await response.Body.transformToByteArray());
+}
+
 async function headObject(key) {
   ensureS3Config();
   return s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }));
@@ -74,8 +95,11 @@ async function deleteObject(key) {
 
 module.exports = {
   buildDocumentKey,
+  buildInvoiceKey,
   getUploadUrl,
   getDownloadUrl,
+  putObject,
+  getObjectBuffer,
   headObject,
   deleteObject,
 };
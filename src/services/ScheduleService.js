@@ -0,0 +1,139 @@
+/**
+ * ScheduleService — the dispatch board: technicians × days.
+ *
+ * One response carries everything the board draws for a date range:
+ * each technician's jobs and time-off per day, the unassigned CONFIRMED
+ * jobs waiting on each day, and the CONFIRMED jobs that have no date yet.
+ * Multi-day jobs appear on every day they span. Moves go through
+ * JobService.moveJob so the usual availability checks apply.
+ */
+
+const Job = require('../models/Job');
+const User = require('../models/User');
+const TechTimeout = require('../models/TechTimeout');
+const { ROLES, JOB_STATUS } = require('../config/constants');
+const { getJobDateRange, scheduleOverlapFilter, listDays } = require('../utils/dateRange');
+const { getJobSlot, describeSlot } = require('../utils/timeSlot');
+const { getCrewIds } = require('../utils/crew');
+
+const MAX_BOARD_DAYS = 42;
+
+const BOARD_JOB_FIELDS = [
+  'title', 'status', 'jobType', 'address', 'customerName', 'companyName', 'customer',
+  'scheduledDate', 'scheduledEndDate', 'scheduledStartTime', 'scheduledEndTime', 'estimatedDuration',
+  'assignedTechnician', 'crewMembers', 'estimatedCost', 'updatedAt',
+].join(' ');
+
+function summarizeJob(job) {
+  const range = getJobDateRange(job);
+  const slot = getJobSlot(job);
+  return {
+    _id: job._id,
+    title: job.title,
+    status: job.status,
+    jobType: job.jobType || null,
+    customerName: job.customer?.name || job.customerName || null,
+    companyName: job.companyName || null,
+    address: job.address || job.customer?.address || null,
+    scheduledDate: range?.start || null,
+    scheduledEndDate: range?.end || null,
+    scheduledStartTime: job.scheduledStartTime || null,
+    scheduledEndTime: job.scheduledEndTime || null,
+    slot: describeSlot(slot),
+    allDay: slot.allDay,
+    assignedTechnician: job.assignedTechnician || null,
+    crewMembers: job.crewMembers || [],
+    updatedAt: job.updatedAt,
+  };
+}
+
+// The days of [from, to] a span covers
+function daysCovered(start, end, from, to) {
+  return listDays(start < from ? from : start, end > to ? to : end);
+}
+
+function emptyDays(days) {
+  return Object.fromEntries(days.map((day) => [day, []]));
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to   - YYYY-MM-DD, at most MAX_BOARD_DAYS after from
+ * @param {string[]} [params.technicianIds] - limit the rows shown
+ */
+async function getScheduleBoard({ from, to, technicianIds }) {
+  const days = listDays(from, to);
+
+  const techFilter = { role: ROLES.TECHNICIAN, isActive: true };
+  if (technicianIds?.length) techFilter._id = { $in: technicianIds };
+  const technicians = await User.find(techFilter).select('name email').sort({ name: 1 }).lean();
+
+  const [jobs, timeouts, unscheduled] = await Promise.all([
+    Job.find({ ...scheduleOverlapFilter(from, to), status: { $ne: JOB_STATUS.CANCELLED } })
+      .select(BOARD_JOB_FIELDS)
+      .populate('customer', 'name address')
+      .populate('assignedTechnician', 'name')
+      .populate('crewMembers', 'name')
+      .sort({ scheduledDate: 1, scheduledStartTime: 1, _id: 1 })
+      .lean(),
+    TechTimeout.find({
+      technician: { $in: technicians.map((t) => t._id) },
+      startDate: { $lte: to },
+      endDate: { $gte: from },
+    }).lean(),
+    Job.find({ status: JOB_STATUS.CONFIRMED, assignedTechnician: null, scheduledDate: null })
+      .select(BOARD_JOB_FIELDS)
+      .populate('customer', 'name address')
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(200)
+      .lean(),
+  ]);
+
+  const rows = new Map(technicians.map((tech) => [String(tech._id), {
+    technician: tech,
+    days: Object.fromEntries(days.map((day) => [day, { jobs: [], timeOff: [] }])),
+  }]));
+  const unassigned = emptyDays(days);
+
+  for (const job of jobs) {
+    const range = getJobDateRange(job);
+    const covered = daysCovered(range.start, range.end, from, to);
+    const summary = summarizeJob(job);
+    const crewIds = getCrewIds(job);
+
+    if (crewIds.length === 0) {
+      if (job.status === JOB_STATUS.CONFIRMED) covered.forEach((day) => unassigned[day].push(summary));
+      continue;
+    }
+
+    const leadId = crewIds[0];
+    for (const id of crewIds) {
+      const row = rows.get(id);
+      if (!row) continue;
+      const entry = { ...summary, role: id === leadId ? 'LEAD' : 'CREW' };
+      covered.forEach((day) => row.days[day].jobs.push(entry));
+    }
+  }
+
+  for (const timeout of timeouts) {
+    const row = rows.get(String(timeout.technician));
+    if (!row) continue;
+    const entry = { _id: timeout._id, startDate: timeout.startDate, endDate: timeout.endDate, reason: timeout.reason || null };
+    daysCovered(timeout.startDate, timeout.endDate, from, to).forEach((day) => row.days[day].timeOff.push(entry));
+  }
+
+  return {
+    from,
+    to,
+    days,
+    technicians: [...rows.values()],
+    unassigned,
+    unscheduled: unscheduled.map(summarizeJob),
+  };
+}
+
+module.exports = {
+  MAX_BOARD_DAYS,
+  getScheduleBoard,
+};
@@ -0,0 +1,171 @@
+/**
+ * SkillService — technician skills / certifications and the job types
+ * that require them.
+ *
+ * A job type lists the skills its lead technician must hold
+ * (JobType.requiredSkills). A technician holds a skill when User.skills has
+ * an entry of the same name (case-insensitive) that is still valid on the
+ * job's last day — certifications are valid through their expiresOn day,
+ * plain skills never expire. JobService enforces this on assign / reassign.
+ */
+
+const User = require('../models/User');
+const JobType = require('../models/JobType');
+const { ROLES, CERT_EXPIRY_WARNING_DAYS } = require('../config/constants');
+const { toLocalDateOnly } = require('../utils/dateOnly');
+const { addDays, countDays, getJobDateRange } = require('../utils/dateRange');
+
+function normalizeSkillName(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+function skillKey(value) {
+  return normalizeSkillName(value).toLowerCase();
+}
+
+/**
+ * The first name listed twice (case-insensitive), or null.
+ */
+function findDuplicateSkill(names) {
+  const seen = new Set();
+  for (const name of names) {
+    const key = skillKey(name);
+    if (seen.has(key)) return normalizeSkillName(name);
+    seen.add(key);
+  }
+  return null;
+}
+
+// ── public API ───────────────────────────────────────────────────────
+
+/**
+ * Required skills of a job type, by name ([] for none / unknown types).
+ */
+async function getRequiredSkills(jobType) {
+  const normalizedName = JobType.toNormalizedName(jobType);
+  if (!normalizedName) return [];
+
+  const type = await JobType.findOne({ normalizedName }).select('requiredSkills').lean();
+  return type?.requiredSkills || [];
+}
+
+/**
+ * The day a lead's certifications must still be valid on: the job's last
+ * day, or today for undated (or past) jobs.
+ */
+function skillCheckDay(job) {
+  const today = toLocalDateOnly();
+  const range = getJobDateRange(job);
+  return range && range.end > today ? range.end : today;
+}
+
+/**
+ * The required skills `tech` does not hold on `onDay`, as display strings
+ * ("Gas Safe (expired 2026-09-30)"). Empty when fully qualified.
+ * Pure function — no DB calls.
+ */
+function findMissingSkills(tech, requiredSkills, onDay = toLocalDateOnly()) {
+  const held = new Map((tech.skills || []).map((skill) => [skillKey(skill.name), skill]));
+  const today = toLocalDateOnly();
+
+  const missing = [];
+  for (const required of requiredSkills) {
+    const skill = held.get(skillKey(required));
+    if (!skill) {
+      missing.push(required);
+    } else if (skill.expiresOn && skill.expiresOn < onDay) {
+      missing.push(`${required} (${skill.expiresOn < today ? 'expired' : 'expires'} ${skill.expiresOn})`);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Replace a technician's skills / certifications.
+ * @param {Object[]} skills - [{ name, expiresOn?, reference? }]
+ */
+async function setTechnicianSkills(userId, skills) {
+  const cleaned = skills.map(({ name, expiresOn, reference }) => ({
+    name: normalizeSkillName(name),
+    expiresOn: expiresOn || undefined,
+    reference: typeof reference === 'string' && reference.trim() ? reference.trim() : undefined,
+  }));
+  const duplicate = findDuplicateSkill(cleaned.map((skill) => skill.name));
+  if (duplicate) return { error: `Skill "${duplicate}" is listed more than once`, status: 400 };
+
+  const user = await User.findById(userId);
+  if (!user) return { error: 'User not found', status: 404 };
+  if (user.role !== ROLES.TECHNICIAN) {
+    return { error: 'Skills can only be recorded for technicians', status: 400 };
+  }
+
+  user.skills = cleaned;
+  await user.save();
+  return { data: user };
+}
+
+/**
+ * Replace the skills a job type's lead technician must hold.
+ */
+async function setRequiredSkills(jobTypeId, names) {
+  const cleaned = names.map(normalizeSkillName);
+  const duplicate = findDuplicateSkill(cleaned);
+  if (duplicate) return { error: `Skill "${duplicate}" is listed more than once`, status: 400 };
+
+  const type = await JobType.findByIdAndUpdate(
+    jobTypeId,
+    { $set: { requiredSkills: cleaned } },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!type) return { error: 'Job type not found', status: 404 };
+  return { data: type };
+}
+
+/**
+ * Certifications of active technicians that expire within `days` — or
+ * have already expired — soonest first. Each entry names the job types that
+ * require the skill, i.e. the work the technician will be blocked from.
+ */
+async function listExpiringCertifications({ days = CERT_EXPIRY_WARNING_DAYS } = {}) {
+  const today = toLocalDateOnly();
+  const until = addDays(today, days);
+
+  const [technicians, jobTypes] = await Promise.all([
+    User.find({ role: ROLES.TECHNICIAN, isActive: true, 'skills.expiresOn': { $lte: until } })
+      .select('name email skills')
+      .lean(),
+    JobType.find({ 'requiredSkills.0': { $exists: true } }).select('name requiredSkills').lean(),
+  ]);
+
+  const certifications = [];
+  for (const tech of technicians) {
+    for (const skill of tech.skills) {
+      if (!skill.expiresOn || skill.expiresOn > until) continue;
+      const key = skillKey(skill.name);
+      certifications.push({
+        technician: { _id: tech._id, name: tech.name, email: tech.email },
+        skill: skill.name,
+        reference: skill.reference || null,
+        expiresOn: skill.expiresOn,
+        daysLeft: countDays(today, skill.expiresOn) - 1,
+        expired: skill.expiresOn < today,
+        requiredBy: jobTypes
+          .filter((type) => type.requiredSkills.some((name) => skillKey(name) === key))
+          .map((type) => type.name),
+      });
+    }
+  }
+  certifications.sort((a, b) => a.expiresOn.localeCompare(b.expiresOn)
+    || a.technician.name.localeCompare(b.technician.name));
+
+  return { asOf: today, until, days, certifications };
+}
+
+module.exports = {
+  getRequiredSkills,
+  skillCheckDay,
+  findMissingSkills,
+  setTechnicianSkills,
+  setRequiredSkills,
+  listExpiringCertifications,
+};
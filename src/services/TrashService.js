@@ -0,0 +1,98 @@
+/**
+ * TrashService — permanent removal of soft-deleted jobs.
+ *
+ * DELETE /api/jobs/:id only moves a job to the trash (deletedAt/deletedBy).
+ * Trashed jobs are purged here, either on demand by an admin or once they
+ * have been in the trash longer than TRASH_RETENTION_DAYS (default 30).
+ * Purging also removes the job's documents from S3 and its quotes.
+ * Jobs with invoices or payments are never purged — those are financial
+ * records (and their PDFs in S3) that must be kept; such jobs stay in the
+ * trash until restored.
+ */
+
+const Job = require('../models/Job');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Quote = require('../models/Quote');
+const { deleteObject } = require('./S3Service');
+
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000; // every 6 hours
+
+function getRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+/**
+ * Permanently delete one trashed job, its S3 documents and its quotes.
+ * If any document cannot be removed the job is kept so the next run retries,
+ * rather than orphaning the object in S3.
+ * @returns {Promise<{ data: { purged: boolean } } | { error, status }>}
+ */
+async function purgeJob(job) {
+  const [hasInvoice, hasPayment] = await Promise.all([
+    Invoice.exists({ job: job._id }),
+    Payment.exists({ job: job._id }),
+  ]);
+  if (hasInvoice || hasPayment) {
+    return {
+      error: 'The job has invoices or payments, which are kept as financial records — it cannot be purged. Restore it instead.',
+      status: 409,
+    };
+  }
+
+  const results = await Promise.allSettled((job.documents || []).map((doc) => deleteObject(doc.key)));
+  const failed = results.filter((r) => r.status === 'rejected');
+  if (failed.length) {
+    console.error(`Purge of job ${job._id} postponed: ${failed.length} document(s) could not be deleted from S3:`,
+      failed[0].reason?.message);
+    return {
+      error: 'Could not delete the job documents from storage. The job was kept in the trash; try again later.',
+      status: 502,
+    };
+  }
+
+  const { deletedCount } = await Job.deleteOne({ _id: job._id, deletedAt: { $ne: null } });
+  if (deletedCount === 1) await Quote.deleteMany({ job: job._id });
+  return { data: { purged: deletedCount === 1 } };
+}
+
+/**
+ * Purge every job that has been in the trash longer than the retention period.
+ * Jobs with invoices or payments are skipped (see purgeJob).
+ * @returns {Promise<number>} number of jobs purged
+ */
+async function purgeExpiredJobs() {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const expired = await Job.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('_id documents.key')
+    .lean();
+
+  let purged = 0;
+  for (const job of expired) {
+    const result = await purgeJob(job);
+    if (result.data?.purged) purged += 1;
+  }
+  return purged;
+}
+
+function startTrashPurgeSchedule() {
+  const run = () => purgeExpiredJobs()
+    .then((count) => {
+      if (count > 0) console.log(`Purged ${count} job(s) from the trash`);
+    })
+    .catch((error) => console.error('Trash purge failed:', error.message));
+
+  // First run shortly after boot (the DB connection may still be opening)
+  setTimeout(run, 60 * 1000).unref();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  getRetentionDays,
+  purgeJob,
+  purgeExpiredJobs,
+  startTrashPurgeSchedule,
+};
@@ -0,0 +1,193 @@
+/**
+ * WorkflowService — resolves and validates job workflows.
+ *
+ * A workflow is the set of statuses a job moves through, the allowed
+ * transitions between them, which roles may perform each transition and
+ * which fields must be present first. Workflows are stored per job type;
+ * job types without one use the stored default, and if none is stored the
+ * built-in workflow from config/constants applies.
+ */
+
+const Workflow = require('../models/Workflow');
+const JobType = require('../models/JobType');
+const {
+  ROLES,
+  JOB_STATUS,
+  STATUS_TRANSITIONS,
+  STATUS_ORDER,
+  OFF_PIPELINE_STATUSES,
+  WORKFLOW_REQUIRED_FIELDS,
+  TRANSITION_REQUIRED_FIELDS,
+} = require('../config/constants');
+
+const BUILT_IN_WORKFLOW = Object.freeze({
+  name: 'Standard',
+  jobType: null,
+  builtIn: true,
+  statuses: [...STATUS_ORDER, ...OFF_PIPELINE_STATUSES],
+  initialStatus: JOB_STATUS.TENTATIVE,
+  transitions: Object.entries(STATUS_TRANSITIONS).flatMap(([from, targets]) =>
+    Object.entries(targets).map(([to, roles]) => ({
+      from,
+      to,
+      roles: [...roles],
+      requiredFields: [...(TRANSITION_REQUIRED_FIELDS[from]?.[to] || [])],
+    }))
+  ),
+});
+
+// Workflows are keyed by JobType.normalizedName
+function normalizeJobTypeKey(jobType) {
+  return JobType.toNormalizedName(jobType);
+}
+
+/**
+ * Resolve the workflow that governs jobs of the given type.
+ * Returns a plain object: { name, jobType, statuses, initialStatus, transitions }.
+ */
+async function getWorkflowForJobType(jobType) {
+  const key = normalizeJobTypeKey(jobType);
+  if (key) {
+    const specific = await Workflow.findOne({ jobType: key }).lean();
+    if (specific) return specific;
+  }
+
+  const stored = await Workflow.findOne({ jobType: null }).lean();
+  return stored || BUILT_IN_WORKFLOW;
+}
+
+function findTransition(workflow, from, to) {
+  return (workflow.transitions || []).find((t) => t.from === from && t.to === to) || null;
+}
+
+function getNextStatuses(workflow, from) {
+  return (workflow.transitions || []).filter((t) => t.from === from).map((t) => t.to);
+}
+
+/**
+ * Required fields of a transition that are not satisfied.
+ * @param {Object} transition - workflow transition
+ * @param {Object} job - job document (current state)
+ * @param {Object} input - request input, e.g. { notes }
+ * @returns {string[]} missing field names
+ */
+function getMissingRequiredFields(transition, job, input = {}) {
+  return (transition.requiredFields || []).filter((field) => {
+    switch (field) {
+      case 'notes':
+        return !input.notes || !String(input.notes).trim();
+      case 'reason':
+        return !input.reason || !String(input.reason).trim();
+      case 'scheduledDate':
+        return !job.scheduledDate;
+      case 'actualCost':
+        return job.actualCost === undefined || job.actualCost === null;
+      case 'documents':
+        return !job.documents || job.documents.length === 0;
+      case 'acceptedQuote':
+        return !job.acceptedQuote?.quote && !input.acceptedQuote;
+      default:
+        return false;
+    }
+  });
+}
+
+function reachableFrom(start, transitions) {
+  const seen = new Set([start]);
+  const queue = [start];
+  while (queue.length) {
+    const current = queue.shift();
+    transitions
+      .filter((t) => t.from === current && !seen.has(t.to))
+      .forEach((t) => {
+        seen.add(t.to);
+        queue.push(t.to);
+      });
+  }
+  return seen;
+}
+
+/**
+ * Check that a workflow definition is well-formed.
+ * Pure function — no DB calls.
+ * @returns {string[]} list of problems (empty when valid)
+ */
+function validateWorkflowDefinition(def) {
+  const errors = [];
+  const knownStatuses = Object.values(JOB_STATUS);
+  const knownRoles = Object.values(ROLES);
+
+  if (!def || typeof def !== 'object') return ['Workflow definition is required'];
+  if (!def.name || !String(def.name).trim()) errors.push('name is required');
+
+  const statuses = Array.isArray(def.statuses) ? def.statuses : [];
+  if (statuses.length === 0) errors.push('statuses must be a non-empty array');
+
+  const unknownStatuses = statuses.filter((s) => !knownStatuses.includes(s));
+  if (unknownStatuses.length) {
+    errors.push(`Unknown statuses: ${unknownStatuses.join(', ')}. Valid: ${knownStatuses.join(', ')}`);
+  }
+  const duplicates = statuses.filter((s, i) => statuses.indexOf(s) !== i);
+  if (duplicates.length) errors.push(`Duplicate statuses: ${[...new Set(duplicates)].join(', ')}`);
+
+  if (!statuses.includes(def.initialStatus)) {
+    errors.push('initialStatus must be one of the workflow statuses');
+  }
+
+  const transitions = Array.isArray(def.transitions) ? def.transitions : [];
+  const seenPairs = new Set();
+  transitions.forEach((t, i) => {
+    const label = `transitions[${i}] (${t?.from} → ${t?.to})`;
+    if (!t || !statuses.includes(t.from) || !statuses.includes(t.to)) {
+      errors.push(`${label}: from and to must be workflow statuses`);
+      return;
+    }
+    if (t.from === t.to) errors.push(`${label}: from and to must differ`);
+
+    const pair = `${t.from}:${t.to}`;
+    if (seenPairs.has(pair)) errors.push(`${label}: duplicate transition`);
+    seenPairs.add(pair);
+
+    const roles = Array.isArray(t.roles) ? t.roles : [];
+    if (roles.length === 0) errors.push(`${label}: at least one role is required`);
+    const badRoles = roles.filter((r) => !knownRoles.includes(r));
+    if (badRoles.length) errors.push(`${label}: unknown roles ${badRoles.join(', ')}`);
+
+    const fields = Array.isArray(t.requiredFields) ? t.requiredFields : [];
+    const badFields = fields.filter((f) => !WORKFLOW_REQUIRED_FIELDS.includes(f));
+    if (badFields.length) {
+      errors.push(`${label}: unknown required fields ${badFields.join(', ')}. Valid: ${WORKFLOW_REQUIRED_FIELDS.join(', ')}`);
+    }
+  });
+
+  if (errors.length) return errors;
+
+  // Graph checks: every status reachable, and every status can finish
+  const reachable = reachableFrom(def.initialStatus, transitions);
+  const unreachable = statuses.filter((s) => !reachable.has(s));
+  if (unreachable.length) {
+    errors.push(`Statuses unreachable from ${def.initialStatus}: ${unreachable.join(', ')}`);
+  }
+
+  const terminal = statuses.filter((s) => !transitions.some((t) => t.from === s));
+  if (terminal.length === 0) {
+    errors.push('Workflow needs at least one terminal status (a status with no outgoing transitions)');
+  } else {
+    const stuck = statuses.filter((s) => !terminal.some((end) => reachableFrom(s, transitions).has(end)));
+    if (stuck.length) {
+      errors.push(`Statuses that can never reach a terminal status: ${stuck.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  BUILT_IN_WORKFLOW,
+  normalizeJobTypeKey,
+  getWorkflowForJobType,
+  findTransition,
+  getNextStatuses,
+  getMissingRequiredFields,
+  validateWorkflowDefinition,
+};
@@ -0,0 +1,28 @@
+/**
+ * Checklist input shared by job templates and jobs. A step is sent either
+ * as a label string or as { label }.
+ */
+
+const CHECKLIST_LABEL_MAX_LENGTH = 200;
+
+function getChecklistLabel(item) {
+  return typeof item === 'string' ? item : item?.label;
+}
+
+/**
+ * express-validator custom check for one checklist step.
+ */
+function validateChecklistItem(item) {
+  const label = getChecklistLabel(item);
+  if (typeof label !== 'string' || !label.trim()) throw new Error('Each checklist item needs a label');
+  if (label.trim().length > CHECKLIST_LABEL_MAX_LENGTH) {
+    throw new Error(`Checklist labels are limited to ${CHECKLIST_LABEL_MAX_LENGTH} characters`);
+  }
+  return true;
+}
+
+module.exports = {
+  CHECKLIST_LABEL_MAX_LENGTH,
+  getChecklistLabel,
+  validateChecklistItem,
+};
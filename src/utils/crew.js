@@ -0,0 +1,42 @@
+/**
+ * Job crew helpers.
+ *
+ * A job's crew is its lead technician (assignedTechnician) plus any helpers
+ * in crewMembers. Every crew member can see the job, change its status and
+ * receives its notifications.
+ */
+
+function toId(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+/**
+ * Ids of everyone on the job's crew, lead first, as strings.
+ * Works with populated and unpopulated jobs.
+ */
+function getCrewIds(job) {
+  if (!job) return [];
+  const ids = [toId(job.assignedTechnician), ...(job.crewMembers || []).map(toId)].filter(Boolean);
+  return [...new Set(ids)];
+}
+
+function isOnCrew(job, userId) {
+  return Boolean(userId) && getCrewIds(job).includes(userId.toString());
+}
+
+/**
+ * Mongo filter matching jobs where the user (or any of the users) is on the crew.
+ * @param {string|ObjectId|Array} userIds
+ */
+function crewFilter(userIds) {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  const match = ids.length === 1 ? ids[0] : { $in: ids };
+  return { $or: [{ assignedTechnician: match }, { crewMembers: match }] };
+}
+
+module.exports = {
+  getCrewIds,
+  isOnCrew,
+  crewFilter,
+};
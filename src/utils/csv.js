@@ -0,0 +1,107 @@
+/**
+ * Minimal CSV reader / writer for imports and report exports.
+ *
+ * Columns are { label, value } where value is a key of the row or a
+ * function(row). Cells are quoted when needed (RFC 4180), and text that a
+ * spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function cellValue(row, column) {
+  return typeof column.value === 'function' ? column.value(row) : row[column.value];
+}
+
+/**
+ * One CSV line (with its CRLF) — the header row when `row` is omitted.
+ * Used directly when streaming rows.
+ */
+function toCsvLine(columns, row) {
+  const cells = row === undefined
+    ? columns.map((c) => escapeCell(c.label))
+    : columns.map((c) => escapeCell(cellValue(row, c)));
+  return `${cells.join(',')}\r\n`;
+}
+
+/**
+ * @param {Array<{ label: string, value: string|Function }>} columns
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+  return [toCsvLine(columns), ...rows.map((row) => toCsvLine(columns, row))].join('');
+}
+
+/**
+ * Send rows as a CSV download.
+ */
+function sendCsv(res, filename, columns, rows) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(columns, rows));
+}
+
+/**
+ * Parse RFC 4180 CSV text (quoted cells, "" escapes, CRLF or LF line
+ * endings, optional UTF-8 BOM). Blank lines are skipped; each record
+ * keeps its 1-based line number for error reporting.
+ * @returns {{ records: Array<{ line: number, cells: string[] }> } | { error: string }}
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') records.push({ line: recordLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line += 1;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) return { error: `Unterminated quoted cell starting on line ${recordLine}` };
+  if (cell !== '' || cells.length) endRecord();
+
+  return { records };
+}
+
+module.exports = { escapeCell, cellValue, toCsvLine, toCsv, sendCsv, parseCsv };
@@ -25,6 +25,20 @@ function isDateOnly(value) {
   return DATE_ONLY_RE.test(String(value || ''));
 }
 
+/**
+ * express-validator check for a job's scheduledDate: YYYY-MM-DD, today or later.
+ */
+function validateScheduledDate(value) {
+  const normalized = normalizeDateOnly(value);
+  if (!isDateOnly(normalized)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+  if (normalized < toLocalDateOnly()) {
+    throw new Error('Scheduled date cannot be in the past');
+  }
+  return true;
+}
+
 function formatDateOnly(dateOnly, options = { month: 'short', day: 'numeric', year: 'numeric' }) {
   const normalized = normalizeDateOnly(dateOnly);
   if (!normalized) return '';
@@ -38,5 +52,6 @@ module.exports = {
   normalizeDateOnly,
   isDateOnly,
   toLocalDateOnly,
+  validateScheduledDate,
   formatDateOnly,
 };
@@ -0,0 +1,75 @@
+/**
+ * Date-only ranges for multi-day jobs.
+ *
+ * A job runs from scheduledDate through scheduledEndDate (inclusive). Jobs
+ * without an end date are single-day. YYYY-MM-DD strings compare correctly
+ * as plain strings, so ranges are filtered without converting to Date.
+ */
+
+const { normalizeDateOnly } = require('./dateOnly');
+
+/**
+ * Inclusive { start, end } of a job's schedule, or null when it has no date.
+ */
+function getJobDateRange({ scheduledDate, scheduledEndDate } = {}) {
+  const start = normalizeDateOnly(scheduledDate);
+  if (!start) return null;
+  const end = normalizeDateOnly(scheduledEndDate);
+  return { start, end: end && end > start ? end : start };
+}
+
+/**
+ * Mongo filter for jobs whose span overlaps [from, to] (inclusive).
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUndated=false] - also match jobs with no scheduledDate
+ */
+function scheduleOverlapFilter(from, to = from, { includeUndated = false } = {}) {
+  const overlap = {
+    scheduledDate: { $lte: to },
+    $or: [
+      { scheduledEndDate: { $gte: from } },
+      { scheduledEndDate: null, scheduledDate: { $gte: from } },
+    ],
+  };
+  return includeUndated ? { $or: [overlap, { scheduledDate: null }] } : overlap;
+}
+
+function addDays(day, count) {
+  const [year, month, date] = day.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, date + count));
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Every YYYY-MM-DD from `from` through `to`, inclusive.
+ */
+function listDays(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+}
+
+function countDays(from, to) {
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000) + 1;
+}
+
+/**
+ * Monday–Sunday week containing `day`, as { start, end }.
+ */
+function weekOf(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+  const start = addDays(day, -((weekday + 6) % 7));
+  return { start, end: addDays(start, 6) };
+}
+
+module.exports = {
+  getJobDateRange,
+  scheduleOverlapFilter,
+  addDays,
+  listDays,
+  countDays,
+  weekOf,
+};
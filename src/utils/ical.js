@@ -0,0 +1,125 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for the calendar feeds.
+ *
+ * Job times are local business time without a zone, so timed events are
+ * written as floating times (no Z / TZID) and show at the same clock time
+ * in every calendar. Whole-day events use VALUE=DATE with an exclusive
+ * DTEND, as the RFC requires.
+ */
+
+const { addDays, countDays } = require('./dateRange');
+const { formatTime } = require('./timeSlot');
+
+const PRODUCT_ID = '-//Hosanna Electric//Field Service//EN';
+const UID_DOMAIN = 'hosanna-backend';
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// YYYY-MM-DD → YYYYMMDD
+function formatDate(day) {
+  return day.replace(/-/g, '');
+}
+
+// YYYY-MM-DD + minutes since midnight → floating YYYYMMDDTHHMMSS
+function formatLocalDateTime(day, minutes) {
+  if (minutes >= 24 * 60) return `${formatDate(addDays(day, 1))}T000000`;
+  return `${formatDate(day)}T${formatTime(minutes).replace(':', '')}00`;
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {Object} event
+ * @param {string} event.uid
+ * @param {string} event.summary
+ * @param {string} event.startDate - YYYY-MM-DD
+ * @param {string} [event.endDate] - YYYY-MM-DD, inclusive
+ * @param {{ start: number, end: number, allDay: boolean }} [event.slot] - daily time window
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.status] - TENTATIVE | CONFIRMED | CANCELLED
+ * @param {Date}   [event.updatedAt]
+ * @returns {string[]} content lines
+ */
+function buildEvent({ uid, summary, startDate, endDate = startDate, slot, description, location, status, updatedAt }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(updatedAt || new Date())}`,
+  ];
+
+  if (!slot || slot.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(endDate, 1))}`);
+  } else {
+    // Same window on every day of a multi-day job
+    lines.push(`DTSTART:${formatLocalDateTime(startDate, slot.start)}`);
+    lines.push(`DTEND:${formatLocalDateTime(startDate, slot.end)}`);
+    const days = countDays(startDate, endDate);
+    if (days > 1) lines.push(`RRULE:FREQ=DAILY;COUNT=${days}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (status) lines.push(`STATUS:${status}`);
+  if (updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(updatedAt)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap events (arrays of content lines from buildEvent) in a VCALENDAR.
+ * @returns {string}
+ */
+function buildCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+};
@@ -0,0 +1,127 @@
+/**
+ * Render an invoice to a PDF buffer with pdfkit.
+ * Layout: company header, bill-to + invoice meta, line item table, totals, terms.
+ */
+
+const PDFDocument = require('pdfkit');
+const { INVOICE_STATUS, LINE_ITEM_TYPES } = require('../config/constants');
+const { formatDateOnly } = require('./dateOnly');
+
+const BRAND_COLOR = '#C41E2A';
+const MUTED_COLOR = '#6b7280';
+const TEXT_COLOR = '#1a1a1a';
+
+// Column x-positions / widths of the line item table (letter page, 50pt margins)
+const COLUMNS = {
+  description: { x: 50, width: 250 },
+  quantity: { x: 300, width: 60 },
+  unitPrice: { x: 360, width: 90 },
+  amount: { x: 450, width: 95 },
+};
+
+function money(value) {
+  const amount = Number(value || 0);
+  const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${amount < 0 ? '-' : ''}$${formatted}`;
+}
+
+function drawRow(doc, y, cells, options = {}) {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.size || 10).fillColor(options.color || TEXT_COLOR);
+  doc.text(cells.description, COLUMNS.description.x, y, { width: COLUMNS.description.width });
+  doc.text(cells.quantity, COLUMNS.quantity.x, y, { width: COLUMNS.quantity.width, align: 'right' });
+  doc.text(cells.unitPrice, COLUMNS.unitPrice.x, y, { width: COLUMNS.unitPrice.width, align: 'right' });
+  doc.text(cells.amount, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+  return Math.max(doc.y, y + 14);
+}
+
+function drawTotal(doc, y, label, value, options = {}) {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(options.size || 10);
+  doc.fillColor(options.bold ? TEXT_COLOR : MUTED_COLOR).text(label, COLUMNS.unitPrice.x - 60, y, { width: 150, align: 'right' });
+  doc.fillColor(options.color || TEXT_COLOR).text(value, COLUMNS.amount.x, y, { width: COLUMNS.amount.width, align: 'right' });
+  return y + (options.size || 10) + 8;
+}
+
+/**
+ * @param {Object} invoice - Invoice document or plain object
+ * @returns {Promise<Buffer>}
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Invoice ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(BRAND_COLOR).text('Hosanna Electric', 50, 50);
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text('Field Service Management', 50, 76);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(TEXT_COLOR).text('INVOICE', 350, 50, { width: 195, align: 'right' });
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(invoice.number, 350, 76, { width: 195, align: 'right' });
+    if (invoice.status === INVOICE_STATUS.VOID) {
+      doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND_COLOR).text('VOID', 350, 92, { width: 195, align: 'right' });
+    }
+
+    // Bill to
+    const billTo = invoice.billTo || {};
+    let y = 130;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text('BILL TO', 50, y);
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+    [billTo.name, billTo.companyName, billTo.address, billTo.phone, billTo.email]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line, 50, doc.y + 2, { width: 250 }));
+
+    // Invoice meta
+    const meta = [
+      ['Issue date', formatDateOnly(invoice.issueDate)],
+      ['Due date', formatDateOnly(invoice.dueDate)],
+      ['Terms', invoice.terms || ''],
+      ['Job', invoice.jobTitle || ''],
+    ];
+    meta.forEach(([label, value], index) => {
+      const rowY = y + index * 16;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text(label, 330, rowY, { width: 80 });
+      doc.font('Helvetica').fillColor(TEXT_COLOR).text(value, 410, rowY, { width: 135, align: 'right' });
+    });
+
+    // Line items
+    y = Math.max(doc.y, y + meta.length * 16) + 30;
+    y = drawRow(doc, y, { description: 'Description', quantity: 'Qty / Hrs', unitPrice: 'Rate', amount: 'Amount' }, { bold: true, color: MUTED_COLOR });
+    doc.moveTo(50, y + 2).lineTo(545, y + 2).strokeColor('#e5e7eb').stroke();
+    y += 8;
+
+    for (const item of invoice.lineItems || []) {
+      if (y > 680) {
+        doc.addPage();
+        y = 50;
+      }
+      y = drawRow(doc, y, {
+        description: item.description,
+        quantity: String(item.quantity),
+        unitPrice: money(item.type === LINE_ITEM_TYPES.DISCOUNT ? -item.unitPrice : item.unitPrice),
+        amount: money(item.amount),
+      });
+      y += 4;
+    }
+
+    // Totals
+    const totals = invoice.totals || {};
+    doc.moveTo(330, y + 4).lineTo(545, y + 4).strokeColor('#e5e7eb').stroke();
+    y += 14;
+    y = drawTotal(doc, y, 'Subtotal', money(totals.subtotal));
+    y = drawTotal(doc, y, `Tax (${invoice.taxRate || 0}%)`, money(totals.tax));
+    y = drawTotal(doc, y, 'Total due', money(totals.total), { bold: true, size: 13, color: BRAND_COLOR });
+
+    // Footer
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR).text(
+      `Payment is due by ${formatDateOnly(invoice.dueDate)}. Please reference ${invoice.number} with your payment. Thank you for your business!`,
+      50,
+      Math.max(y + 30, 700),
+      { width: 495, align: 'center' }
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = { renderInvoicePdf };
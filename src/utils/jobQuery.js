@@ -0,0 +1,227 @@
+/**
+ * Query-string → Mongo filter/sort for job listings.
+ *
+ * Supported query params (all optional):
+ *   q                        free text over title, description, notes, legacy
+ *                            customer name/address, companyName and the linked
+ *                            Customer's name/address
+ *   status                   one status or a comma-separated list
+ *   assignedTechnician       crew lead user id (ignored for technicians)
+ *   crewMember               user id on the crew as lead or helper (ignored for technicians)
+ *   createdBy                user id
+ *   customer                 customer id
+ *   series                   recurring series id
+ *   jobType                  exact job type name (case-insensitive)
+ *   scheduledFrom/scheduledTo  YYYY-MM-DD, inclusive, on the start date
+ *   activeOn                 YYYY-MM-DD — jobs whose (possibly multi-day) span
+ *                            includes that day
+ *   minEstimatedCost/maxEstimatedCost, minActualCost/maxActualCost
+ *   sort                     comma-separated fields, "-" prefix for descending
+ *                            (e.g. "-scheduledDate,title"), or "relevance" with q
+ *
+ * Role visibility is always applied on top of the requested filters, so a
+ * technician can never widen their view through query params.
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const { ROLES, JOB_STATUS, TECH_VISIBLE_STATUSES } = require('../config/constants');
+const { normalizeDateOnly, isDateOnly } = require('./dateOnly');
+const { crewFilter } = require('./crew');
+const { scheduleOverlapFilter } = require('./dateRange');
+
+const SORTABLE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'scheduledDate',
+  'scheduledEndDate',
+  'scheduledStartTime',
+  'title',
+  'status',
+  'jobType',
+  'customerName',
+  'companyName',
+  'estimatedCost',
+  'actualCost',
+  'completedAt',
+  'billedAt',
+];
+
+const DEFAULT_SORT = { createdAt: -1, _id: -1 };
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  return raw.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return { value: undefined };
+  const num = Number(value);
+  if (!Number.isFinite(num)) return { error: `${name} must be a number` };
+  return { value: num };
+}
+
+function parseRange(query, minKey, maxKey) {
+  const min = parseNumber(query[minKey], minKey);
+  if (min.error) return min;
+  const max = parseNumber(query[maxKey], maxKey);
+  if (max.error) return max;
+  if (min.value !== undefined && max.value !== undefined && min.value > max.value) {
+    return { error: `${minKey} cannot be greater than ${maxKey}` };
+  }
+
+  const range = {};
+  if (min.value !== undefined) range.$gte = min.value;
+  if (max.value !== undefined) range.$lte = max.value;
+  return { value: Object.keys(range).length ? range : undefined };
+}
+
+/**
+ * Statuses visible to a role, or null when the role sees every status.
+ */
+function getVisibleStatuses(role) {
+  if (role === ROLES.TECHNICIAN) return TECH_VISIBLE_STATUSES;
+  if (role === ROLES.OFFICE_MANAGER) return Object.values(JOB_STATUS);
+  if (role === ROLES.ADMIN) return null;
+  return [];
+}
+
+/**
+ * Parse the `sort` query param into a Mongo sort object.
+ * `_id` is always appended as a tie-breaker so ordering is deterministic.
+ */
+function parseSort(value, hasTextSearch) {
+  const tokens = parseList(value);
+  if (tokens.length === 0) return { sort: { ...DEFAULT_SORT } };
+
+  if (tokens.length === 1 && tokens[0] === 'relevance') {
+    if (!hasTextSearch) return { error: 'sort=relevance requires a q search term' };
+    return { sort: { score: { $meta: 'textScore' }, _id: -1 } };
+  }
+
+  const sort = {};
+  for (const token of tokens) {
+    const direction = token.startsWith('-') ? -1 : 1;
+    const field = token.replace(/^[-+]/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+      return { error: `Cannot sort by "${field}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}` };
+    }
+    if (!(field in sort)) sort[field] = direction;
+  }
+  if (!('_id' in sort)) sort._id = sort[Object.keys(sort)[0]];
+  return { sort };
+}
+
+/**
+ * Build the filter + sort for GET /api/jobs from req.query and the caller.
+ * Returns { filter, sort } or { error } for a malformed query.
+ */
+async function buildJobQuery(query, user) {
+  const conditions = [];
+
+  // 1) Role visibility
+  const visibleStatuses = getVisibleStatuses(user.role);
+  const requestedStatuses = parseList(query.status);
+  const unknownStatus = requestedStatuses.find((s) => !Object.values(JOB_STATUS).includes(s));
+  if (unknownStatus) {
+    return { error: `Unknown status "${unknownStatus}". Valid: ${Object.values(JOB_STATUS).join(', ')}` };
+  }
+
+  let statuses = requestedStatuses.length ? requestedStatuses : null;
+  if (visibleStatuses) {
+    statuses = (statuses || visibleStatuses).filter((s) => visibleStatuses.includes(s));
+  }
+  if (statuses) {
+    conditions.push({ status: statuses.length === 1 ? statuses[0] : { $in: statuses } });
+  }
+
+  if (user.role === ROLES.TECHNICIAN) {
+    conditions.push(crewFilter(user._id));
+  } else {
+    if (query.assignedTechnician) {
+      if (!mongoose.isValidObjectId(query.assignedTechnician)) {
+        return { error: 'assignedTechnician must be a valid ID' };
+      }
+      conditions.push({ assignedTechnician: query.assignedTechnician });
+    }
+    if (query.crewMember) {
+      if (!mongoose.isValidObjectId(query.crewMember)) {
+        return { error: 'crewMember must be a valid ID' };
+      }
+      conditions.push(crewFilter(new mongoose.Types.ObjectId(String(query.crewMember))));
+    }
+  }
+
+  // 2) Exact-match filters
+  for (const key of ['createdBy', 'customer', 'series']) {
+    if (!query[key]) continue;
+    if (!mongoose.isValidObjectId(query[key])) {
+      return { error: `${key} must be a valid ID` };
+    }
+    conditions.push({ [key]: query[key] });
+  }
+
+  if (query.jobType) {
+    const jobType = String(query.jobType).trim().replace(/\s+/g, ' ');
+    conditions.push({ jobType: new RegExp(`^${escapeRegex(jobType)}$`, 'i') });
+  }
+
+  // 3) Ranges
+  const scheduled = {};
+  for (const [key, op] of [['scheduledFrom', '$gte'], ['scheduledTo', '$lte']]) {
+    if (!query[key]) continue;
+    const day = normalizeDateOnly(query[key]);
+    if (!isDateOnly(day)) return { error: `${key} must be in YYYY-MM-DD format` };
+    scheduled[op] = day;
+  }
+  if (scheduled.$gte && scheduled.$lte && scheduled.$gte > scheduled.$lte) {
+    return { error: 'scheduledFrom cannot be after scheduledTo' };
+  }
+  if (Object.keys(scheduled).length) conditions.push({ scheduledDate: scheduled });
+
+  if (query.activeOn) {
+    const day = normalizeDateOnly(query.activeOn);
+    if (!isDateOnly(day)) return { error: 'activeOn must be in YYYY-MM-DD format' };
+    conditions.push(scheduleOverlapFilter(day));
+  }
+
+  const estimated = parseRange(query, 'minEstimatedCost', 'maxEstimatedCost');
+  if (estimated.error) return { error: estimated.error };
+  if (estimated.value) conditions.push({ estimatedCost: estimated.value });
+
+  const actual = parseRange(query, 'minActualCost', 'maxActualCost');
+  if (actual.error) return { error: actual.error };
+  if (actual.value) conditions.push({ actualCost: actual.value });
+
+  // 4) Free text — jobs matching the text index, or linked to a matching customer
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    const customers = await Customer.find({ $text: { $search: q } }).select('_id').limit(500).lean();
+    const textClause = { $text: { $search: q } };
+    conditions.push(
+      customers.length
+        ? { $or: [textClause, { customer: { $in: customers.map((c) => c._id) } }] }
+        : textClause
+    );
+  }
+
+  const { sort, error } = parseSort(query.sort, Boolean(q));
+  if (error) return { error };
+
+  const filter = conditions.length === 0 ? {} : conditions.length === 1 ? conditions[0] : { $and: conditions };
+  return { filter, sort };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_SORT,
+  escapeRegex,
+  getVisibleStatuses,
+  parseSort,
+  buildJobQuery,
+};
@@ -0,0 +1,104 @@
+/**
+ * Line item arithmetic for jobs (and anything priced from them).
+ *
+ * All money is rounded to cents per line, then summed. Discounts are
+ * stored with a positive unitPrice and a negative amount; a taxable
+ * discount reduces the taxable base, a non-taxable one only the total.
+ * Tax rates are percentages (8.25 means 8.25%).
+ */
+
+const { LINE_ITEM_TYPES } = require('../config/constants');
+
+const TYPE_TOTAL_KEYS = {
+  [LINE_ITEM_TYPES.LABOR]: 'labor',
+  [LINE_ITEM_TYPES.MATERIAL]: 'materials',
+  [LINE_ITEM_TYPES.FEE]: 'fees',
+  [LINE_ITEM_TYPES.DISCOUNT]: 'discounts',
+};
+
+function roundMoney(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+function getDefaultTaxRate() {
+  const rate = parseFloat(process.env.DEFAULT_TAX_RATE);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : 0;
+}
+
+/**
+ * Turn client input into a stored line item with its amount computed.
+ * Keeps `_id` when present so edits don't churn item ids.
+ */
+function buildLineItem(input) {
+  const quantity = input.quantity === undefined || input.quantity === null ? 1 : Number(input.quantity);
+  const unitPrice = Number(input.unitPrice);
+  const sign = input.type === LINE_ITEM_TYPES.DISCOUNT ? -1 : 1;
+
+  const item = {
+    type: input.type,
+    description: typeof input.description === 'string' ? input.description.trim() : input.description,
+    quantity,
+    unitPrice: roundMoney(unitPrice),
+    taxable: input.taxable === undefined ? true : Boolean(input.taxable),
+    amount: roundMoney(sign * quantity * unitPrice),
+  };
+  if (input._id) item._id = input._id;
+  return item;
+}
+
+/**
+ * Validate one line item from a request body.
+ * @returns {string|null} error message or null when valid
+ */
+function validateLineItem(input) {
+  if (!input || typeof input !== 'object') return 'Line item must be an object';
+  if (!Object.values(LINE_ITEM_TYPES).includes(input.type)) {
+    return `Line item type must be one of ${Object.values(LINE_ITEM_TYPES).join(', ')}`;
+  }
+  if (typeof input.description !== 'string' || !input.description.trim()) {
+    return 'Line item description is required';
+  }
+  if (input.quantity !== undefined && input.quantity !== null) {
+    const quantity = Number(input.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0) return 'Line item quantity must be a number >= 0';
+  }
+  const unitPrice = Number(input.unitPrice);
+  if (input.unitPrice === undefined || input.unitPrice === null || !Number.isFinite(unitPrice) || unitPrice < 0) {
+    return 'Line item unitPrice must be a number >= 0';
+  }
+  if (input.taxable !== undefined && typeof input.taxable !== 'boolean') {
+    return 'Line item taxable must be a boolean';
+  }
+  return null;
+}
+
+/**
+ * Sum line items into the totals stored next to them.
+ * @param {Array} items - built line items (see buildLineItem)
+ * @param {number} taxRate - percentage
+ */
+function calculateTotals(items, taxRate = 0) {
+  const totals = { labor: 0, materials: 0, fees: 0, discounts: 0, subtotal: 0, taxableAmount: 0, tax: 0, total: 0 };
+
+  for (const item of items) {
+    const key = TYPE_TOTAL_KEYS[item.type];
+    if (key) totals[key] = roundMoney(totals[key] + item.amount);
+    totals.subtotal = roundMoney(totals.subtotal + item.amount);
+    if (item.taxable) totals.taxableAmount = roundMoney(totals.taxableAmount + item.amount);
+  }
+
+  // A discount can't push the bill (or the taxable base) below zero
+  totals.subtotal = Math.max(0, totals.subtotal);
+  totals.taxableAmount = Math.max(0, totals.taxableAmount);
+  totals.tax = roundMoney((totals.taxableAmount * (Number(taxRate) || 0)) / 100);
+  totals.total = roundMoney(totals.subtotal + totals.tax);
+  return totals;
+}
+
+module.exports = {
+  roundMoney,
+  getDefaultTaxRate,
+  buildLineItem,
+  validateLineItem,
+  calculateTotals,
+};
@@ -0,0 +1,236 @@
+/**
+ * Shared list pagination for the collection endpoints.
+ *
+ * Two modes, chosen by the query string:
+ *   - page mode (default):  ?page=2&limit=20            — skip/limit
+ *   - cursor mode:          ?cursor=&limit=20           — first page
+ *                           ?cursor=<nextCursor>        — following pages
+ *
+ * Cursors are opaque base64url tokens holding the sort-key values of the last
+ * row returned plus its _id. The next page is fetched with a range filter on
+ * those values instead of skip, so rows inserted while a client is paging do
+ * not shift or duplicate results.
+ *
+ * Common options:
+ *   ?fields=title,status   projection (unknown fields are rejected)
+ *   ?count=false           skip the countDocuments call
+ */
+
+const mongoose = require('mongoose');
+
+function encodeValue(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+}
+
+/**
+ * Inverse of encodeValue. Cursors come from the client, so anything but a
+ * plain scalar or one of the two tagged forms (e.g. { $ne: null }) throws
+ * rather than reaching the range filter.
+ */
+function decodeValue(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (keys.length === 1 && keys[0] === '$oid' && typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+  throw new Error('Invalid cursor value');
+}
+
+function sortSignature(sort) {
+  return Object.entries(sort).map(([key, dir]) => `${dir < 0 ? '-' : ''}${key}`).join(',');
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+/**
+ * Build an opaque cursor pointing just after `doc` in `sort` order.
+ */
+function encodeCursor(doc, sort) {
+  const values = Object.keys(sort).map((key) => {
+    const value = getPath(doc, key);
+    // Populated refs sort by their stored id
+    return encodeValue(value && value._id && key !== '_id' ? value._id : value);
+  });
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor. Returns the sort-key values, or null when the cursor is
+ * malformed or was issued for a different sort order.
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || parsed.s !== sortSignature(sort) || !Array.isArray(parsed.v)) return null;
+    if (parsed.v.length !== Object.keys(sort).length) return null;
+    return parsed.v.map(decodeValue);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Range clause matching values that sort strictly after `value`.
+ * Mongo orders null/missing before any other value, which is mirrored here.
+ * Returns null when nothing can sort after the value.
+ */
+function afterClause(key, value, direction) {
+  if (value === null) {
+    return direction > 0 ? { [key]: { $ne: null } } : null;
+  }
+  if (direction > 0) return { [key]: { $gt: value } };
+  if (key === '_id') return { _id: { $lt: value } };
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+}
+
+/**
+ * Filter selecting every row after the cursor position, e.g. for
+ * sort { scheduledDate: 1, _id: 1 }:
+ *   scheduledDate > v0 OR (scheduledDate = v0 AND _id > v1)
+ */
+function buildCursorFilter(sort, values) {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, i) => {
+    const after = afterClause(key, values[i], sort[key]);
+    if (!after) return;
+    const equals = keys.slice(0, i).map((prev, j) => ({ [prev]: values[j] }));
+    branches.push(equals.length ? { $and: [...equals, after] } : after);
+  });
+
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+}
+
+/**
+ * Parse page/cursor/limit/fields/count from req.query.
+ * @param {Object} query - req.query
+ * @param {Object} opts
+ * @param {number} [opts.defaultLimit=20]
+ * @param {number} [opts.maxLimit=100]
+ * @param {string[]} opts.fields - fields a client may project
+ * @returns {Object} parsed options, or { error }
+ */
+function parseListOptions(query, { defaultLimit = 20, maxLimit = 100, fields = [] } = {}) {
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  let projection = null;
+  if (query.fields) {
+    const requested = String(query.fields).split(',').map((f) => f.trim()).filter(Boolean);
+    const unknown = requested.find((f) => !fields.includes(f));
+    if (unknown) {
+      return { error: `Unknown field "${unknown}". Selectable fields: ${fields.join(', ')}` };
+    }
+    projection = requested.reduce((acc, f) => ({ ...acc, [f]: 1 }), {});
+  }
+
+  return {
+    mode: query.cursor !== undefined ? 'cursor' : 'page',
+    cursor: query.cursor || null,
+    page,
+    limit: Math.min(limit, maxLimit),
+    projection,
+    withCount: query.count !== 'false',
+  };
+}
+
+/**
+ * Top-level fields of a model that a client may request through ?fields=.
+ */
+function getSelectableFields(Model, exclude = []) {
+  const fields = new Set();
+  Object.keys(Model.schema.paths).forEach((path) => fields.add(path.split('.')[0]));
+  ['__v', ...exclude].forEach((f) => fields.delete(f));
+  return [...fields];
+}
+
+/**
+ * Run a paginated find.
+ * @param {mongoose.Model} Model
+ * @param {Object} opts
+ * @param {Object} opts.filter
+ * @param {Object} opts.sort - must end with an _id tie-breaker for cursor mode
+ * @param {Object} opts.options - result of parseListOptions
+ * @param {Object[]} [opts.populate] - [{ path, select }], skipped when projected out
+ * @param {boolean} [opts.lean=false]
+ * @returns {Promise<{ data: Array, pagination: Object } | { error: string, status: number }>}
+ */
+async function paginate(Model, { filter, sort, options, populate = [], lean = false }) {
+  let pageFilter = filter;
+
+  if (options.mode === 'cursor') {
+    if (Object.values(sort).some((dir) => typeof dir !== 'number')) {
+      return { error: 'Cursor pagination is not supported with this sort order', status: 400 };
+    }
+    if (options.cursor) {
+      const values = decodeCursor(options.cursor, sort);
+      if (!values) return { error: 'Invalid or expired cursor', status: 400 };
+      pageFilter = { $and: [filter, buildCursorFilter(sort, values)] };
+    }
+  }
+
+  let projection = options.projection;
+  if (projection) {
+    // Sort keys are needed to build the next cursor
+    projection = { ...projection };
+    Object.keys(sort).forEach((key) => {
+      if (typeof sort[key] === 'number') projection[key] = 1;
+    });
+  }
+
+  let query = Model.find(pageFilter, projection).sort(sort);
+  if (options.mode === 'page') query = query.skip((options.page - 1) * options.limit);
+  query = query.limit(options.limit + 1);
+
+  populate
+    .filter(({ path }) => !projection || projection[path.split('.')[0]])
+    .forEach((spec) => { query = query.populate(spec); });
+  if (lean) query = query.lean();
+
+  const [rows, total] = await Promise.all([
+    query,
+    options.withCount ? Model.countDocuments(filter) : Promise.resolve(undefined),
+  ]);
+
+  const hasMore = rows.length > options.limit;
+  const data = hasMore ? rows.slice(0, options.limit) : rows;
+
+  const pagination = { limit: options.limit, hasMore };
+  if (options.mode === 'cursor') {
+    pagination.nextCursor = hasMore ? encodeCursor(data[data.length - 1], sort) : null;
+  } else {
+    pagination.page = options.page;
+  }
+  if (total !== undefined) {
+    pagination.total = total;
+    if (options.mode === 'page') pagination.pages = Math.ceil(total / options.limit);
+  }
+
+  return { data, pagination };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseListOptions,
+  getSelectableFields,
+  paginate,
+};
@@ -0,0 +1,213 @@
+/**
+ * Recurrence rules for recurring job series (a subset of RFC 5545 RRULE).
+ *
+ *   frequency   DAILY | WEEKLY | MONTHLY | YEARLY        (FREQ)
+ *   interval    every N periods, default 1              (INTERVAL)
+ *   byWeekday   ['MO', 'TH', ...] for WEEKLY            (BYDAY)
+ *               defaults to the weekday of the start date
+ *   byMonthDay  1–31 for MONTHLY, defaults to the start date's day (BYMONTHDAY)
+ *   until       YYYY-MM-DD, inclusive                   (UNTIL)
+ *   count       total number of occurrences             (COUNT)
+ *
+ * Unlike RRULE, a monthly/yearly day that does not exist in a month (the
+ * 31st, Feb 29) falls on the last day of that month instead of being skipped,
+ * so "every 3 months on the 31st" still produces a job every quarter.
+ * Occurrences are counted from the start date; skipped occurrences still
+ * count toward `count`, as RRULE EXDATEs do.
+ */
+
+const { isDateOnly } = require('./dateOnly');
+const { addDays, countDays } = require('./dateRange');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_COUNT = 1000;
+
+function parseDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return { year, month, date };
+}
+
+function formatDay(year, month, date) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function weekdayOf(day) {
+  const { year, month, date } = parseDay(day);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, date)).getUTCDay()];
+}
+
+/**
+ * Check a rule against its start date.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateRule(rule, startDate) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['rule is required'];
+  if (!isDateOnly(startDate)) errors.push('startDate must be in YYYY-MM-DD format');
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99)) {
+    errors.push('interval must be a whole number between 1 and 99');
+  }
+  if (rule.byWeekday !== undefined) {
+    if (rule.frequency !== 'WEEKLY') errors.push('byWeekday is only allowed with WEEKLY frequency');
+    else if (!Array.isArray(rule.byWeekday) || rule.byWeekday.length === 0
+      || rule.byWeekday.some((d) => !WEEKDAYS.includes(d))) {
+      errors.push(`byWeekday must be a non-empty list of: ${WEEKDAYS.join(', ')}`);
+    }
+  }
+  if (rule.byMonthDay !== undefined) {
+    if (rule.frequency !== 'MONTHLY') errors.push('byMonthDay is only allowed with MONTHLY frequency');
+    else if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+      errors.push('byMonthDay must be between 1 and 31');
+    }
+  }
+  if (rule.until !== undefined && rule.until !== null) {
+    if (!isDateOnly(rule.until)) errors.push('until must be in YYYY-MM-DD format');
+    else if (isDateOnly(startDate) && rule.until < startDate) errors.push('until cannot be before startDate');
+  }
+  if (rule.count !== undefined && rule.count !== null) {
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+      errors.push(`count must be a whole number between 1 and ${MAX_COUNT}`);
+    }
+  }
+  if (rule.until && rule.count) errors.push('Use either until or count, not both');
+
+  return errors;
+}
+
+/**
+ * Candidate dates of the k-th period, in order. May include dates before
+ * the start date (WEEKLY), which the caller drops.
+ */
+function periodDates(rule, startDate, k) {
+  const interval = rule.interval || 1;
+  const start = parseDay(startDate);
+
+  switch (rule.frequency) {
+    case 'DAILY':
+      return [addDays(startDate, k * interval)];
+    case 'WEEKLY': {
+      const startIdx = WEEKDAYS.indexOf(weekdayOf(startDate));
+      // Weeks run Monday–Sunday, like RRULE's default WKST=MO
+      const weekStart = addDays(startDate, -((startIdx + 6) % 7) + k * interval * 7);
+      const days = rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [WEEKDAYS[startIdx]];
+      return days
+        .map((d) => addDays(weekStart, (WEEKDAYS.indexOf(d) + 6) % 7))
+        .sort();
+    }
+    case 'MONTHLY': {
+      const monthIndex = start.month - 1 + k * interval;
+      const year = start.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      const day = Math.min(rule.byMonthDay || start.date, daysInMonth(year, month));
+      return [formatDay(year, month, day)];
+    }
+    case 'YEARLY': {
+      const year = start.year + k * interval;
+      return [formatDay(year, start.month, Math.min(start.date, daysInMonth(year, start.month)))];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * A period index no later than the first period that can reach `from`, so a
+ * window far from the start date is not reached by walking every period.
+ * Rules with a count must be walked from the start (skipped periods count).
+ */
+function firstPeriod(rule, startDate, from) {
+  if (rule.count || from <= startDate) return 0;
+  const interval = rule.interval || 1;
+  const start = parseDay(startDate);
+  const target = parseDay(from);
+
+  let periods;
+  switch (rule.frequency) {
+    case 'DAILY':
+      return Math.floor((countDays(startDate, from) - 1) / interval);
+    case 'WEEKLY':
+      periods = Math.floor((countDays(startDate, from) - 1) / (7 * interval));
+      break;
+    case 'MONTHLY':
+      periods = Math.floor(((target.year - start.year) * 12 + target.month - start.month) / interval);
+      break;
+    case 'YEARLY':
+      periods = Math.floor((target.year - start.year) / interval);
+      break;
+    default:
+      return 0;
+  }
+  // One period back: its dates may still fall on or after `from`
+  return Math.max(0, periods - 1);
+}
+
+/**
+ * Occurrence dates of a rule within [from, to] (inclusive). The scan is
+ * bounded by the window, so open-ended series have no horizon of their own.
+ * @param {Object} rule
+ * @param {string} startDate - YYYY-MM-DD (DTSTART)
+ * @param {Object} window
+ * @param {string} [window.from] - defaults to startDate
+ * @param {string} window.to - required
+ * @param {number} [window.limit] - stop after this many results
+ * @returns {string[]}
+ */
+function expandOccurrences(rule, startDate, { from = startDate, to, limit = Infinity }) {
+  if (!isDateOnly(to)) throw new Error('expandOccurrences needs a YYYY-MM-DD window end');
+  const results = [];
+  let seen = 0;
+
+  for (let k = firstPeriod(rule, startDate, from); ; k += 1) {
+    const dates = periodDates(rule, startDate, k);
+    if (dates.length === 0 || dates[0] > to) break;
+
+    for (const day of dates) {
+      if (day < startDate) continue;
+      if (rule.until && day > rule.until) return results;
+      if (day > to) return results;
+      seen += 1;
+      if (rule.count && seen > rule.count) return results;
+      if (day >= from) {
+        results.push(day);
+        if (results.length >= limit) return results;
+      }
+    }
+  }
+  return results;
+}
+
+function isOccurrence(rule, startDate, day) {
+  return expandOccurrences(rule, startDate, { from: day, to: day }).length === 1;
+}
+
+/**
+ * Human-readable summary, e.g. "Every 3 months on day 15, 4 times".
+ */
+function describeRule(rule) {
+  const interval = rule.interval || 1;
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  let text = interval === 1 ? `Every ${units[rule.frequency]}` : `Every ${interval} ${units[rule.frequency]}s`;
+  if (rule.byWeekday && rule.byWeekday.length) text += ` on ${rule.byWeekday.join(', ')}`;
+  if (rule.byMonthDay) text += ` on day ${rule.byMonthDay}`;
+  if (rule.until) text += `, until ${rule.until}`;
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  return text;
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  validateRule,
+  expandOccurrences,
+  isOccurrence,
+  describeRule,
+};
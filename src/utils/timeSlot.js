@@ -0,0 +1,90 @@
+/**
+ * Time-of-day helpers for scheduled job windows.
+ *
+ * Times are stored as "HH:mm" strings (24h, local time) next to the
+ * date-only scheduledDate. A job's slot is:
+ *   - scheduledStartTime → scheduledEndTime, when both are set
+ *   - scheduledStartTime → start + estimatedDuration (minutes), when only the duration is set
+ *   - the whole day, when no start time is set (or only a start time without an end)
+ *
+ * Slots are half-open [start, end) in minutes since midnight, so a 09:00–11:00
+ * job and an 11:00–12:00 job do not overlap.
+ */
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+const WHOLE_DAY = Object.freeze({ start: 0, end: MINUTES_PER_DAY, allDay: true });
+
+function isTime(value) {
+  return TIME_RE.test(String(value || ''));
+}
+
+function parseTime(value) {
+  if (!isTime(value)) return null;
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function formatTime(minutes) {
+  const clamped = Math.max(0, Math.min(minutes, MINUTES_PER_DAY));
+  if (clamped === MINUTES_PER_DAY) return '24:00';
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Slot occupied by a job (or any object with the schedule fields).
+ * @returns {{ start: number, end: number, allDay: boolean }}
+ */
+function getJobSlot({ scheduledStartTime, scheduledEndTime, estimatedDuration } = {}) {
+  const start = parseTime(scheduledStartTime);
+  if (start === null) return WHOLE_DAY;
+
+  const end = parseTime(scheduledEndTime);
+  if (end !== null && end > start) return { start, end, allDay: false };
+
+  if (Number(estimatedDuration) > 0) {
+    return { start, end: Math.min(start + Number(estimatedDuration), MINUTES_PER_DAY), allDay: false };
+  }
+
+  return WHOLE_DAY;
+}
+
+function slotsOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function describeSlot(slot) {
+  return slot.allDay ? 'all day' : `${formatTime(slot.start)}–${formatTime(slot.end)}`;
+}
+
+/**
+ * Validate a start/end/duration combination from request input.
+ * Returns an error string, or null.
+ */
+function validateTimeWindow({ scheduledStartTime, scheduledEndTime, estimatedDuration } = {}) {
+  if (scheduledStartTime && !isTime(scheduledStartTime)) return 'scheduledStartTime must be in HH:mm format';
+  if (scheduledEndTime && !isTime(scheduledEndTime)) return 'scheduledEndTime must be in HH:mm format';
+  if (scheduledEndTime && !scheduledStartTime) return 'scheduledEndTime requires scheduledStartTime';
+  if (scheduledStartTime && scheduledEndTime && parseTime(scheduledEndTime) <= parseTime(scheduledStartTime)) {
+    return 'scheduledEndTime must be after scheduledStartTime';
+  }
+  if (estimatedDuration !== undefined && estimatedDuration !== null && estimatedDuration !== '') {
+    const minutes = Number(estimatedDuration);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MINUTES_PER_DAY) {
+      return `estimatedDuration must be a whole number of minutes between 1 and ${MINUTES_PER_DAY}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  TIME_RE,
+  WHOLE_DAY,
+  isTime,
+  parseTime,
+  formatTime,
+  getJobSlot,
+  slotsOverlap,
+  describeSlot,
+  validateTimeWindow,
+};